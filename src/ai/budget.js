@@ -0,0 +1,143 @@
+/**
+ * Spending limits for LLM calls. A run started with startRun() can carry its own
+ * cap (process run --max-cost); ai.budget adds daily and monthly caps that are
+ * checked against the ai_calls ledger. Every call is checked before it is sent,
+ * using a projected cost, so the pipeline stops before a cap would be crossed.
+ */
+
+import { loadConfig } from '../utils/config.js';
+import { estimateCost } from './tokens.js';
+import { getAISpend } from '../storage/repositories/index.js';
+
+// Output/input token ratio assumed for stages without call history
+const DEFAULT_OUTPUT_RATIO = 0.25;
+
+let run = null;
+
+/**
+ * Start accounting for a new run.
+ * @param {Object} [options] - Run options
+ * @param {number} [options.maxCost] - Cap for this run in USD; ai.budget.runUsd when unset
+ */
+export function startRun(options = {}) {
+  const config = loadConfig();
+  run = {
+    maxCost: options.maxCost ?? config.ai.budget?.runUsd ?? null,
+    calls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cachedInputTokens: 0,
+    cost: 0,
+    byModel: {},
+  };
+}
+
+/**
+ * Spend of the current run.
+ * @returns {Object|null} { maxCost, calls, inputTokens, outputTokens, cachedInputTokens, cost,
+ *   byModel: { [model]: { calls, cost } } }, or null when no run was started
+ */
+export function getRunSpend() {
+  return run && { ...run, byModel: { ...run.byModel } };
+}
+
+/**
+ * Add a finished call to the current run.
+ * @param {Object} usage - { inputTokens, outputTokens, cachedInputTokens }
+ * @param {string} model - Model that answered
+ * @param {number} cost - Cost of the call in USD
+ */
+export function recordSpend(usage, model, cost) {
+  if (!run) return;
+  run.calls++;
+  run.inputTokens += usage.inputTokens || 0;
+  run.outputTokens += usage.outputTokens || 0;
+  run.cachedInputTokens += usage.cachedInputTokens || 0;
+  run.cost += cost;
+
+  const modelSpend = run.byModel[model] || (run.byModel[model] = { calls: 0, cost: 0 });
+  modelSpend.calls++;
+  modelSpend.cost += cost;
+}
+
+/**
+ * Project what a call will cost before it is made. Output tokens are projected
+ * from the stage's output/input ratio over the last 30 days of the ledger.
+ * @param {Object} request - Request details
+ * @param {Object} [request.db] - Database connection, for the stage's call history
+ * @param {string} [request.stage] - Stage making the call
+ * @param {string} request.model - Model to be called
+ * @param {number} request.inputTokens - Estimated prompt tokens
+ * @param {number} [request.maxTokens] - Output token limit of the call
+ * @returns {number} Projected cost in USD
+ */
+export function projectCost({ db, stage, model, inputTokens, maxTokens }) {
+  let ratio = DEFAULT_OUTPUT_RATIO;
+  if (db && stage) {
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    const history = getAISpend(db, { groupBy: 'stage', since }).find((row) => row.key === stage);
+    if (history?.tokens_in > 0) {
+      ratio = history.tokens_out / history.tokens_in;
+    }
+  }
+
+  const outputTokens = Math.ceil(inputTokens * ratio);
+  return estimateCost({
+    inputTokens,
+    outputTokens: maxTokens ? Math.min(outputTokens, maxTokens) : outputTokens,
+  }, model);
+}
+
+/**
+ * Build the error thrown when a cap would be exceeded.
+ * @param {string} message - What was exceeded
+ * @returns {Error} Error with code 'BUDGET_EXCEEDED'
+ */
+function budgetError(message) {
+  const error = new Error(message);
+  error.code = 'BUDGET_EXCEEDED';
+  return error;
+}
+
+/**
+ * Make sure a call fits every cap. Daily and monthly caps need the ledger and
+ * are only checked when a db is given; days and months are UTC, like the ledger.
+ * @param {Object} [db] - Database connection
+ * @param {number} projectedCost - Projected cost of the next call in USD
+ * @throws {Error} With code 'BUDGET_EXCEEDED' when the call would cross a cap
+ */
+export function checkBudget(db, projectedCost) {
+  const { dailyUsd, monthlyUsd } = loadConfig().ai.budget || {};
+
+  if (run?.maxCost != null && run.cost + projectedCost > run.maxCost) {
+    throw budgetError(
+      `Run budget of $${run.maxCost} reached: $${run.cost.toFixed(4)} spent, next call ~$${projectedCost.toFixed(4)}`
+    );
+  }
+
+  if (!db) return;
+
+  const today = new Date().toISOString().slice(0, 10);
+  const caps = [
+    { name: 'Daily', limit: dailyUsd, since: today },
+    { name: 'Monthly', limit: monthlyUsd, since: `${today.slice(0, 7)}-01` },
+  ];
+
+  for (const { name, limit, since } of caps) {
+    if (limit == null) continue;
+    const spent = getAISpend(db, { since })[0]?.cost_usd || 0;
+    if (spent + projectedCost > limit) {
+      throw budgetError(
+        `${name} budget of $${limit} reached: $${spent.toFixed(4)} spent since ${since}, next call ~$${projectedCost.toFixed(4)}`
+      );
+    }
+  }
+}
+
+export default {
+  startRun,
+  getRunSpend,
+  recordSpend,
+  projectCost,
+  checkBudget,
+};
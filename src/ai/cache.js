@@ -0,0 +1,122 @@
+/**
+ * Persistent cache of validated LLM responses. A request that hashes the same as
+ * an earlier one (same provider, model, settings and prompt) for the same stage
+ * schema version is answered from ai_response_cache instead of the API, so
+ * reruns with --force or after process reset don't pay twice. ai.cache sets
+ * whether the cache is read and how long entries live; process run --no-cache
+ * skips lookups for one run while still storing fresh responses.
+ */
+
+import { loadConfig } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
+import { SCHEMA_VERSIONS } from './validation.js';
+import {
+  getCachedResponse,
+  recordCacheHit,
+  upsertCachedResponse,
+  pruneResponseCache,
+} from '../storage/repositories/index.js';
+
+let readEnabled = null;
+let runStats = { hits: 0, saved: 0 };
+
+/**
+ * Set whether lookups are made, overriding ai.cache.enabled, and reset the hit counts.
+ * @param {Object} [options] - Cache options
+ * @param {boolean} [options.enabled] - false to ignore cached responses; ai.cache.enabled when unset
+ */
+export function configureCache(options = {}) {
+  readEnabled = options.enabled ?? null;
+  runStats = { hits: 0, saved: 0 };
+}
+
+/**
+ * Cache hits since configureCache().
+ * @returns {Object} { hits, saved } with saved the original cost of the reused responses in USD
+ */
+export function getCacheRunStats() {
+  return { ...runStats };
+}
+
+/**
+ * Look up a cached response.
+ * @param {Object} [db] - Database connection; no db, no cache
+ * @param {Object} request - Request details
+ * @param {string} [request.stage] - Stage making the request; only stages with a schema version are cached
+ * @param {string} request.requestHash - ai_calls.request_hash of the request
+ * @param {Function} [request.validate] - Validator the response must still pass
+ * @returns {Object|null} { data, model, usage, callId, cached: true } like processWithAI(), or null
+ */
+export function lookupResponse(db, { stage, requestHash, validate }) {
+  const enabled = readEnabled ?? loadConfig().ai.cache?.enabled ?? true;
+  const schemaVersion = SCHEMA_VERSIONS[stage];
+  if (!db || !enabled || schemaVersion === undefined) return null;
+
+  const row = getCachedResponse(db, requestHash, schemaVersion);
+  if (!row) return null;
+
+  let data;
+  try {
+    data = JSON.parse(row.response_json);
+    if (validate) data = validate(data);
+  } catch (error) {
+    logger.debug('Ignoring cached response that no longer validates', { stage, error: error.message });
+    return null;
+  }
+
+  recordCacheHit(db, requestHash, schemaVersion);
+  runStats.hits++;
+  runStats.saved += row.cost_usd || 0;
+
+  return {
+    data,
+    model: row.model_used || row.model,
+    usage: { inputTokens: 0, outputTokens: 0, cachedInputTokens: 0, estimated: false },
+    callId: row.ai_call_id,
+    cached: true,
+  };
+}
+
+/**
+ * Store a validated response for reuse.
+ * @param {Object} [db] - Database connection; no db, no cache
+ * @param {Object} request - { stage, requestHash, model }
+ * @param {Object} response - { data, model, usage, cost, callId } from the call
+ */
+export function storeResponse(db, { stage, requestHash, model }, response) {
+  const schemaVersion = SCHEMA_VERSIONS[stage];
+  if (!db || schemaVersion === undefined) return;
+
+  upsertCachedResponse(db, {
+    request_hash: requestHash,
+    schema_version: schemaVersion,
+    stage,
+    model,
+    model_used: response.model,
+    response_json: JSON.stringify(response.data),
+    tokens_in: response.usage.inputTokens,
+    tokens_out: response.usage.outputTokens,
+    cost_usd: response.cost,
+    ai_call_id: response.callId,
+    ttl_days: loadConfig().ai.cache?.ttlDays ?? null,
+  });
+}
+
+/**
+ * Delete cached responses; see pruneResponseCache(). Entries of schema
+ * versions other than the current ones always count as prunable.
+ * @param {Object} db - Database connection
+ * @param {Object} [options] - { all, stage, before }
+ * @returns {number} Number of entries deleted
+ */
+export function pruneCache(db, options = {}) {
+  return pruneResponseCache(db, { ...options, schemaVersions: SCHEMA_VERSIONS });
+}
+
+export default {
+  configureCache,
+  getCacheRunStats,
+  lookupResponse,
+  storeResponse,
+  pruneCache,
+};
@@ -1,32 +1,29 @@
-import OpenAI from 'openai';
-import { loadConfig } from '../utils/config.js';
+import crypto from 'crypto';
+import { createProvider } from './providers/index.js';
+import { estimateTokens, estimateCost, getModelPricing } from './tokens.js';
+import { checkBudget, projectCost, recordSpend } from './budget.js';
+import { lookupResponse, storeResponse } from './cache.js';
+import { parseJsonResponse, buildRepairPrompt } from './repair.js';
+import { loadConfig, getStageConfig } from '../utils/config.js';
 import { logger } from '../utils/logger.js';
+import { insertAICall } from '../storage/repositories/index.js';
 
-let client = null;
+let provider = null;
 
 /**
- * Get or create the OpenRouter client.
- * @returns {OpenAI} OpenAI-compatible client for OpenRouter
+ * Get or create the provider selected by ai.provider.
+ * @returns {Object} Provider, see providers/index.js.
  */
-export function getAIClient() {
-  if (!client) {
+export function getProvider() {
+  if (!provider) {
     const config = loadConfig();
-    const apiKey = config.ai.apiKey;
-
-    if (!apiKey) {
-      throw new Error('OPENROUTER_API_KEY is required');
-    }
-
-    client = new OpenAI({
-      baseURL: 'https://openrouter.ai/api/v1',
-      apiKey,
-      defaultHeaders: {
-        'HTTP-Referer': 'https://github.com/stacks-discord-scraper',
-        'X-Title': 'Stacks Discord Scraper',
-      },
+    provider = createProvider(config.ai.provider, {
+      ...config.ai.providers?.[config.ai.provider],
+      apiKey: config.ai.apiKey,
+      baseURL: config.ai.baseURL,
     });
   }
-  return client;
+  return provider;
 }
 
 /**
@@ -52,6 +49,7 @@ export async function processWithRetry(fn, options = {}) {
         error.status === 429 ||
         error.status === 500 ||
         error.status === 503 ||
+        error.status === 529 || // Anthropic: overloaded
         error.code === 'ECONNRESET' ||
         error.code === 'ETIMEDOUT';
 
@@ -73,50 +71,301 @@ export async function processWithRetry(fn, options = {}) {
   }
 }
 
+// Errors no other model can fix: bad credentials or an exhausted account
+const FATAL_STATUSES = new Set([401, 402, 403]);
+
+/**
+ * Whether an error stops a stage outright, since every further call would fail too:
+ * bad credentials, an exhausted account or a budget cap.
+ * @param {Error} error - Error from processWithAI()
+ * @returns {boolean} True for fatal errors
+ */
+export function isFatalError(error) {
+  return FATAL_STATUSES.has(error.status) || error.code === 'BUDGET_EXCEEDED';
+}
+
 /**
  * Process messages through the AI model.
+ * Settings come from the stage's ai.stages entry (see getStageConfig()) and can
+ * be overridden per call. When a model still fails after its retries, the
+ * stage's fallbackModels are tried in order. With a db, a response cached for
+ * the same request (on any of these models) is returned without calling the
+ * API, and fresh responses that pass validate are cached (see cache.js).
+ * A reply that can't be parsed or validated is sent back to the model once with
+ * its errors; if the correction fails too, the valid items of the reply are kept
+ * (see validateResponse()), and only then does the next model get a turn.
  * @param {string} prompt - The prompt to send
  * @param {Object} options - Processing options
- * @returns {Promise<Object>} Parsed JSON response
+ * @param {string} [options.stage] - Stage whose model settings to use
+ * @param {string} [options.model] - Model override
+ * @param {string[]} [options.fallbackModels] - Models to try when the model fails
+ * @param {number} [options.temperature] - Sampling temperature; provider default when unset
+ * @param {number} [options.maxTokens] - Maximum output tokens
+ * @param {Function} [options.trackUsage] - Called with { inputTokens, outputTokens, model, cost } per call,
+ *   and with { cached: true } and zero usage for cached responses
+ * @param {Object} [options.db] - Database connection; every request is then recorded in ai_calls
+ * @param {Function} [options.validate] - (data, { partial }) => data; validates the parsed response, throws
+ *   if invalid, and with partial returns only the valid items of a partly valid response
+ * @returns {Promise<Object>} { data: parsed and validated JSON response, model: model that answered,
+ *   usage, callId: ai_calls ID when a db was given, cached: true for cached responses,
+ *   partial: true when invalid items were dropped, repair: how the JSON was repaired, see
+ *   parseJsonResponse() }
+ * @throws {Error} Errors for responses that fail to parse or validate carry rawResponse and callId
  */
 export async function processWithAI(prompt, options = {}) {
   const config = loadConfig();
+  const stageConfig = getStageConfig(config, options.stage);
   const {
-    model = config.ai.model,
-    maxTokens = config.ai.maxTokens,
+    model = stageConfig.model,
+    fallbackModels = stageConfig.fallbackModels,
+    temperature = stageConfig.temperature,
+    maxTokens = stageConfig.maxTokens,
     trackUsage,
+    validate = (data) => data,
   } = options;
 
+  const providerName = getProvider().name;
+  const requests = [model, ...fallbackModels.filter((fallback) => fallback !== model)].map((name) => ({
+    stage: options.stage,
+    model: name,
+    requestHash: hashRequest({ provider: providerName, model: name, temperature, maxTokens, prompt }),
+  }));
+
+  for (const request of requests) {
+    const cached = lookupResponse(options.db, { ...request, validate });
+    if (cached) {
+      trackUsage?.({ inputTokens: 0, outputTokens: 0, model: cached.model, cost: 0, cached: true });
+      return cached;
+    }
+  }
+
+  for (let i = 0; i < requests.length; i++) {
+    const request = requests[i];
+    try {
+      const response = await completeValid(prompt, {
+        model: request.model,
+        requestHash: request.requestHash,
+        temperature,
+        maxTokens,
+        trackUsage,
+        db: options.db,
+        stage: options.stage,
+      }, validate, options);
+
+      // Partial, truncated and invalid responses aren't cached, so a rerun asks again
+      if (!response.partial && response.repair !== 'truncated') {
+        storeResponse(options.db, request, response);
+      }
+      return response;
+    } catch (error) {
+      if (i === requests.length - 1 || isFatalError(error)) {
+        throw error;
+      }
+      logger.warn(`Model ${request.model} failed, falling back to ${requests[i + 1].model}`, {
+        stage: options.stage,
+        error: error.message,
+        status: error.status,
+      });
+    }
+  }
+}
+
+/**
+ * Add up the usage of two calls.
+ * @param {Object} [a] - { inputTokens, outputTokens, cachedInputTokens, estimated }
+ * @param {Object} [b] - Same shape
+ * @returns {Object} Combined usage
+ */
+function addUsage(a, b) {
+  if (!a || !b) return a || b;
+  return {
+    inputTokens: a.inputTokens + b.inputTokens,
+    outputTokens: a.outputTokens + b.outputTokens,
+    cachedInputTokens: (a.cachedInputTokens || 0) + (b.cachedInputTokens || 0),
+    estimated: a.estimated || b.estimated,
+  };
+}
+
+/**
+ * Get a valid response from one model: ask, and if the reply can't be parsed or
+ * validated, ask once more with the errors. When that fails too, keep the valid
+ * items of the last reply that parsed.
+ * @param {string} prompt - The prompt to send
+ * @param {Object} request - Request for completeJson()
+ * @param {Function} validate - Validator, see processWithAI()
+ * @param {Object} retryOptions - Options for processWithRetry()
+ * @returns {Promise<Object>} { data, model, usage, cost, callId, repair, partial } with the usage
+ *   and cost of both calls when the model was asked twice
+ * @throws {Error} The last parse or validation error, with rawResponse and callId
+ */
+async function completeValid(prompt, request, validate, retryOptions) {
+  const attempt = async (text, requestHash) => {
+    let response;
+    try {
+      response = await completeJson(text, { ...request, requestHash }, retryOptions);
+    } catch (error) {
+      if (error.code !== 'INVALID_JSON') throw error;
+      return { error, usage: error.usage, cost: error.cost };
+    }
+
+    try {
+      return { response, data: validate(response.data), usage: response.usage, cost: response.cost };
+    } catch (error) {
+      error.rawResponse = JSON.stringify(response.data);
+      error.callId = response.callId;
+      return { response, error, usage: response.usage, cost: response.cost };
+    }
+  };
+
+  const first = await attempt(prompt, request.requestHash);
+  if (!first.error) {
+    return { ...first.response, data: first.data };
+  }
+
+  logger.warn('Unusable AI response, asking the model to correct it', {
+    stage: request.stage,
+    model: request.model,
+    error: first.error.message,
+  });
+  const repairPrompt = buildRepairPrompt(prompt, first.error.message, first.error.rawResponse || '');
+  const second = await attempt(repairPrompt, hashRequest({
+    provider: getProvider().name,
+    model: request.model,
+    temperature: request.temperature,
+    maxTokens: request.maxTokens,
+    prompt: repairPrompt,
+  }));
+  const spent = {
+    usage: addUsage(first.usage, second.usage),
+    cost: (first.cost || 0) + (second.cost || 0),
+  };
+
+  if (!second.error) {
+    return { ...second.response, ...spent, data: second.data };
+  }
+
+  for (const candidate of [second, first]) {
+    if (!candidate.response) continue;
+    try {
+      const data = validate(candidate.response.data, { partial: true });
+      return { ...candidate.response, ...spent, data, partial: true };
+    } catch {
+      // Nothing usable in this reply
+    }
+  }
+
+  throw second.error;
+}
+
+/**
+ * Fingerprint a request: the same prompt sent with the same settings hashes the same.
+ * @param {Object} request - { provider, model, temperature, maxTokens, prompt }
+ * @returns {string} sha256 hex digest
+ */
+function hashRequest({ provider: providerName, model, temperature, maxTokens, prompt }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([providerName, model, temperature ?? null, maxTokens, prompt]))
+    .digest('hex');
+}
+
+/**
+ * Run one prompt on one model, with retries, and parse the JSON reply.
+ * Each attempt is checked against the budget caps before it is sent. With a db,
+ * each attempt is written to the ai_calls ledger, failed ones included.
+ * @param {string} prompt - The prompt to send
+ * @param {Object} request - { model, requestHash, temperature, maxTokens, trackUsage, db, stage }
+ * @param {Object} retryOptions - Options for processWithRetry()
+ * @returns {Promise<Object>} { data, model, usage, cost, callId, repair } with repair as
+ *   returned by parseJsonResponse()
+ */
+async function completeJson(prompt, request, retryOptions) {
+  const { model, requestHash, temperature, maxTokens, trackUsage, db, stage } = request;
+  const aiProvider = getProvider();
+
+  const recordCall = (call) => db && insertAICall(db, {
+    stage,
+    provider: aiProvider.name,
+    model,
+    request_hash: requestHash,
+    ...call,
+  });
+
   return processWithRetry(async () => {
-    const response = await getAIClient().chat.completions.create({
-      model,
-      max_tokens: maxTokens,
-      messages: [{ role: 'user', content: prompt }],
-      response_format: { type: 'json_object' },
-    });
+    checkBudget(db, projectCost({ db, stage, model, inputTokens: estimateTokens(prompt), maxTokens }));
 
-    const text = response.choices[0].message.content;
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await aiProvider.complete({
+        prompt,
+        model,
+        temperature,
+        maxTokens,
+        json: true,
+      });
+    } catch (error) {
+      recordCall({
+        status: 'error',
+        http_status: error.status ?? null,
+        error: error.message,
+        latency_ms: Date.now() - startedAt,
+      });
+      throw error;
+    }
+
+    const { text, model: modelUsed, usage } = response;
+
+    // Price by the model that answered, unless only the requested name is in ai.pricing
+    const cost = estimateCost(usage, getModelPricing(modelUsed) ? modelUsed : model);
+    recordSpend(usage, modelUsed, cost);
+
+    const ledgerEntry = {
+      model_used: modelUsed,
+      tokens_in: usage.inputTokens,
+      tokens_out: usage.outputTokens,
+      tokens_cached: usage.cachedInputTokens || 0,
+      tokens_estimated: usage.estimated ? 1 : 0,
+      cost_usd: cost,
+      latency_ms: Date.now() - startedAt,
+    };
 
     // Track token usage if callback provided
     if (trackUsage) {
       trackUsage({
-        inputTokens: response.usage?.prompt_tokens || 0,
-        outputTokens: response.usage?.completion_tokens || 0,
-        model: response.model,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        model: modelUsed,
+        cost,
       });
     }
 
-    // Parse JSON response
+    // Parse JSON response, repairing fences and truncation
+    let parsed;
     try {
-      return JSON.parse(text);
+      parsed = parseJsonResponse(text);
+      if (parsed.repair) {
+        logger.warn(`Repaired AI response (${parsed.repair})`, { stage, model: modelUsed });
+      }
     } catch (parseError) {
+      const callId = recordCall({ ...ledgerEntry, status: 'invalid_json', error: parseError.message }) || null;
       logger.error('Failed to parse AI response as JSON', {
+        model: modelUsed,
         error: parseError.message,
         response: text.slice(0, 500),
       });
-      throw new Error(`Invalid JSON response from AI: ${parseError.message}`);
+      const error = new Error(`Invalid JSON response from AI: ${parseError.message}`);
+      error.code = 'INVALID_JSON';
+      error.rawResponse = text;
+      error.callId = callId;
+      error.usage = usage;
+      error.cost = cost;
+      throw error;
     }
-  }, options);
+
+    const callId = recordCall({ ...ledgerEntry, status: 'ok' }) || null;
+    return { data: parsed.data, model: modelUsed, usage, cost, callId, repair: parsed.repair };
+  }, retryOptions);
 }
 
 /**
@@ -126,28 +375,38 @@ export async function processWithAI(prompt, options = {}) {
 export function createUsageTracker() {
   const stats = {
     calls: 0,
+    cacheHits: 0,
     inputTokens: 0,
     outputTokens: 0,
+    cost: 0,
   };
 
   return {
     track: (usage) => {
+      if (usage.cached) {
+        stats.cacheHits++;
+        return;
+      }
       stats.calls++;
       stats.inputTokens += usage.inputTokens || 0;
       stats.outputTokens += usage.outputTokens || 0;
+      stats.cost += usage.cost || 0;
     },
     getStats: () => ({ ...stats }),
     reset: () => {
       stats.calls = 0;
+      stats.cacheHits = 0;
       stats.inputTokens = 0;
       stats.outputTokens = 0;
+      stats.cost = 0;
     },
   };
 }
 
 export default {
-  getAIClient,
+  getProvider,
   processWithRetry,
+  isFatalError,
   processWithAI,
   createUsageTracker,
 };
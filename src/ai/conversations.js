@@ -0,0 +1,133 @@
+/**
+ * Conversation grouping for AI stages. Messages join one conversation when one
+ * replies to another, when they share a thread, or when they follow each other
+ * within a few minutes in the same channel. Batches built with
+ * createBatches(..., { groupBy: 'conversation_id' }) keep each conversation
+ * together, so a prompt sees a question next to its answers.
+ */
+
+import { loadConfig } from '../utils/config.js';
+import { getMessage } from '../storage/repositories/index.js';
+
+// Length of the excerpt sent for a replied-to message outside the prompt
+const REPLY_EXCERPT_LENGTH = 200;
+
+/**
+ * Group messages into conversations.
+ * @param {Object[]} messages - Message rows with id, channel_id, thread_id, reference_id and timestamp
+ * @param {Object} [options] - Grouping options; defaults come from ai.conversations
+ * @param {number} [options.gapMinutes] - Longest silence that still continues a channel conversation
+ * @param {number} [options.maxMessages] - Size at which time proximity stops growing a conversation;
+ *   replies and threads still join it
+ * @returns {Object[]} Conversations as { id, messages }, oldest first; id is the first message's ID
+ */
+export function buildConversations(messages, options = {}) {
+  const { gapMinutes = 5, maxMessages = 25 } = { ...loadConfig().ai.conversations, ...options };
+
+  const sorted = [...messages].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const indexById = new Map(sorted.map((msg, i) => [msg.id, i]));
+
+  // Union-find over message indexes, tracking each root's size
+  const parent = sorted.map((msg, i) => i);
+  const size = sorted.map(() => 1);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) return;
+    const [big, small] = size[rootA] >= size[rootB] ? [rootA, rootB] : [rootB, rootA];
+    parent[small] = big;
+    size[big] += size[small];
+  };
+
+  const firstInThread = new Map();
+  const lastInChannel = new Map();
+
+  sorted.forEach((msg, i) => {
+    if (msg.reference_id && indexById.has(msg.reference_id)) {
+      union(i, indexById.get(msg.reference_id));
+    }
+
+    if (msg.thread_id) {
+      if (firstInThread.has(msg.thread_id)) {
+        union(i, firstInThread.get(msg.thread_id));
+      } else {
+        firstInThread.set(msg.thread_id, i);
+      }
+      return;
+    }
+
+    // Outside threads, messages close together in a channel continue the conversation
+    const previous = lastInChannel.get(msg.channel_id);
+    lastInChannel.set(msg.channel_id, i);
+    if (previous === undefined) return;
+
+    const gap = new Date(msg.timestamp) - new Date(sorted[previous].timestamp);
+    if (gap <= gapMinutes * 60 * 1000 && size[find(previous)] < maxMessages) {
+      union(i, previous);
+    }
+  });
+
+  const conversations = new Map();
+  sorted.forEach((msg, i) => {
+    const root = find(i);
+    if (!conversations.has(root)) {
+      conversations.set(root, { id: msg.id, messages: [] });
+    }
+    conversations.get(root).messages.push(msg);
+  });
+
+  return [...conversations.values()];
+}
+
+/**
+ * Order messages by conversation and tag each with its conversation_id.
+ * Messages that stand alone get a null conversation_id.
+ * @param {Object[]} messages - Message rows, see buildConversations()
+ * @param {Object} [options] - Grouping options, see buildConversations()
+ * @returns {Object[]} Copies of the messages, each conversation contiguous
+ */
+export function assignConversations(messages, options = {}) {
+  return buildConversations(messages, options).flatMap((conversation) =>
+    conversation.messages.map((msg) => ({
+      ...msg,
+      conversation_id: conversation.messages.length > 1 ? conversation.id : null,
+    }))
+  );
+}
+
+/**
+ * Reply fields for a message sent to a prompt: the ID it replies to, plus an
+ * excerpt of that message when the prompt doesn't include it.
+ * @param {Object} db - Database connection
+ * @param {Object} message - Message row
+ * @param {Set<string>} includedIds - IDs of the messages sent along with it
+ * @returns {Object} { reply_to, reply_to_excerpt }, or {} for messages that aren't replies
+ */
+export function getReplyContext(db, message, includedIds) {
+  if (!message.reference_id) return {};
+  if (includedIds.has(message.reference_id)) {
+    return { reply_to: message.reference_id };
+  }
+
+  // Raw content like the messages themselves: clean_content has mentions resolved
+  // to display names, which prompt anonymization doesn't cover
+  const repliedTo = getMessage(db, message.reference_id);
+  const text = repliedTo?.content || repliedTo?.clean_content;
+  return {
+    reply_to: message.reference_id,
+    ...(text && { reply_to_excerpt: text.slice(0, REPLY_EXCERPT_LENGTH) }),
+  };
+}
+
+export default {
+  buildConversations,
+  assignConversations,
+  getReplyContext,
+};
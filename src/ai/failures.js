@@ -0,0 +1,65 @@
+/**
+ * Failure handling for batched stages. A failed batch is split in halves and
+ * retried down to single entities, so one message the model can't handle no
+ * longer sinks the messages batched with it. A batch that was only partly
+ * processed (some items got no result) has the rest re-queued as a batch of its
+ * own. Entities that still fail on their own go to the ai_failures dead-letter
+ * queue, which normal runs leave out until process failures retries or skips them.
+ */
+
+import { logger } from '../utils/logger.js';
+import { isFatalError } from './client.js';
+import { recordAIFailure, resolveAIFailures } from '../storage/repositories/index.js';
+
+/**
+ * Run a batch, bisecting it on failure.
+ * @param {Object[]} batch - Entities with an id
+ * @param {Function} run - async (items) => void; processes and stores the items, throws on failure.
+ *   An error with `remaining` (the items that got no result) means the others were stored.
+ * @param {Object} options - Failure options
+ * @param {Object} options.db - Database connection
+ * @param {string} options.stage - Stage name
+ * @param {string} [options.entityType='message'] - Entity type of the items
+ * @param {Function} [options.onFailure] - Called with (item, error) for each dead-lettered item
+ * @throws {Error} Fatal errors (see isFatalError()), which stop the stage
+ */
+export async function runWithBisect(batch, run, options) {
+  const { db, stage, entityType = 'message', onFailure } = options;
+
+  try {
+    await run(batch);
+    resolveAIFailures(db, stage, entityType, batch.map((item) => item.id));
+  } catch (error) {
+    if (isFatalError(error)) throw error;
+
+    const remaining = error.remaining || batch;
+    if (remaining.length < batch.length) {
+      const remainingIds = new Set(remaining.map((item) => item.id));
+      const processedIds = batch.map((item) => item.id).filter((id) => !remainingIds.has(id));
+      resolveAIFailures(db, stage, entityType, processedIds);
+      logger.warn(`${remaining.length} of ${batch.length} items got no result, re-queueing them`, { stage });
+      await runWithBisect(remaining, run, options);
+      return;
+    }
+
+    if (batch.length === 1) {
+      recordAIFailure(db, {
+        stage,
+        entity_type: entityType,
+        entity_id: batch[0].id,
+        error: error.message,
+        raw_response: error.rawResponse ?? null,
+        ai_call_id: error.callId ?? null,
+      });
+      onFailure?.(batch[0], error);
+      return;
+    }
+
+    const middle = Math.ceil(batch.length / 2);
+    logger.warn(`Batch of ${batch.length} failed, retrying in halves`, { stage, error: error.message });
+    await runWithBisect(batch.slice(0, middle), run, options);
+    await runWithBisect(batch.slice(middle), run, options);
+  }
+}
+
+export default { runWithBisect };
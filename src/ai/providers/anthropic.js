@@ -0,0 +1,70 @@
+/**
+ * Backend for Anthropic's Messages API.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+/**
+ * Create a provider that calls Anthropic directly.
+ * The Messages API has no JSON mode, so JSON requests prefill the reply with
+ * "{", which keeps the model from opening with prose or a code fence.
+ * @param {Object} options - Provider options.
+ * @param {string} [options.baseURL] - API base URL; the SDK default is api.anthropic.com.
+ * @param {string} [options.apiKey] - API key.
+ * @returns {Object} Provider with name and complete().
+ */
+export function createAnthropicProvider(options) {
+  const { baseURL, apiKey } = options;
+
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY is required for the anthropic provider');
+  }
+
+  const client = new Anthropic({ apiKey, baseURL: baseURL || undefined });
+
+  return {
+    name: 'anthropic',
+
+    /**
+     * Run one prompt.
+     * @param {Object} request - { prompt, model, temperature, maxTokens, json }.
+     * @returns {Promise<Object>} { text, model, usage: { inputTokens, outputTokens, cachedInputTokens, estimated } }.
+     */
+    complete: async ({ prompt, model, temperature, maxTokens, json = true }) => {
+      const messages = [{ role: 'user', content: prompt }];
+      if (json) {
+        messages.push({ role: 'assistant', content: '{' });
+      }
+
+      const response = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        messages,
+        ...(temperature !== undefined && { temperature }),
+      });
+
+      const content = response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      return {
+        text: json ? `{${content}` : content,
+        model: response.model || model,
+        // input_tokens leaves out prompt-cache reads and writes; count them as input
+        usage: {
+          inputTokens: (response.usage?.input_tokens || 0) +
+            (response.usage?.cache_read_input_tokens || 0) +
+            (response.usage?.cache_creation_input_tokens || 0),
+          outputTokens: response.usage?.output_tokens || 0,
+          cachedInputTokens: response.usage?.cache_read_input_tokens || 0,
+          estimated: false,
+        },
+      };
+    },
+  };
+}
+
+export default {
+  createAnthropicProvider,
+};
@@ -0,0 +1,66 @@
+/**
+ * LLM providers, selected by ai.provider.
+ *
+ * Every provider exposes the same interface:
+ *   name                        Provider name
+ *   complete({ prompt, model, temperature, maxTokens, json })
+ *     → { text, model, usage: { inputTokens, outputTokens, cachedInputTokens, estimated } }
+ * With json set the provider does whatever its API needs to get a bare JSON
+ * object back; text is still returned unparsed.
+ */
+
+import { createOpenAICompatibleProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+
+const PROVIDERS = {
+  openrouter: options => createOpenAICompatibleProvider({
+    name: 'openrouter',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    ...options,
+    baseURL: options.baseURL || 'https://openrouter.ai/api/v1',
+    defaultHeaders: {
+      'HTTP-Referer': 'https://github.com/stacks-discord-scraper',
+      'X-Title': 'Stacks Discord Scraper',
+    },
+  }),
+  openai: options => createOpenAICompatibleProvider({
+    name: 'openai',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    ...options,
+  }),
+  anthropic: options => createAnthropicProvider(options),
+  // Ollama, llama.cpp, vLLM, LM Studio... anything serving /v1/chat/completions
+  local: options => createOpenAICompatibleProvider({
+    name: 'local',
+    ...options,
+    baseURL: options.baseURL || 'http://localhost:11434/v1',
+    requireApiKey: false,
+  }),
+};
+
+/**
+ * Names of the available providers.
+ * @returns {string[]} Provider names.
+ */
+export function getProviderNames() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Create a provider by name.
+ * @param {string} name - Provider name (openrouter, openai, anthropic, local).
+ * @param {Object} [options] - { apiKey, baseURL, jsonMode } and other provider settings.
+ * @returns {Object} Provider.
+ */
+export function createProvider(name, options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider "${name}" (expected one of: ${getProviderNames().join(', ')})`);
+  }
+  return factory(options);
+}
+
+export default {
+  getProviderNames,
+  createProvider,
+};
@@ -0,0 +1,91 @@
+/**
+ * Backend for OpenAI's Chat Completions API and everything that speaks it:
+ * OpenAI itself, OpenRouter, and local servers such as Ollama or llama.cpp.
+ */
+
+import OpenAI from 'openai';
+import { estimateTokens } from '../tokens.js';
+
+/**
+ * Create a provider for an OpenAI-compatible chat completions endpoint.
+ * @param {Object} options - Provider options.
+ * @param {string} options.name - Provider name, for errors and usage.
+ * @param {string} [options.baseURL] - API base URL; the SDK default is api.openai.com.
+ * @param {string} [options.apiKey] - API key.
+ * @param {boolean} [options.requireApiKey=true] - Fail early without a key (local servers don't need one).
+ * @param {string} [options.apiKeyEnv] - Environment variable named in the missing-key error.
+ * @param {string} [options.jsonMode='json_object'] - 'json_object' to send
+ *   response_format, or 'none' for servers and models that reject it.
+ * @param {Object} [options.defaultHeaders] - Extra headers on every request.
+ * @returns {Object} Provider with name and complete().
+ */
+export function createOpenAICompatibleProvider(options) {
+  const {
+    name,
+    baseURL,
+    apiKey,
+    requireApiKey = true,
+    apiKeyEnv,
+    jsonMode = 'json_object',
+    defaultHeaders,
+  } = options;
+
+  if (requireApiKey && !apiKey) {
+    throw new Error(`${apiKeyEnv} is required for the ${name} provider`);
+  }
+
+  const client = new OpenAI({
+    baseURL: baseURL || undefined,
+    // The SDK insists on a key; local servers ignore it
+    apiKey: apiKey || 'not-needed',
+    defaultHeaders,
+  });
+
+  return {
+    name,
+
+    /**
+     * Run one prompt.
+     * @param {Object} request - { prompt, model, temperature, maxTokens, json }.
+     * @returns {Promise<Object>} { text, model, usage: { inputTokens, outputTokens, cachedInputTokens, estimated } }.
+     */
+    complete: async ({ prompt, model, temperature, maxTokens, json = true }) => {
+      const params = {
+        model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }],
+      };
+      if (temperature !== undefined) {
+        params.temperature = temperature;
+      }
+      if (json && jsonMode === 'json_object') {
+        params.response_format = { type: 'json_object' };
+      }
+
+      const response = await client.chat.completions.create(params);
+      // Fences or prose around the JSON are handled by parseJsonResponse()
+      const text = response.choices[0]?.message?.content || '';
+
+      // Some local servers leave usage out; fall back to an estimate
+      const usage = response.usage
+        ? {
+          inputTokens: response.usage.prompt_tokens || 0,
+          outputTokens: response.usage.completion_tokens || 0,
+          cachedInputTokens: response.usage.prompt_tokens_details?.cached_tokens || 0,
+          estimated: false,
+        }
+        : {
+          inputTokens: estimateTokens(prompt),
+          outputTokens: estimateTokens(text),
+          cachedInputTokens: 0,
+          estimated: true,
+        };
+
+      return { text, model: response.model || model, usage };
+    },
+  };
+}
+
+export default {
+  createOpenAICompatibleProvider,
+};
@@ -0,0 +1,131 @@
+/**
+ * Recovery for malformed model output. parseJsonResponse() accepts what models
+ * commonly wrap or break JSON with: code fences, prose around the object, and
+ * output cut off at the token limit (the incomplete tail is dropped). When a
+ * reply still can't be used, buildRepairPrompt() asks the model once more with
+ * the errors it made.
+ */
+
+import { buildPrompt } from './prompts.js';
+
+// How much of a rejected reply is quoted back to the model
+const MAX_QUOTED_RESPONSE = 4000;
+
+// Trailing cut points tried when closing truncated JSON
+const MAX_CUT_ATTEMPTS = 50;
+
+/**
+ * Take the JSON out of a reply: the contents of a code fence, or everything from
+ * the first { or [ on.
+ * @param {string} text - Model reply
+ * @returns {string} JSON text, possibly followed by other text
+ */
+function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*\n?([\s\S]*?)(?:```|$)/i);
+  const body = fenced ? fenced[1] : text;
+  const start = body.search(/[{[]/);
+  return (start >= 0 ? body.slice(start) : body).trim();
+}
+
+/**
+ * Drop anything after the last closing bracket, such as a closing remark.
+ * @param {string} json - JSON text from extractJson()
+ * @returns {string} JSON text
+ */
+function trimTrailingText(json) {
+  const end = Math.max(json.lastIndexOf('}'), json.lastIndexOf(']'));
+  return end >= 0 ? json.slice(0, end + 1) : json;
+}
+
+/**
+ * Parse the longest prefix of truncated JSON that forms complete values, closing
+ * whatever is still open. Cuts are made after a closed object or array, or between
+ * array elements, so a cut-off last element is dropped rather than kept half-done.
+ * @param {string} json - JSON text, possibly cut off
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} If no prefix can be closed into valid JSON
+ */
+function parseTruncated(json) {
+  const stack = [];
+  const cuts = []; // { at: end of prefix, closers: what closes it }
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      cuts.push({ at: i + 1, closers: [...stack].reverse().join('') });
+      if (stack.length === 0) break;
+    } else if (char === ',' && stack[stack.length - 1] === ']') {
+      // Every array element before a separator is complete
+      cuts.push({ at: i, closers: [...stack].reverse().join('') });
+    }
+  }
+
+  for (const cut of cuts.reverse().slice(0, MAX_CUT_ATTEMPTS)) {
+    try {
+      return JSON.parse(json.slice(0, cut.at) + cut.closers);
+    } catch {
+      // Try the previous cut point
+    }
+  }
+  throw new SyntaxError('Unexpected end of JSON input that could not be repaired');
+}
+
+/**
+ * Parse a model reply as JSON, repairing common damage.
+ * @param {string} text - Model reply
+ * @returns {Object} { data, repair } with repair null, 'extracted' (fences or surrounding
+ *   text removed) or 'truncated' (incomplete tail dropped)
+ * @throws {SyntaxError} The original parse error when the reply can't be repaired
+ */
+export function parseJsonResponse(text) {
+  try {
+    return { data: JSON.parse(text), repair: null };
+  } catch (parseError) {
+    const json = extractJson(text);
+    try {
+      return { data: JSON.parse(trimTrailingText(json)), repair: 'extracted' };
+    } catch {
+      try {
+        return { data: parseTruncated(json), repair: 'truncated' };
+      } catch {
+        throw parseError;
+      }
+    }
+  }
+}
+
+/**
+ * Build the follow-up prompt that asks the model to correct a rejected reply.
+ * @param {string} prompt - The original prompt
+ * @param {string} problem - Why the reply was rejected (parse or validation errors)
+ * @param {string} response - The rejected reply
+ * @returns {string} Prompt
+ */
+export function buildRepairPrompt(prompt, problem, response) {
+  return buildPrompt('repair-json', {
+    PROMPT: prompt,
+    PROBLEM: problem,
+    RESPONSE: response.length > MAX_QUOTED_RESPONSE
+      ? `${response.slice(0, MAX_QUOTED_RESPONSE)}\n[... cut ...]`
+      : response,
+  });
+}
+
+export default {
+  parseJsonResponse,
+  buildRepairPrompt,
+};
@@ -1,15 +1,18 @@
-import { loadConfig } from '../../utils/config.js';
+import { loadConfig, getStageConfig } from '../../utils/config.js';
 import { logger } from '../../utils/logger.js';
 import { processWithAI, createUsageTracker } from '../client.js';
 import { buildPrompt } from '../prompts.js';
 import { validateCategorizeResponse } from '../validation.js';
-import { createBatches, estimateBatchTokens } from '../tokens.js';
+import { createBatches, estimateBatchTokens, attributeUsage } from '../tokens.js';
 import { anonymizeMessages } from '../../utils/privacy.js';
+import { assignConversations, getReplyContext } from '../conversations.js';
+import { runWithBisect } from '../failures.js';
 import {
   getProcessedMessages,
   getAIProcessing,
   upsertAIProcessing,
-  getUser,
+  getUserWithRoles,
+  getDeadLetteredIds,
 } from '../../storage/repositories/index.js';
 
 /**
@@ -21,7 +24,8 @@ import {
  */
 export async function runCategorizeStage(db, options = {}) {
   const config = loadConfig();
-  const { limit, force = false, dryRun = false } = options;
+  const stageConfig = getStageConfig(config, 'categorize');
+  const { guildIds, limit, messageIds, force = false, dryRun = false } = options;
 
   const stageLogger = logger.child({ stage: 'categorize' });
   const usageTracker = createUsageTracker();
@@ -31,11 +35,16 @@ export async function runCategorizeStage(db, options = {}) {
 
   const filteredMessages = getProcessedMessages(db, 'filter', {
     keepOnly: true,
+    guildIds,
     limit: limit || 1000,
+    messageIds,
   });
 
-  // Filter to only those not yet categorized
+  // Filter to only those not yet categorized, leaving out the dead-letter
+  // queue unless its messages are retried by ID
+  const deadLettered = messageIds ? new Set() : getDeadLetteredIds(db, 'categorize', 'message');
   const toCategorize = filteredMessages.filter((msg) => {
+    if (deadLettered.has(msg.id)) return false;
     if (force) return true;
     const existing = getAIProcessing(db, 'message', msg.id, 'categorize');
     return !existing;
@@ -51,20 +60,26 @@ export async function runCategorizeStage(db, options = {}) {
 
   stageLogger.info(`Found ${toCategorize.length} messages to categorize`);
 
-  // Enrich with author info
-  const enrichedMessages = toCategorize.map((msg) => ({
+  // Reply excerpts depend on which batch a message lands in, so processBatch adds them
+  const sourceById = new Map(toCategorize.map((msg) => [msg.id, msg]));
+
+  // Enrich with conversation, reply and author info and roles
+  const enrichedMessages = assignConversations(toCategorize).map((msg) => ({
     id: msg.id,
+    ...(msg.conversation_id && { conversation_id: msg.conversation_id }),
+    ...(msg.reference_id && { reply_to: msg.reference_id }),
     content: msg.content || msg.clean_content || '',
     timestamp: msg.timestamp,
-    author: getUser(db, msg.author_id),
+    author: getUserWithRoles(db, msg.author_id, msg.guild_id),
     has_embeds: msg.has_embeds,
-    reaction_count: msg.reaction_count,
+    reaction_count: msg.engagement_count, // Excludes self-reactions and bots
   }));
 
-  // Create batches
+  // Create batches, keeping conversations together
   const batches = createBatches(enrichedMessages, {
-    maxTokens: config.ai.maxTokensPerBatch,
-    maxMessages: config.ai.batchSize,
+    maxTokens: stageConfig.maxTokensPerBatch,
+    maxMessages: stageConfig.batchSize,
+    groupBy: 'conversation_id',
   });
 
   stageLogger.info(`Split into ${batches.length} batches`);
@@ -93,63 +108,87 @@ export async function runCategorizeStage(db, options = {}) {
     errors: [],
   };
 
-  for (let i = 0; i < batches.length; i++) {
-    const batch = batches[i];
-    stageLogger.debug(`Processing batch ${i + 1}/${batches.length}`);
-
-    try {
-      // Anonymize if configured
-      let processedBatch = batch;
-      if (config.privacy.anonymizeInPrompts) {
-        const { messages: anonMessages } = anonymizeMessages(batch);
-        processedBatch = anonMessages;
-      }
-
-      // Build prompt
-      const prompt = buildPrompt('categorize', {
-        MESSAGES_JSON: JSON.stringify(processedBatch, null, 2),
-      });
+  // Process one batch of messages; throws when the AI call or its response fails
+  const processBatch = async (batch) => {
+    // Excerpts for replies whose parent isn't in this batch (batches split further on failure)
+    const batchIds = new Set(batch.map((msg) => msg.id));
+    let processedBatch = batch.map((msg) => ({
+      ...msg,
+      ...getReplyContext(db, sourceById.get(msg.id), batchIds),
+    }));
+
+    // Anonymize if configured
+    if (config.privacy.anonymizeInPrompts) {
+      const { messages: anonMessages } = anonymizeMessages(processedBatch);
+      processedBatch = anonMessages;
+    }
 
-      // Call AI
-      const response = await processWithAI(prompt, {
-        trackUsage: usageTracker.track,
+    // Build prompt
+    const prompt = buildPrompt('categorize', {
+      MESSAGES_JSON: JSON.stringify(processedBatch, null, 2),
+    });
+
+    // Call AI and validate the response
+    const response = await processWithAI(prompt, {
+      stage: 'categorize',
+      db,
+      trackUsage: usageTracker.track,
+      validate: validateCategorizeResponse,
+    });
+    const validated = response.data;
+
+    // Store results, each with its share of the call's tokens
+    const categorized = validated.categorizations
+      .map((cat) => ({ cat, originalMsg: batch.find((m) => m.id === cat.id) }))
+      .filter(({ originalMsg }) => originalMsg);
+    const shares = attributeUsage(response.usage, categorized.map(({ originalMsg }) => originalMsg));
+
+    categorized.forEach(({ cat, originalMsg }, j) => {
+      upsertAIProcessing(db, {
+        entity_type: 'message',
+        entity_id: originalMsg.id,
+        stage: 'categorize',
+        result_json: JSON.stringify(cat),
+        model_used: response.model,
+        ...shares[j],
+        ai_call_id: response.callId,
       });
 
-      // Validate
-      const validated = validateCategorizeResponse(response);
-
-      // Store results
-      for (const cat of validated.categorizations) {
-        const originalMsg = batch.find((m) => m.id === cat.id);
-        if (!originalMsg) continue;
-
-        upsertAIProcessing(db, {
-          entity_type: 'message',
-          entity_id: originalMsg.id,
-          stage: 'categorize',
-          result_json: JSON.stringify(cat),
-          model_used: config.ai.model,
-          tokens_in: null,
-          tokens_out: null,
-        });
-
-        results.processed++;
-
-        // Track statistics
-        results.byTopic[cat.primary_topic] = (results.byTopic[cat.primary_topic] || 0) + 1;
-        results.bySentiment[cat.sentiment] = (results.bySentiment[cat.sentiment] || 0) + 1;
-        results.byRelevance[cat.marketing_relevance] =
-          (results.byRelevance[cat.marketing_relevance] || 0) + 1;
-      }
-
-      stageLogger.debug(`Batch ${i + 1} complete`);
-    } catch (error) {
-      stageLogger.error(`Batch ${i + 1} failed`, { error: error.message });
-      results.errors.push({
-        batch: i + 1,
-        error: error.message,
-      });
+      results.processed++;
+
+      // Track statistics
+      results.byTopic[cat.primary_topic] = (results.byTopic[cat.primary_topic] || 0) + 1;
+      results.bySentiment[cat.sentiment] = (results.bySentiment[cat.sentiment] || 0) + 1;
+      results.byRelevance[cat.marketing_relevance] =
+        (results.byRelevance[cat.marketing_relevance] || 0) + 1;
+    });
+
+    stageLogger.debug(`Batch complete: ${categorized.length} categorized`);
+
+    // Messages the response left out are re-queued by runWithBisect()
+    const categorizedIds = new Set(categorized.map(({ originalMsg }) => originalMsg.id));
+    const missing = batch.filter((msg) => !categorizedIds.has(msg.id));
+    if (missing.length > 0) {
+      const error = new Error(`No categorization for ${missing.length} of ${batch.length} messages`);
+      error.remaining = missing;
+      error.rawResponse = JSON.stringify(response.data);
+      error.callId = response.callId;
+      throw error;
     }
+  };
+
+  for (let i = 0; i < batches.length; i++) {
+    stageLogger.debug(`Processing batch ${i + 1}/${batches.length}`);
+
+    // Failed batches are bisected down to single messages, which are dead-lettered
+    await runWithBisect(batches[i], processBatch, {
+      db,
+      stage: 'categorize',
+      onFailure: (message, error) => {
+        stageLogger.error(`Message ${message.id} failed on its own`, { error: error.message });
+        results.errors.push({ messageId: message.id, error: error.message });
+      },
+    });
   }
 
   results.usage = usageTracker.getStats();
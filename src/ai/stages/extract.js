@@ -1,18 +1,78 @@
-import { loadConfig } from '../../utils/config.js';
+import { loadConfig, getStageConfig } from '../../utils/config.js';
 import { logger } from '../../utils/logger.js';
-import { processWithAI, createUsageTracker } from '../client.js';
+import { processWithAI, createUsageTracker, isFatalError } from '../client.js';
 import { buildPrompt } from '../prompts.js';
 import { validateExtractResponse } from '../validation.js';
-import { createBatches, estimateBatchTokens } from '../tokens.js';
+import { createBatches, estimateBatchTokens, attributeUsage } from '../tokens.js';
 import { anonymizeMessages } from '../../utils/privacy.js';
+import { assignConversations, getReplyContext } from '../conversations.js';
 import {
   getProcessedMessages,
   getAIProcessing,
   upsertAIProcessing,
   upsertMarketingExtract,
-  getUser,
+  getUserWithRoles,
+  getScheduledEvents,
+  getMessageContentRefs,
 } from '../../storage/repositories/index.js';
 
+// Extract types as keyed in a message's 'extract' ai_processing result
+const EXTRACT_TYPES = {
+  quotes: 'quote',
+  announcements: 'announcement',
+  faqs: 'faq',
+};
+
+/**
+ * Record that messages went through one extractor. Each message keeps a single
+ * 'extract' row whose result holds, per type, the extracts made from it and its
+ * share of that call's tokens, so types run (and are retried) independently.
+ * @param {Object} db - Database connection
+ * @param {Array} messages - Messages sent to the extractor
+ * @param {string} type - Extract type ('quote', 'announcement' or 'faq')
+ * @param {Array} extracts - Validated extracts from the response
+ * @param {Object} response - processWithAI() response
+ */
+function recordMessageExtraction(db, messages, type, extracts, response) {
+  const shares = attributeUsage(response.usage, messages);
+  messages.forEach((msg, i) => {
+    const result = {
+      ...getAIProcessing(db, 'message', msg.id, 'extract')?.result,
+      [type]: {
+        extracts: extracts.filter((e) => (e.source_message_id || e.id) === msg.id).length,
+        ...shares[i],
+      },
+    };
+    const entries = Object.values(result);
+
+    upsertAIProcessing(db, {
+      entity_type: 'message',
+      entity_id: msg.id,
+      stage: 'extract',
+      result_json: JSON.stringify(result),
+      model_used: response.model,
+      tokens_in: entries.reduce((sum, entry) => sum + (entry.tokens_in || 0), 0),
+      tokens_out: entries.reduce((sum, entry) => sum + (entry.tokens_out || 0), 0),
+      ai_call_id: response.callId,
+    });
+  });
+}
+
+/**
+ * Whether a message from the extract query has been through one extractor.
+ * @param {Object} message - Message row with extract_result_json
+ * @param {string} key - Extract type key, see EXTRACT_TYPES
+ * @returns {boolean}
+ */
+function hasExtracted(message, key) {
+  if (!message.extract_result_json) return false;
+  try {
+    return key in JSON.parse(message.extract_result_json);
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Extract quotes and testimonials from messages.
  * @param {Object} db - Database connection
@@ -29,13 +89,13 @@ async function extractQuotes(db, messages, options = {}) {
     return { extracted: 0, type: 'quote' };
   }
 
-  // Enrich with author info
+  // Enrich with author info and roles
   const enrichedMessages = messages.map((msg) => ({
     id: msg.id,
     content: msg.content || msg.clean_content || '',
     timestamp: msg.timestamp,
-    author: getUser(db, msg.author_id),
-    reaction_count: msg.reaction_count,
+    author: getUserWithRoles(db, msg.author_id, msg.guild_id),
+    reaction_count: msg.engagement_count, // Excludes self-reactions and bots
   }));
 
   // Anonymize if configured
@@ -62,13 +122,14 @@ async function extractQuotes(db, messages, options = {}) {
     MESSAGES_JSON: JSON.stringify(processedMessages, null, 2),
   });
 
-  // Call AI
+  // Call AI and validate the response
   const response = await processWithAI(prompt, {
+    stage: 'extract',
+    db,
     trackUsage: usageTracker.track,
+    validate: validateExtractResponse,
   });
-
-  // Validate
-  const validated = validateExtractResponse(response);
+  const validated = response.data;
 
   // Store extracts
   let extracted = 0;
@@ -93,6 +154,8 @@ async function extractQuotes(db, messages, options = {}) {
     extracted++;
   }
 
+  recordMessageExtraction(db, messages, 'quote', validated.extracts, response);
+
   return {
     type: 'quote',
     extracted,
@@ -116,13 +179,13 @@ async function extractAnnouncements(db, messages, options = {}) {
     return { extracted: 0, type: 'announcement' };
   }
 
-  // Enrich with author info
+  // Enrich with author info and roles
   const enrichedMessages = messages.map((msg) => ({
     id: msg.id,
     content: msg.content || msg.clean_content || '',
     timestamp: msg.timestamp,
-    author: getUser(db, msg.author_id),
-    reaction_count: msg.reaction_count,
+    author: getUserWithRoles(db, msg.author_id, msg.guild_id),
+    reaction_count: msg.engagement_count, // Excludes self-reactions and bots
     has_embeds: msg.has_embeds,
   }));
 
@@ -141,13 +204,14 @@ async function extractAnnouncements(db, messages, options = {}) {
     MESSAGES_JSON: JSON.stringify(enrichedMessages, null, 2),
   });
 
-  // Call AI
+  // Call AI and validate the response
   const response = await processWithAI(prompt, {
+    stage: 'extract',
+    db,
     trackUsage: usageTracker.track,
+    validate: validateExtractResponse,
   });
-
-  // Validate
-  const validated = validateExtractResponse(response);
+  const validated = response.data;
 
   // Store extracts
   let extracted = 0;
@@ -169,6 +233,8 @@ async function extractAnnouncements(db, messages, options = {}) {
     extracted++;
   }
 
+  recordMessageExtraction(db, messages, 'announcement', validated.extracts, response);
+
   return {
     type: 'announcement',
     extracted,
@@ -176,6 +242,113 @@ async function extractAnnouncements(db, messages, options = {}) {
   };
 }
 
+/**
+ * Extract announcements from guild scheduled events (AMAs, community calls).
+ * @param {Object} db - Database connection
+ * @param {Array} events - Scheduled event rows
+ * @param {Object} options - Processing options
+ * @returns {Promise<Object>} Extraction results
+ */
+async function extractEventAnnouncements(db, events, options = {}) {
+  const { dryRun = false } = options;
+  const usageTracker = createUsageTracker();
+
+  if (events.length === 0) {
+    return { extracted: 0, type: 'announcement' };
+  }
+
+  const eventData = events.map((event) => ({
+    id: event.id,
+    name: event.name,
+    description: event.description,
+    scheduled_start_at: event.scheduled_start_at,
+    scheduled_end_at: event.scheduled_end_at,
+    status: event.status,
+    entity_type: event.entity_type,
+    location: event.location,
+    user_count: event.user_count,
+    url: event.url,
+  }));
+
+  if (dryRun) {
+    return {
+      dryRun: true,
+      type: 'announcement',
+      eventCount: events.length,
+      estimatedTokens: estimateBatchTokens(eventData),
+    };
+  }
+
+  const prompt = buildPrompt('extract-events', {
+    EVENTS_JSON: JSON.stringify(eventData, null, 2),
+  });
+
+  const response = await processWithAI(prompt, {
+    stage: 'extract',
+    db,
+    trackUsage: usageTracker.track,
+    validate: validateExtractResponse,
+  });
+  const validated = response.data;
+
+  let extracted = 0;
+  for (const extract of validated.extracts) {
+    const event = events.find((e) => e.id === extract.source_event_id);
+    if (!event) continue;
+
+    upsertMarketingExtract(db, {
+      guild_id: event.guild_id,
+      source_type: 'scheduled_event',
+      source_id: event.id,
+      extract_type: 'announcement',
+      title: extract.title || event.name,
+      content: extract.content,
+      formatted_content: extract.formatted_content || null,
+      relevance_score: extract.relevance_score || 0.7,
+      sentiment: extract.sentiment || 'neutral',
+      topics: JSON.stringify(extract.topics || []),
+      requires_permission: 0,
+      permission_granted: 0,
+    });
+
+    extracted++;
+  }
+
+  // Each event is only turned into announcements once
+  const shares = attributeUsage(response.usage, eventData);
+  events.forEach((event, i) => {
+    upsertAIProcessing(db, {
+      entity_type: 'scheduled_event',
+      entity_id: event.id,
+      stage: 'extract',
+      result_json: JSON.stringify({ extracts: validated.extracts.filter((e) => e.source_event_id === event.id).length }),
+      model_used: response.model,
+      ...shares[i],
+      ai_call_id: response.callId,
+    });
+  });
+
+  return {
+    type: 'announcement',
+    extracted,
+    usage: usageTracker.getStats(),
+  };
+}
+
+/**
+ * Documentation links in a message, from its parsed content.
+ * @param {Object} db - Database connection
+ * @param {string} messageId - Message ID
+ * @param {string[]} docsDomains - Documentation domains; subdomains match too. Empty matches every link.
+ * @returns {string[]} Link URLs
+ */
+function getRelatedDocs(db, messageId, docsDomains) {
+  return getMessageContentRefs(db, messageId).links
+    .filter(link => docsDomains.length === 0
+      || docsDomains.some(domain => link.domain === domain || link.domain.endsWith(`.${domain}`)))
+    .map(link => link.url);
+}
+
 /**
  * Extract FAQs (question-answer pairs) from messages.
  * @param {Object} db - Database connection
@@ -192,14 +365,26 @@ async function extractFAQs(db, messages, options = {}) {
     return { extracted: 0, type: 'faq' };
   }
 
-  // Enrich with author info
-  const enrichedMessages = messages.map((msg) => ({
-    id: msg.id,
-    content: msg.content || msg.clean_content || '',
-    timestamp: msg.timestamp,
-    author: getUser(db, msg.author_id),
-    reference_id: msg.reference_id, // Important for Q&A threading
-  }));
+  // Enrich with conversation and reply info (how questions meet their answers),
+  // author info, roles and any documentation links
+  const includedIds = new Set(messages.map((msg) => msg.id));
+  const enrichedMessages = messages.map((msg) => {
+    const enriched = {
+      id: msg.id,
+      ...(msg.conversation_id && { conversation_id: msg.conversation_id }),
+      ...getReplyContext(db, msg, includedIds),
+      content: msg.content || msg.clean_content || '',
+      timestamp: msg.timestamp,
+      author: getUserWithRoles(db, msg.author_id, msg.guild_id),
+    };
+
+    const relatedDocs = getRelatedDocs(db, msg.id, config.content.docsDomains);
+    if (relatedDocs.length > 0) {
+      enriched.related_docs = relatedDocs;
+    }
+
+    return enriched;
+  });
 
   // Anonymize
   let processedMessages = enrichedMessages;
@@ -223,13 +408,14 @@ async function extractFAQs(db, messages, options = {}) {
     MESSAGES_JSON: JSON.stringify(processedMessages, null, 2),
   });
 
-  // Call AI
+  // Call AI and validate the response
   const response = await processWithAI(prompt, {
+    stage: 'extract',
+    db,
     trackUsage: usageTracker.track,
+    validate: validateExtractResponse,
   });
-
-  // Validate
-  const validated = validateExtractResponse(response);
+  const validated = response.data;
 
   // Store extracts
   let extracted = 0;
@@ -251,6 +437,8 @@ async function extractFAQs(db, messages, options = {}) {
     extracted++;
   }
 
+  recordMessageExtraction(db, messages, 'faq', validated.extracts, response);
+
   return {
     type: 'faq',
     extracted,
@@ -265,9 +453,10 @@ async function extractFAQs(db, messages, options = {}) {
  * @returns {Promise<Object>} Processing results
  */
 export async function runExtractStage(db, options = {}) {
-  const config = loadConfig();
+  const stageConfig = getStageConfig(loadConfig(), 'extract');
   const {
     extractType = 'all', // 'quotes', 'announcements', 'faqs', or 'all'
+    guildIds,
     limit = 500,
     force = false,
     dryRun = false,
@@ -278,11 +467,33 @@ export async function runExtractStage(db, options = {}) {
   // Get messages that passed filter and categorization with high marketing relevance
   stageLogger.info('Fetching high-relevance messages for extraction');
 
+  const typesToRun =
+    extractType === 'all' ? ['quotes', 'announcements', 'faqs'] : [extractType];
+
+  // Messages every requested extractor has already been through are skipped
+  const typeKeys = typesToRun.map((type) => EXTRACT_TYPES[type]).filter(Boolean);
+  const pendingCondition = force || typeKeys.length === 0
+    ? ''
+    : `AND (
+          ap_ext.id IS NULL
+          OR ${typeKeys.map((key) => `json_extract(ap_ext.result_json, '$.${key}') IS NULL`).join(' OR ')}
+        )`;
+
+  const params = [];
+  let guildCondition = '';
+  if (guildIds?.length) {
+    guildCondition = `AND m.channel_id IN (
+          SELECT id FROM channels WHERE guild_id IN (${guildIds.map(() => '?').join(', ')})
+        )`;
+    params.push(...guildIds);
+  }
+
   const messages = db
     .prepare(
       `
-      SELECT m.*
+      SELECT m.*, c.guild_id, ap_ext.result_json AS extract_result_json
       FROM messages m
+      LEFT JOIN channels c ON c.id = m.channel_id
       JOIN ai_processing ap_filter
         ON ap_filter.entity_type = 'message'
         AND ap_filter.entity_id = m.id
@@ -292,22 +503,37 @@ export async function runExtractStage(db, options = {}) {
         ON ap_cat.entity_type = 'message'
         AND ap_cat.entity_id = m.id
         AND ap_cat.stage = 'categorize'
-      WHERE (
-        ap_cat.id IS NULL
-        OR json_extract(ap_cat.result_json, '$.marketing_relevance') IN ('high', 'medium')
-      )
+      LEFT JOIN ai_processing ap_ext
+        ON ap_ext.entity_type = 'message'
+        AND ap_ext.entity_id = m.id
+        AND ap_ext.stage = 'extract'
+      WHERE m.deleted_at IS NULL
+        AND (
+          ap_cat.id IS NULL
+          OR json_extract(ap_cat.result_json, '$.marketing_relevance') IN ('high', 'medium')
+        )
+        ${pendingCondition}
+        ${guildCondition}
       ORDER BY m.timestamp DESC
       LIMIT ?
     `
     )
-    .all(limit);
+    .all(...params, limit);
 
-  if (messages.length === 0) {
+  // Scheduled events that haven't been turned into announcements yet
+  const events = typesToRun.includes('announcements')
+    ? getScheduledEvents(db, { guildIds }).filter(
+      (event) => event.status !== 'canceled' &&
+        (force || !getAIProcessing(db, 'scheduled_event', event.id, 'extract'))
+    )
+    : [];
+
+  if (messages.length === 0 && events.length === 0) {
     stageLogger.info('No messages available for extraction');
     return { processed: 0, extracts: {} };
   }
 
-  stageLogger.info(`Found ${messages.length} messages for extraction`);
+  stageLogger.info(`Found ${messages.length} messages and ${events.length} scheduled events for extraction`);
 
   const results = {
     processed: messages.length,
@@ -321,13 +547,11 @@ export async function runExtractStage(db, options = {}) {
     faqs: extractFAQs,
   };
 
-  const typesToRun =
-    extractType === 'all' ? Object.keys(extractors) : [extractType];
-
-  // Create batches for processing
-  const batches = createBatches(messages, {
-    maxTokens: config.ai.maxTokensPerBatch,
-    maxMessages: config.ai.batchSize,
+  // Create batches for processing, keeping conversations together
+  const batches = createBatches(assignConversations(messages), {
+    maxTokens: stageConfig.maxTokensPerBatch,
+    maxMessages: stageConfig.batchSize,
+    groupBy: 'conversation_id',
   });
 
   for (const type of typesToRun) {
@@ -342,17 +566,28 @@ export async function runExtractStage(db, options = {}) {
     let typeResults = { extracted: 0, type };
 
     for (let i = 0; i < batches.length; i++) {
+      const pending = force
+        ? batches[i]
+        : batches[i].filter((msg) => !hasExtracted(msg, EXTRACT_TYPES[type]));
+      if (pending.length === 0) continue;
+
       try {
-        const batchResult = await extractor(db, batches[i], { dryRun });
+        const batchResult = await extractor(db, pending, { dryRun });
         typeResults.extracted += batchResult.extracted || 0;
 
         if (batchResult.usage) {
-          typeResults.usage = typeResults.usage || { calls: 0, inputTokens: 0, outputTokens: 0 };
+          typeResults.usage = typeResults.usage || { calls: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
           typeResults.usage.calls += batchResult.usage.calls || 0;
+          typeResults.usage.cacheHits += batchResult.usage.cacheHits || 0;
           typeResults.usage.inputTokens += batchResult.usage.inputTokens || 0;
           typeResults.usage.outputTokens += batchResult.usage.outputTokens || 0;
+          typeResults.usage.cost += batchResult.usage.cost || 0;
+        }
+        if (batchResult.dryRun) {
+          typeResults.estimatedTokens = (typeResults.estimatedTokens || 0) + batchResult.estimatedTokens;
         }
       } catch (error) {
+        if (isFatalError(error)) throw error;
         stageLogger.error(`${type} extraction failed for batch ${i + 1}`, {
           error: error.message,
         });
@@ -364,7 +599,47 @@ export async function runExtractStage(db, options = {}) {
     stageLogger.info(`${type}: Extracted ${typeResults.extracted} items`);
   }
 
+  // Scheduled events are a second announcement source next to messages
+  if (events.length > 0) {
+    const typeResults = results.extracts.announcements || { extracted: 0, type: 'announcements' };
+    typeResults.events = events.length;
+
+    for (let i = 0; i < events.length; i += stageConfig.batchSize) {
+      try {
+        const batchResult = await extractEventAnnouncements(db, events.slice(i, i + stageConfig.batchSize), { dryRun });
+        typeResults.extracted += batchResult.extracted || 0;
+
+        if (batchResult.usage) {
+          typeResults.usage = typeResults.usage || { calls: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+          typeResults.usage.calls += batchResult.usage.calls || 0;
+          typeResults.usage.cacheHits += batchResult.usage.cacheHits || 0;
+          typeResults.usage.inputTokens += batchResult.usage.inputTokens || 0;
+          typeResults.usage.outputTokens += batchResult.usage.outputTokens || 0;
+          typeResults.usage.cost += batchResult.usage.cost || 0;
+        }
+        if (batchResult.dryRun) {
+          typeResults.estimatedTokens = (typeResults.estimatedTokens || 0) + batchResult.estimatedTokens;
+        }
+      } catch (error) {
+        if (isFatalError(error)) throw error;
+        stageLogger.error('Announcement extraction failed for scheduled events', {
+          error: error.message,
+        });
+        results.errors.push({ type: 'announcements', source: 'scheduled_events', error: error.message });
+      }
+    }
+
+    results.extracts.announcements = typeResults;
+    stageLogger.info(`announcements: ${typeResults.extracted} items including ${events.length} scheduled events`);
+  }
+
   return results;
 }
 
-export default { runExtractStage, extractQuotes, extractAnnouncements, extractFAQs };
+export default {
+  runExtractStage,
+  extractQuotes,
+  extractAnnouncements,
+  extractEventAnnouncements,
+  extractFAQs,
+};
@@ -1,16 +1,24 @@
-import { loadConfig } from '../../utils/config.js';
+import { loadConfig, getStageConfig } from '../../utils/config.js';
 import { logger } from '../../utils/logger.js';
 import { processWithAI, createUsageTracker } from '../client.js';
 import { buildPrompt } from '../prompts.js';
 import { validateFilterResponse } from '../validation.js';
-import { createBatches, estimateBatchTokens } from '../tokens.js';
+import { createBatches, estimateBatchTokens, attributeUsage } from '../tokens.js';
 import { anonymizeMessages } from '../../utils/privacy.js';
+import { assignConversations, getReplyContext } from '../conversations.js';
+import { runWithBisect } from '../failures.js';
+import { getMessageTypeName } from '../../scraper/messages.js';
 import {
   getUnprocessedMessages,
   upsertAIProcessing,
-  getUser,
+  getUserWithRoles,
+  isMessagePinned,
+  getPoll,
 } from '../../storage/repositories/index.js';
 
+// Regular messages and replies; any other type is named in the prompt
+const PLAIN_MESSAGE_TYPES = new Set([0, 19]);
+
 /**
  * Run the filter stage on messages.
  * @param {Object} db - Database connection
@@ -19,11 +27,14 @@ import {
  */
 export async function runFilterStage(db, options = {}) {
   const config = loadConfig();
+  const stageConfig = getStageConfig(config, 'filter');
   const {
     channelId,
+    guildIds,
     startDate,
     endDate,
     limit,
+    messageIds,
     force = false,
     dryRun = false,
   } = options;
@@ -35,9 +46,11 @@ export async function runFilterStage(db, options = {}) {
   stageLogger.info('Fetching unprocessed messages');
   const messages = getUnprocessedMessages(db, 'filter', {
     channelId,
+    guildIds,
     startDate,
     endDate,
     limit,
+    messageIds,
   });
 
   if (messages.length === 0) {
@@ -52,21 +65,43 @@ export async function runFilterStage(db, options = {}) {
 
   stageLogger.info(`Found ${messages.length} messages to process`);
 
-  // Enrich messages with author info
-  const enrichedMessages = messages.map((msg) => ({
-    id: msg.id,
-    content: msg.content || msg.clean_content || '',
-    timestamp: msg.timestamp,
-    author: getUser(db, msg.author_id),
-    has_embeds: msg.has_embeds,
-    has_attachments: msg.has_attachments,
-    reaction_count: msg.reaction_count,
-  }));
-
-  // Create batches
+  // Reply excerpts depend on which batch a message lands in, so processBatch adds them
+  const sourceById = new Map(messages.map((msg) => [msg.id, msg]));
+
+  // Enrich messages with author info and roles, plus conversation, reply, pin, poll
+  // and type details only where they apply so ordinary messages don't cost extra tokens
+  const enrichedMessages = assignConversations(messages).map((msg) => {
+    const poll = getPoll(db, msg.id);
+    return {
+      id: msg.id,
+      ...(msg.conversation_id && { conversation_id: msg.conversation_id }),
+      ...(msg.reference_id && { reply_to: msg.reference_id }),
+      content: msg.content || msg.clean_content || '',
+      timestamp: msg.timestamp,
+      author: getUserWithRoles(db, msg.author_id, msg.guild_id),
+      has_embeds: msg.has_embeds,
+      has_attachments: msg.has_attachments,
+      reaction_count: msg.engagement_count, // Excludes self-reactions and bots
+      ...(!PLAIN_MESSAGE_TYPES.has(msg.message_type) && {
+        message_type: getMessageTypeName(msg.message_type),
+      }),
+      ...(isMessagePinned(db, msg.id) && { is_pinned: true }),
+      ...(poll && {
+        poll: {
+          question: poll.question,
+          answers: poll.answers.map((answer) => ({ text: answer.text, votes: answer.vote_count })),
+          total_votes: poll.total_votes,
+          is_finalized: Boolean(poll.is_finalized),
+        },
+      }),
+    };
+  });
+
+  // Create batches, keeping conversations together
   const batches = createBatches(enrichedMessages, {
-    maxTokens: config.ai.maxTokensPerBatch,
-    maxMessages: config.ai.batchSize,
+    maxTokens: stageConfig.maxTokensPerBatch,
+    maxMessages: stageConfig.batchSize,
+    groupBy: 'conversation_id',
   });
 
   stageLogger.info(`Split into ${batches.length} batches`);
@@ -94,67 +129,93 @@ export async function runFilterStage(db, options = {}) {
     errors: [],
   };
 
-  for (let i = 0; i < batches.length; i++) {
-    const batch = batches[i];
-    stageLogger.debug(`Processing batch ${i + 1}/${batches.length} (${batch.length} messages)`);
-
-    try {
-      // Anonymize if configured
-      let processedBatch = batch;
-      if (config.privacy.anonymizeInPrompts) {
-        const { messages: anonMessages } = anonymizeMessages(batch);
-        processedBatch = anonMessages;
-      }
+  // Process one batch of messages; throws when the AI call or its response fails
+  const processBatch = async (batch) => {
+    // Excerpts for replies whose parent isn't in this batch (batches split further on failure)
+    const batchIds = new Set(batch.map((msg) => msg.id));
+    let processedBatch = batch.map((msg) => ({
+      ...msg,
+      ...getReplyContext(db, sourceById.get(msg.id), batchIds),
+    }));
+
+    // Anonymize if configured
+    if (config.privacy.anonymizeInPrompts) {
+      const { messages: anonMessages } = anonymizeMessages(processedBatch);
+      processedBatch = anonMessages;
+    }
 
-      // Build prompt
-      const prompt = buildPrompt('filter', {
-        MESSAGES_JSON: JSON.stringify(processedBatch, null, 2),
-      });
+    // Build prompt
+    const prompt = buildPrompt('filter', {
+      MESSAGES_JSON: JSON.stringify(processedBatch, null, 2),
+    });
+
+    // Call AI and validate the response
+    const response = await processWithAI(prompt, {
+      stage: 'filter',
+      db,
+      trackUsage: usageTracker.track,
+      validate: validateFilterResponse,
+    });
+    const validated = response.data;
+
+    // Pair decisions with original messages (IDs may be different if anonymized)
+    const decided = [];
+    for (const decision of validated.decisions) {
+      const originalMsg = batch.find((m) => m.id === decision.id);
+      if (!originalMsg) {
+        stageLogger.warn(`Decision for unknown message: ${decision.id}`);
+        continue;
+      }
+      decided.push({ decision, originalMsg });
+    }
 
-      // Call AI
-      const response = await processWithAI(prompt, {
-        trackUsage: usageTracker.track,
+    // Store results, each with its share of the call's tokens
+    const shares = attributeUsage(response.usage, decided.map(({ originalMsg }) => originalMsg));
+    decided.forEach(({ decision, originalMsg }, j) => {
+      upsertAIProcessing(db, {
+        entity_type: 'message',
+        entity_id: originalMsg.id,
+        stage: 'filter',
+        result_json: JSON.stringify(decision),
+        model_used: response.model,
+        ...shares[j],
+        ai_call_id: response.callId,
       });
 
-      // Validate response
-      const validated = validateFilterResponse(response);
-
-      // Store results
-      for (const decision of validated.decisions) {
-        // Find original message ID (may be different if anonymized)
-        const originalMsg = batch.find((m) => m.id === decision.id);
-        if (!originalMsg) {
-          stageLogger.warn(`Decision for unknown message: ${decision.id}`);
-          continue;
-        }
-
-        upsertAIProcessing(db, {
-          entity_type: 'message',
-          entity_id: originalMsg.id,
-          stage: 'filter',
-          result_json: JSON.stringify(decision),
-          model_used: config.ai.model,
-          tokens_in: null,
-          tokens_out: null,
-        });
-
-        results.processed++;
-        if (decision.keep) {
-          results.kept++;
-        } else {
-          results.discarded++;
-        }
+      results.processed++;
+      if (decision.keep) {
+        results.kept++;
+      } else {
+        results.discarded++;
       }
-
-      stageLogger.debug(`Batch ${i + 1} complete: ${validated.decisions.length} decisions`);
-    } catch (error) {
-      stageLogger.error(`Batch ${i + 1} failed`, { error: error.message });
-      results.errors.push({
-        batch: i + 1,
-        error: error.message,
-        messageIds: batch.map((m) => m.id),
-      });
+    });
+
+    stageLogger.debug(`Batch complete: ${validated.decisions.length} decisions`);
+
+    // Messages the response left out are re-queued by runWithBisect()
+    const decidedIds = new Set(decided.map(({ originalMsg }) => originalMsg.id));
+    const missing = batch.filter((msg) => !decidedIds.has(msg.id));
+    if (missing.length > 0) {
+      const error = new Error(`No decision for ${missing.length} of ${batch.length} messages`);
+      error.remaining = missing;
+      error.rawResponse = JSON.stringify(response.data);
+      error.callId = response.callId;
+      throw error;
     }
+  };
+
+  for (let i = 0; i < batches.length; i++) {
+    stageLogger.debug(`Processing batch ${i + 1}/${batches.length} (${batches[i].length} messages)`);
+
+    // A budget cap stops the whole stage; other failures are bisected and dead-lettered
+    await runWithBisect(batches[i], processBatch, {
+      db,
+      stage: 'filter',
+      onFailure: (message, error) => {
+        stageLogger.error(`Message ${message.id} failed on its own`, { error: error.message });
+        results.errors.push({ messageId: message.id, error: error.message });
+      },
+    });
   }
 
   results.usage = usageTracker.getStats();
@@ -0,0 +1,389 @@
+import { loadConfig, getStageConfig } from '../../utils/config.js';
+import { logger } from '../../utils/logger.js';
+import { processWithAI, createUsageTracker, isFatalError } from '../client.js';
+import { buildPrompt } from '../prompts.js';
+import { validateFormatResponse } from '../validation.js';
+import { createBatches, estimateBatchTokens, attributeUsage } from '../tokens.js';
+import {
+  upsertAIProcessing,
+  upsertContentDraft,
+  getDraftStatuses,
+  getExtractsToFormat,
+  getSummariesToFormat,
+  recordAIFailure,
+  resolveAIFailures,
+} from '../../storage/repositories/index.js';
+
+// Platforms drafts are written for, with default length limits that
+// ai.stages.format.limits can override. Parts are thread posts or outline sections.
+export const PLATFORMS = {
+  x_thread: {
+    label: 'X/Twitter thread',
+    limits: { maxParts: 8, maxCharsPerPart: 280 },
+  },
+  linkedin: {
+    label: 'LinkedIn post',
+    limits: { maxChars: 3000 },
+  },
+  newsletter: {
+    label: 'Newsletter blurb',
+    limits: { maxChars: 600 },
+  },
+  blog_outline: {
+    label: 'Blog post outline',
+    limits: { maxParts: 8 },
+  },
+};
+
+// Source kinds: 'extracts' and the summary entity types they read
+const SUMMARY_SOURCES = {
+  daily_summaries: 'daily_summary',
+  weekly_summaries: 'weekly_summary',
+};
+
+/**
+ * Describe the requested platforms and their limits for the prompt.
+ * @param {string[]} platforms - Platform names
+ * @param {Object} limits - Limits per platform
+ * @returns {string} One line per platform
+ */
+function describePlatforms(platforms, limits) {
+  return platforms
+    .map((platform) => {
+      const { maxChars, maxParts, maxCharsPerPart } = limits[platform];
+      const rules = [
+        maxParts && `at most ${maxParts} ${platform === 'x_thread' ? 'posts' : 'sections'}`,
+        maxCharsPerPart && `each post at most ${maxCharsPerPart} characters`,
+        maxChars && `at most ${maxChars} characters`,
+      ].filter(Boolean);
+      return `- ${platform} (${PLATFORMS[platform].label}): ${rules.join(', ')}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Turn a validated draft into the text that gets stored.
+ * @param {Object} draft - Draft from the AI response
+ * @returns {Object} { body, parts } with parts null for single-text platforms
+ */
+function renderDraft(draft) {
+  if (draft.platform === 'x_thread') {
+    return { body: draft.posts.join('\n\n'), parts: draft.posts };
+  }
+
+  if (draft.platform === 'blog_outline') {
+    const sections = draft.sections.map((section) =>
+      [`## ${section.heading}`, ...(section.points || []).map((point) => `- ${point}`)].join('\n')
+    );
+    return { body: [`# ${draft.title}`, ...sections].join('\n\n'), parts: draft.sections };
+  }
+
+  return { body: draft.body, parts: null };
+}
+
+/**
+ * Check a rendered draft against its platform's limits.
+ * @param {Object} rendered - { body, parts } from renderDraft()
+ * @param {Object} limits - { maxChars, maxParts, maxCharsPerPart }
+ * @returns {string|null} What is over the limit, or null if the draft fits
+ */
+function checkDraftLimits(rendered, limits) {
+  const { maxChars, maxParts, maxCharsPerPart } = limits;
+
+  if (maxChars && rendered.body.length > maxChars) {
+    return `${rendered.body.length} characters (max ${maxChars})`;
+  }
+  if (maxParts && rendered.parts?.length > maxParts) {
+    return `${rendered.parts.length} parts (max ${maxParts})`;
+  }
+  const longPart = maxCharsPerPart && rendered.parts?.findIndex((part) => part.length > maxCharsPerPart);
+  if (longPart >= 0) {
+    return `part ${longPart + 1} has ${rendered.parts[longPart].length} characters (max ${maxCharsPerPart})`;
+  }
+  return null;
+}
+
+/**
+ * Collect the extracts and summaries to format.
+ * @param {Object} db - Database connection
+ * @param {Object} formatConfig - ai.stages.format
+ * @param {Object} options - { guildIds, limit, force, maxAttempts, sourceIds }
+ * @returns {Object[]} Sources with { key, source_type, source_id, guild_id, payload }
+ */
+function getSources(db, formatConfig, options) {
+  const { guildIds, limit, force, maxAttempts, sourceIds } = options;
+  const sources = [];
+
+  for (const kind of formatConfig.sources || ['extracts', 'weekly_summaries']) {
+    if (kind === 'extracts') {
+      const extracts = getExtractsToFormat(db, {
+        guildIds,
+        minRelevance: formatConfig.minRelevance,
+        force,
+        maxAttempts,
+        ids: sourceIds && (sourceIds.marketing_extract || []),
+        limit,
+      });
+      for (const extract of extracts) {
+        sources.push({
+          key: `marketing_extract:${extract.id}`,
+          source_type: 'marketing_extract',
+          source_id: String(extract.id),
+          guild_id: extract.guild_id,
+          payload: {
+            kind: extract.extract_type,
+            title: extract.title,
+            content: extract.content,
+            topics: JSON.parse(extract.topics || '[]'),
+            relevance_score: extract.relevance_score,
+          },
+        });
+      }
+    } else if (SUMMARY_SOURCES[kind]) {
+      const summaries = getSummariesToFormat(db, SUMMARY_SOURCES[kind], {
+        guildIds,
+        force,
+        maxAttempts,
+        ids: sourceIds && (sourceIds[SUMMARY_SOURCES[kind]] || []),
+        limit,
+      });
+      for (const row of summaries) {
+        // Message IDs mean nothing outside Discord
+        const summary = { ...row.summary };
+        delete summary.notable_messages;
+        sources.push({
+          key: `${row.entity_type}:${row.entity_id}`,
+          source_type: row.entity_type,
+          source_id: row.entity_id,
+          guild_id: row.guild_id,
+          payload: { kind: row.entity_type, period: row.entity_id.slice(row.entity_id.indexOf(':') + 1), ...summary },
+        });
+      }
+    } else {
+      logger.warn(`Unknown format source: ${kind}`);
+    }
+  }
+
+  return limit ? sources.slice(0, limit) : sources;
+}
+
+/**
+ * Record a source that didn't get every platform drafted. Sources are retried on
+ * later runs until they have failed ai.stages.format.maxAttempts times; after
+ * that they wait in the dead-letter queue for process failures retry.
+ * @param {Object} db - Database connection
+ * @param {Object} source - Source from getSources()
+ * @param {Object} failure - { error, raw_response, ai_call_id }
+ */
+function recordFormatFailure(db, source, failure) {
+  recordAIFailure(db, {
+    stage: 'format',
+    entity_type: source.source_type,
+    entity_id: source.source_id,
+    ...failure,
+  });
+}
+
+/**
+ * Run the format stage: write platform drafts for extracts and summaries.
+ * Only platforms without a stored draft are requested (with force, every platform
+ * whose draft hasn't been reviewed yet). A source counts as formatted once a draft
+ * within limits is stored for every platform.
+ * @param {Object} db - Database connection
+ * @param {Object} options - Processing options
+ * @param {Object} [options.sourceIds] - Only these sources, as { source_type: [source_id] };
+ *   used to retry dead-lettered sources
+ * @returns {Promise<Object>} Processing results
+ */
+export async function runFormatStage(db, options = {}) {
+  const config = loadConfig();
+  const stageConfig = getStageConfig(config, 'format');
+  const formatConfig = config.ai.stages?.format || {};
+  const { guildIds, limit, sourceIds, force = false, dryRun = false } = options;
+
+  const stageLogger = logger.child({ stage: 'format' });
+  const usageTracker = createUsageTracker();
+
+  const platforms = formatConfig.platforms || Object.keys(PLATFORMS);
+  const unknown = platforms.filter((platform) => !PLATFORMS[platform]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown format platform(s): ${unknown.join(', ')}. Available: ${Object.keys(PLATFORMS).join(', ')}`);
+  }
+  const limits = Object.fromEntries(
+    platforms.map((platform) => [platform, { ...PLATFORMS[platform].limits, ...formatConfig.limits?.[platform] }])
+  );
+
+  stageLogger.info('Fetching extracts and summaries to format');
+  const sources = getSources(db, formatConfig, {
+    guildIds,
+    limit,
+    force,
+    maxAttempts: formatConfig.maxAttempts ?? 3,
+    sourceIds,
+  }).filter((source) => {
+    // Reviewed drafts are never replaced, so they aren't requested again
+    const statuses = getDraftStatuses(db, source.source_type, source.source_id);
+    source.platforms = platforms.filter((platform) =>
+      !statuses[platform] || (force && statuses[platform] === 'draft')
+    );
+    return source.platforms.length > 0;
+  });
+
+  if (sources.length === 0) {
+    stageLogger.info('Nothing to format');
+    return { processed: 0, drafts: {}, usage: usageTracker.getStats() };
+  }
+
+  // Batch on what the prompt carries, one item per source
+  const batches = createBatches(
+    sources.map((source) => ({
+      id: source.key,
+      ...(source.platforms.length < platforms.length && { platforms: source.platforms }),
+      ...source.payload,
+    })),
+    { maxTokens: stageConfig.maxTokensPerBatch, maxMessages: stageConfig.batchSize }
+  );
+
+  stageLogger.info(`Formatting ${sources.length} sources for ${platforms.join(', ')} in ${batches.length} batches`);
+
+  if (dryRun) {
+    const totalTokens = batches.reduce((sum, batch) => sum + estimateBatchTokens(batch), 0);
+    return {
+      dryRun: true,
+      messageCount: sources.length,
+      batchCount: batches.length,
+      estimatedTokens: totalTokens,
+    };
+  }
+
+  const results = {
+    processed: 0,
+    drafts: {},
+    errors: [],
+  };
+
+  for (let i = 0; i < batches.length; i++) {
+    const batch = batches[i];
+    stageLogger.debug(`Processing batch ${i + 1}/${batches.length} (${batch.length} sources)`);
+
+    try {
+      const prompt = buildPrompt('format', {
+        PLATFORMS: describePlatforms(platforms, limits),
+        SOURCES_JSON: JSON.stringify(batch, null, 2),
+      });
+
+      const response = await processWithAI(prompt, {
+        stage: 'format',
+        db,
+        trackUsage: usageTracker.track,
+        validate: validateFormatResponse,
+      });
+      const validated = response.data;
+
+      // Keep the drafts that fit, per source
+      const formatted = [];
+      for (const item of batch) {
+        const source = sources.find((s) => s.key === item.id);
+        const drafts = [];
+        const problems = [];
+
+        for (const platform of source.platforms) {
+          const draft = validated.drafts.find((d) => d.source_id === source.key && d.platform === platform);
+          if (!draft) {
+            results.errors.push({ source: source.key, platform, error: 'No draft returned' });
+            problems.push(`${platform}: no draft returned`);
+            continue;
+          }
+
+          const rendered = renderDraft(draft);
+          const overLimit = checkDraftLimits(rendered, limits[platform]);
+          if (overLimit) {
+            stageLogger.warn(`Draft for ${source.key} on ${platform} is over the limit: ${overLimit}`);
+            results.errors.push({ source: source.key, platform, error: `Over limit: ${overLimit}` });
+            problems.push(`${platform}: over the limit, ${overLimit}`);
+            continue;
+          }
+
+          drafts.push({ platform, title: draft.title || null, ...rendered });
+        }
+
+        if (problems.length > 0) {
+          recordFormatFailure(db, source, {
+            error: problems.join('; '),
+            raw_response: JSON.stringify(validated.drafts.filter((d) => d.source_id === source.key)),
+            ai_call_id: response.callId,
+          });
+        }
+
+        if (drafts.length > 0) {
+          formatted.push({ item, source, drafts });
+        }
+      }
+
+      // Store drafts, and mark sources with every platform drafted as formatted
+      const shares = attributeUsage(response.usage, formatted.map(({ item }) => item));
+      formatted.forEach(({ source, drafts }, j) => {
+        for (const draft of drafts) {
+          const stored = upsertContentDraft(db, {
+            guild_id: source.guild_id,
+            source_type: source.source_type,
+            source_id: source.source_id,
+            platform: draft.platform,
+            title: draft.title,
+            body: draft.body,
+            parts_json: draft.parts ? JSON.stringify(draft.parts) : null,
+            char_count: draft.body.length,
+            model_used: response.model,
+            ai_call_id: response.callId,
+          });
+          if (stored) {
+            results.drafts[draft.platform] = (results.drafts[draft.platform] || 0) + 1;
+          }
+        }
+
+        if (drafts.length === source.platforms.length) {
+          upsertAIProcessing(db, {
+            entity_type: source.source_type,
+            entity_id: source.source_id,
+            stage: 'format',
+            result_json: JSON.stringify({ platforms }),
+            model_used: response.model,
+            ...shares[j],
+            ai_call_id: response.callId,
+          });
+          resolveAIFailures(db, 'format', source.source_type, [source.source_id]);
+          results.processed++;
+        }
+      });
+
+      stageLogger.debug(`Batch ${i + 1} complete: ${formatted.length} sources drafted`);
+    } catch (error) {
+      if (isFatalError(error)) throw error;
+      stageLogger.error(`Batch ${i + 1} failed`, { error: error.message });
+      for (const item of batch) {
+        recordFormatFailure(db, sources.find((s) => s.key === item.id), {
+          error: error.message,
+          raw_response: error.rawResponse ?? null,
+          ai_call_id: error.callId ?? null,
+        });
+      }
+      results.errors.push({
+        batch: i + 1,
+        error: error.message,
+        sources: batch.map((item) => item.id),
+      });
+    }
+  }
+
+  results.usage = usageTracker.getStats();
+
+  stageLogger.info('Format stage complete', {
+    processed: results.processed,
+    drafts: results.drafts,
+    errors: results.errors.length,
+  });
+
+  return results;
+}
+
+export default { runFormatStage, PLATFORMS };
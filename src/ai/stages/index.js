@@ -2,6 +2,7 @@ export { runFilterStage } from './filter.js';
 export { runCategorizeStage } from './categorize.js';
 export { runSummarizeStage } from './summarize.js';
 export { runExtractStage } from './extract.js';
+export { runFormatStage } from './format.js';
 
 // Map stage names to their runner functions
 export const stages = {
@@ -9,8 +10,7 @@ export const stages = {
   categorize: () => import('./categorize.js').then((m) => m.runCategorizeStage),
   summarize: () => import('./summarize.js').then((m) => m.runSummarizeStage),
   extract: () => import('./extract.js').then((m) => m.runExtractStage),
-  // Future stage:
-  // format: () => import('./format.js').then(m => m.runFormatStage),
+  format: () => import('./format.js').then((m) => m.runFormatStage),
 };
 
 export const stageOrder = ['filter', 'categorize', 'summarize', 'extract', 'format'];
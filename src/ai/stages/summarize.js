@@ -1,6 +1,6 @@
-import { loadConfig } from '../../utils/config.js';
+import { loadConfig, resolveGuilds } from '../../utils/config.js';
 import { logger } from '../../utils/logger.js';
-import { processWithAI, createUsageTracker } from '../client.js';
+import { processWithAI, createUsageTracker, isFatalError } from '../client.js';
 import { buildPrompt } from '../prompts.js';
 import { validateSummarizeResponse } from '../validation.js';
 import { estimateBatchTokens } from '../tokens.js';
@@ -11,6 +11,7 @@ import {
   upsertAIProcessing,
   getChannel,
   getChannelsByGuild,
+  getAllGuilds,
   getUser,
 } from '../../storage/repositories/index.js';
 
@@ -30,6 +31,7 @@ function getMessagesForDateRange(db, channelId, startDate, endDate) {
       FROM messages m
       JOIN ai_processing ap ON ap.entity_type = 'message' AND ap.entity_id = m.id AND ap.stage = 'filter'
       WHERE m.channel_id = ?
+        AND m.deleted_at IS NULL
         AND m.timestamp >= ?
         AND m.timestamp < ?
         AND json_extract(ap.result_json, '$.keep') = 1
@@ -89,7 +91,7 @@ export async function summarizeDaily(db, channelId, date, options = {}) {
     content: msg.content || msg.clean_content || '',
     timestamp: msg.timestamp,
     author: getUser(db, msg.author_id),
-    reaction_count: msg.reaction_count,
+    reaction_count: msg.engagement_count, // Excludes self-reactions and bots
   }));
 
   // Dry run
@@ -118,13 +120,14 @@ export async function summarizeDaily(db, channelId, date, options = {}) {
     MESSAGES_JSON: JSON.stringify(processedMessages, null, 2),
   });
 
-  // Call AI
+  // Call AI and validate the response
   const response = await processWithAI(prompt, {
+    stage: 'summarize',
+    db,
     trackUsage: usageTracker.track,
+    validate: validateSummarizeResponse,
   });
-
-  // Validate
-  const validated = validateSummarizeResponse(response);
+  const validated = response.data;
 
   // Store result
   upsertAIProcessing(db, {
@@ -132,9 +135,10 @@ export async function summarizeDaily(db, channelId, date, options = {}) {
     entity_id: entityId,
     stage: 'summarize',
     result_json: JSON.stringify(validated.summary),
-    model_used: config.ai.model,
-    tokens_in: null,
-    tokens_out: null,
+    model_used: response.model,
+    tokens_in: response.usage.inputTokens,
+    tokens_out: response.usage.outputTokens,
+    ai_call_id: response.callId,
   });
 
   return {
@@ -156,7 +160,6 @@ export async function summarizeDaily(db, channelId, date, options = {}) {
  * @returns {Promise<Object>} Weekly summary result
  */
 export async function summarizeWeekly(db, guildId, weekStart, options = {}) {
-  const config = loadConfig();
   const { force = false, dryRun = false } = options;
 
   const stageLogger = logger.child({ stage: 'summarize', type: 'weekly' });
@@ -173,24 +176,25 @@ export async function summarizeWeekly(db, guildId, weekStart, options = {}) {
     }
   }
 
-  // Get all daily summaries for the week
+  // Get the week's daily summaries for this guild's channels (entity_id is channelId:date)
   const weekEnd = getWeekEnd(weekStart);
   const dailySummaries = db
     .prepare(
       `
-      SELECT entity_id, result_json
-      FROM ai_processing
-      WHERE entity_type = 'daily_summary'
-        AND stage = 'summarize'
-        AND entity_id LIKE ?
-        AND substr(entity_id, instr(entity_id, ':') + 1) >= ?
-        AND substr(entity_id, instr(entity_id, ':') + 1) <= ?
+      SELECT ap.entity_id, ap.result_json
+      FROM ai_processing ap
+      JOIN channels c ON c.id = substr(ap.entity_id, 1, instr(ap.entity_id, ':') - 1)
+      WHERE ap.entity_type = 'daily_summary'
+        AND ap.stage = 'summarize'
+        AND c.guild_id = ?
+        AND substr(ap.entity_id, instr(ap.entity_id, ':') + 1) >= ?
+        AND substr(ap.entity_id, instr(ap.entity_id, ':') + 1) <= ?
     `
     )
-    .all(`%`, weekStart, weekEnd);
+    .all(guildId, weekStart, weekEnd);
 
   if (dailySummaries.length === 0) {
-    stageLogger.debug(`No daily summaries for week starting ${weekStart}`);
+    stageLogger.debug(`No daily summaries for ${guildId} in week starting ${weekStart}`);
     return { skipped: true, reason: 'no_daily_summaries', entityId };
   }
 
@@ -226,13 +230,14 @@ export async function summarizeWeekly(db, guildId, weekStart, options = {}) {
     SUMMARIES_JSON: JSON.stringify(summaries, null, 2),
   });
 
-  // Call AI
+  // Call AI and validate the response (same schema as daily)
   const response = await processWithAI(prompt, {
+    stage: 'summarize',
+    db,
     trackUsage: usageTracker.track,
+    validate: validateSummarizeResponse,
   });
-
-  // Validate (uses same schema as daily)
-  const validated = validateSummarizeResponse(response);
+  const validated = response.data;
 
   // Store result
   upsertAIProcessing(db, {
@@ -240,9 +245,10 @@ export async function summarizeWeekly(db, guildId, weekStart, options = {}) {
     entity_id: entityId,
     stage: 'summarize',
     result_json: JSON.stringify(validated.summary),
-    model_used: config.ai.model,
-    tokens_in: null,
-    tokens_out: null,
+    model_used: response.model,
+    tokens_in: response.usage.inputTokens,
+    tokens_out: response.usage.outputTokens,
+    ai_call_id: response.callId,
   });
 
   return {
@@ -255,16 +261,33 @@ export async function summarizeWeekly(db, guildId, weekStart, options = {}) {
   };
 }
 
+/**
+ * Guilds to summarize: the given IDs, else the configured guilds, else every stored guild.
+ * @param {Object} db - Database connection
+ * @param {string[]} [guildIds] - Selected guild IDs
+ * @returns {string[]} Guild IDs
+ */
+function getSummaryGuildIds(db, guildIds) {
+  if (guildIds?.length) return guildIds;
+
+  const configured = resolveGuilds(loadConfig());
+  return configured.length > 0
+    ? configured.map((guild) => guild.id)
+    : getAllGuilds(db).map((guild) => guild.id);
+}
+
 /**
  * Run the summarize stage.
+ * Without a channel, every channel of each selected guild gets a daily summary,
+ * and weekly summaries are written per guild.
  * @param {Object} db - Database connection
  * @param {Object} options - Processing options
  * @returns {Promise<Object>} Processing results
  */
 export async function runSummarizeStage(db, options = {}) {
-  const config = loadConfig();
   const {
     channelId,
+    guildIds,
     date,
     weekly = false,
     force = false,
@@ -273,55 +296,71 @@ export async function runSummarizeStage(db, options = {}) {
 
   const stageLogger = logger.child({ stage: 'summarize' });
 
+  // Single channel daily summary
+  if (channelId && !weekly) {
+    const targetDate = date || getYesterday();
+    return summarizeDaily(db, channelId, targetDate, { force, dryRun });
+  }
+
+  const targetGuildIds = getSummaryGuildIds(db, guildIds);
+  if (targetGuildIds.length === 0) {
+    throw new Error('No guilds to summarize: configure discord.guilds or DISCORD_GUILD_ID');
+  }
+
+  const results = {
+    processed: 0,
+    skipped: 0,
+    summaries: [],
+    errors: [],
+  };
+
+  const record = (result) => {
+    if (result.skipped) {
+      results.skipped++;
+    } else {
+      results.processed++;
+      results.summaries.push(result);
+    }
+  };
+
   if (weekly) {
     // Weekly summary mode
-    const guildId = process.env.DISCORD_GUILD_ID;
-    if (!guildId) {
-      throw new Error('DISCORD_GUILD_ID required for weekly summaries');
+    const weekStart = date || getMondayOfCurrentWeek();
+    results.weekStart = weekStart;
+
+    for (const guildId of targetGuildIds) {
+      try {
+        record(await summarizeWeekly(db, guildId, weekStart, { force, dryRun }));
+      } catch (error) {
+        if (isFatalError(error)) throw error;
+        stageLogger.error(`Failed to summarize week for guild ${guildId}`, { error: error.message });
+        results.errors.push({ guild: guildId, error: error.message });
+      }
     }
 
-    const weekStart = date || getMondayOfCurrentWeek();
-    return summarizeWeekly(db, guildId, weekStart, { force, dryRun });
+    return results;
   }
 
-  // Daily summary mode
-  if (!channelId) {
-    // Summarize all channels for the given date
-    const guildId = process.env.DISCORD_GUILD_ID;
-    const channels = getChannelsByGuild(db, guildId);
-    const targetDate = date || getYesterday();
-
-    stageLogger.info(`Summarizing ${channels.length} channels for ${targetDate}`);
+  // Daily summary mode: all channels of each guild for the given date
+  const targetDate = date || getYesterday();
+  results.date = targetDate;
 
-    const results = {
-      date: targetDate,
-      processed: 0,
-      skipped: 0,
-      summaries: [],
-      errors: [],
-    };
+  for (const guildId of targetGuildIds) {
+    const channels = getChannelsByGuild(db, guildId);
+    stageLogger.info(`Summarizing ${channels.length} channels of guild ${guildId} for ${targetDate}`);
 
     for (const channel of channels) {
       try {
-        const result = await summarizeDaily(db, channel.id, targetDate, { force, dryRun });
-        if (result.skipped) {
-          results.skipped++;
-        } else {
-          results.processed++;
-          results.summaries.push(result);
-        }
+        record(await summarizeDaily(db, channel.id, targetDate, { force, dryRun }));
       } catch (error) {
+        if (isFatalError(error)) throw error;
         stageLogger.error(`Failed to summarize ${channel.name}`, { error: error.message });
-        results.errors.push({ channel: channel.name, error: error.message });
+        results.errors.push({ guild: guildId, channel: channel.name, error: error.message });
       }
     }
-
-    return results;
   }
 
-  // Single channel daily summary
-  const targetDate = date || getYesterday();
-  return summarizeDaily(db, channelId, targetDate, { force, dryRun });
+  return results;
 }
 
 // Helper functions
@@ -1,4 +1,5 @@
 import { loadConfig } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
 
 /**
  * Estimate token count for a string.
@@ -42,8 +43,14 @@ export function validateBatchSize(messages, maxTokens = null) {
 
 /**
  * Split messages into batches that fit within token limits.
+ * With groupBy, contiguous messages sharing a non-null value of that field
+ * (e.g. a conversation_id) stay in the same batch; a group too large for any
+ * single batch is split like ungrouped messages.
  * @param {Array} messages - Array of message objects
  * @param {Object} options - Batching options
+ * @param {number} [options.maxTokens] - Token limit per batch
+ * @param {number} [options.maxMessages] - Message limit per batch
+ * @param {string} [options.groupBy] - Field whose contiguous values must not be split
  * @returns {Array<Array>} Array of message batches
  */
 export function createBatches(messages, options = {}) {
@@ -51,27 +58,58 @@ export function createBatches(messages, options = {}) {
   const {
     maxTokens = config.ai.maxTokensPerBatch,
     maxMessages = config.ai.batchSize,
+    groupBy = null,
   } = options;
 
   const batches = [];
   let currentBatch = [];
   let currentTokens = 0;
 
+  const flush = () => {
+    batches.push(currentBatch);
+    currentBatch = [];
+    currentTokens = 0;
+  };
+
+  // Contiguous runs of messages with the same group key; ungrouped messages stand alone
+  const groups = [];
   for (const message of messages) {
-    const messageTokens = estimateTokens(JSON.stringify(message));
+    const key = groupBy ? message[groupBy] ?? null : null;
+    const last = groups[groups.length - 1];
+    if (key !== null && last?.key === key) {
+      last.messages.push(message);
+    } else {
+      groups.push({ key, messages: [message] });
+    }
+  }
 
-    // Start new batch if limits would be exceeded
+  for (const group of groups) {
+    const sizes = group.messages.map((message) => estimateTokens(JSON.stringify(message)));
+    const groupTokens = sizes.reduce((sum, tokens) => sum + tokens, 0);
+
+    // Start a new batch rather than split a group that fits in one
     if (
-      (currentTokens + messageTokens > maxTokens && currentBatch.length > 0) ||
-      currentBatch.length >= maxMessages
+      group.messages.length > 1 &&
+      group.messages.length <= maxMessages &&
+      groupTokens <= maxTokens &&
+      currentBatch.length > 0 &&
+      (currentTokens + groupTokens > maxTokens || currentBatch.length + group.messages.length > maxMessages)
     ) {
-      batches.push(currentBatch);
-      currentBatch = [];
-      currentTokens = 0;
+      flush();
     }
 
-    currentBatch.push(message);
-    currentTokens += messageTokens;
+    group.messages.forEach((message, i) => {
+      // Start new batch if limits would be exceeded
+      if (
+        (currentTokens + sizes[i] > maxTokens && currentBatch.length > 0) ||
+        currentBatch.length >= maxMessages
+      ) {
+        flush();
+      }
+
+      currentBatch.push(message);
+      currentTokens += sizes[i];
+    });
   }
 
   // Add remaining messages
@@ -83,20 +121,100 @@ export function createBatches(messages, options = {}) {
 }
 
 /**
- * Estimate cost for processing a batch.
- * Based on OpenRouter pricing for Kimi K2.
- * @param {Object} usage - Token usage stats
+ * Split a total into integer shares proportional to weights, summing exactly to the total.
+ * @param {number} total - Amount to split
+ * @param {number[]} weights - Relative weights
+ * @returns {number[]} Shares, in the order of the weights
+ */
+function splitProportionally(total, weights) {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map((weight) =>
+    weightSum > 0 ? (total * weight) / weightSum : total / weights.length
+  );
+  const shares = exact.map(Math.floor);
+
+  // Hand out what rounding down left over, largest remainders first
+  let leftover = total - shares.reduce((sum, share) => sum + share, 0);
+  const byRemainder = exact
+    .map((value, i) => [value - shares[i], i])
+    .sort((a, b) => b[0] - a[0]);
+  for (const [, i] of byRemainder) {
+    if (leftover <= 0) break;
+    shares[i]++;
+    leftover--;
+  }
+
+  return shares;
+}
+
+/**
+ * Attribute a call's real token usage to the entities whose results it produced,
+ * in proportion to each entity's estimated share of the prompt.
+ * @param {Object} usage - { inputTokens, outputTokens } reported for the call
+ * @param {Array} items - Entities (as sent in the prompt) the result is stored for
+ * @returns {Object[]} { tokens_in, tokens_out } per item, in order
+ */
+export function attributeUsage(usage, items) {
+  if (items.length === 0) return [];
+
+  const weights = items.map((item) => estimateTokens(JSON.stringify(item)));
+  const tokensIn = splitProportionally(usage?.inputTokens || 0, weights);
+  const tokensOut = splitProportionally(usage?.outputTokens || 0, weights);
+
+  return items.map((item, i) => ({ tokens_in: tokensIn[i], tokens_out: tokensOut[i] }));
+}
+
+// Models already warned about for having no ai.pricing entry
+const unpricedModels = new Set();
+
+/**
+ * Look up a model's prices in ai.pricing.
+ * Tries the exact name, then the name without a provider prefix ("openai/gpt-4o"
+ * on OpenRouter), then the longest entry the name starts with, so dated
+ * snapshots such as "gpt-4o-mini-2024-07-18" find their base model.
+ * @param {string} model - Model name as requested or as reported by the provider
+ * @returns {Object|null} { input, output, cachedInput } in USD per 1M tokens, or null if unknown
+ */
+export function getModelPricing(model) {
+  const pricing = loadConfig().ai.pricing || {};
+  if (!model) return null;
+
+  const bare = model.slice(model.lastIndexOf('/') + 1);
+  for (const name of [model, bare]) {
+    if (pricing[name]) return pricing[name];
+    const prefix = Object.keys(pricing)
+      .filter((key) => name.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    if (prefix) return pricing[prefix];
+  }
+  return null;
+}
+
+/**
+ * Estimate the cost of token usage with the ai.pricing table.
+ * Models without a pricing entry cost nothing (with a warning once per model),
+ * which also leaves them outside the budget caps.
+ * @param {Object} usage - { inputTokens, outputTokens, cachedInputTokens }; cached
+ *   tokens are the part of inputTokens billed at the cached rate
+ * @param {string} [model] - Model to price; defaults to ai.model
  * @returns {number} Estimated cost in USD
  */
-export function estimateCost(usage) {
-  // Kimi K2 pricing (approximate): $0.15/$0.55 per 1M tokens
-  const inputCostPerMillion = 0.15;
-  const outputCostPerMillion = 0.55;
+export function estimateCost(usage, model = loadConfig().ai.model) {
+  const pricing = getModelPricing(model);
+  if (!pricing) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      logger.warn(`No ai.pricing entry for model ${model}; its cost is counted as $0`);
+    }
+    return 0;
+  }
 
-  const inputCost = (usage.inputTokens / 1_000_000) * inputCostPerMillion;
-  const outputCost = (usage.outputTokens / 1_000_000) * outputCostPerMillion;
+  const cachedTokens = usage.cachedInputTokens || 0;
+  const inputCost = (((usage.inputTokens || 0) - cachedTokens) / 1_000_000) * pricing.input;
+  const cachedCost = (cachedTokens / 1_000_000) * (pricing.cachedInput ?? pricing.input);
+  const outputCost = ((usage.outputTokens || 0) / 1_000_000) * pricing.output;
 
-  return inputCost + outputCost;
+  return inputCost + cachedCost + outputCost;
 }
 
 export default {
@@ -104,5 +222,7 @@ export default {
   estimateBatchTokens,
   validateBatchSize,
   createBatches,
+  attributeUsage,
+  getModelPricing,
   estimateCost,
 };
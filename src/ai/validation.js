@@ -1,4 +1,5 @@
 import Ajv from 'ajv';
+import { logger } from '../utils/logger.js';
 
 const ajv = new Ajv({ allErrors: true });
 
@@ -90,32 +91,137 @@ const extractResponseSchema = {
   required: ['extracts'],
 };
 
+// Schema for format stage response; each platform has its own draft shape
+const formatResponseSchema = {
+  type: 'object',
+  properties: {
+    drafts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          source_id: { type: 'string' },
+          platform: { type: 'string', enum: ['x_thread', 'linkedin', 'newsletter', 'blog_outline'] },
+          title: { type: 'string' },
+          posts: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+          body: { type: 'string', minLength: 1 },
+          sections: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: {
+                heading: { type: 'string' },
+                points: { type: 'array', items: { type: 'string' } },
+              },
+              required: ['heading'],
+            },
+          },
+        },
+        required: ['source_id', 'platform'],
+        allOf: [
+          { if: { properties: { platform: { const: 'x_thread' } } }, then: { required: ['posts'] } },
+          { if: { properties: { platform: { const: 'blog_outline' } } }, then: { required: ['title', 'sections'] } },
+          { if: { properties: { platform: { enum: ['linkedin', 'newsletter'] } } }, then: { required: ['body'] } },
+        ],
+      },
+    },
+  },
+  required: ['drafts'],
+};
+
+// Response schema version per stage. Bump a stage's version when its schema, or
+// the way its responses are stored, changes: cached responses of other versions
+// are no longer served.
+export const SCHEMA_VERSIONS = {
+  filter: 1,
+  categorize: 1,
+  summarize: 1,
+  extract: 1,
+  format: 1,
+};
+
 // Compile validators
 const validators = {
   filter: ajv.compile(filterResponseSchema),
   categorize: ajv.compile(categorizeResponseSchema),
   summarize: ajv.compile(summarizeResponseSchema),
   extract: ajv.compile(extractResponseSchema),
+  format: ajv.compile(formatResponseSchema),
+};
+
+// Item arrays whose valid items can be kept when others are off-schema
+const itemArrays = {
+  filter: 'decisions',
+  categorize: 'categorizations',
+  extract: 'extracts',
+  format: 'drafts',
+};
+
+const itemValidators = {
+  filter: ajv.compile(filterResponseSchema.properties.decisions.items),
+  categorize: ajv.compile(categorizeResponseSchema.properties.categorizations.items),
+  extract: ajv.compile(extractResponseSchema.properties.extracts.items),
+  format: ajv.compile(formatResponseSchema.properties.drafts.items),
 };
 
+/**
+ * Describe Ajv errors in one line.
+ * @param {Object[]} errors - Ajv errors
+ * @returns {string} Error summary
+ */
+function describeErrors(errors) {
+  return errors.map((e) => `${e.instancePath} ${e.message}`).join('; ');
+}
+
+/**
+ * Keep the valid items of a response whose item array is partly off-schema.
+ * @param {string} stage - Processing stage name
+ * @param {Object} response - AI response
+ * @returns {Object|null} Response with only valid items, or null if nothing valid is left
+ */
+function keepValidItems(stage, response) {
+  const key = itemArrays[stage];
+  if (!key || !Array.isArray(response?.[key])) return null;
+
+  const itemValidator = itemValidators[stage];
+  const items = response[key].filter((item, i) => {
+    if (itemValidator(item)) return true;
+    logger.warn(`Rejected invalid ${stage} item ${i}`, {
+      id: item?.id ?? item?.source_id,
+      errors: describeErrors(itemValidator.errors),
+    });
+    return false;
+  });
+
+  const trimmed = { ...response, [key]: items };
+  return items.length > 0 && validators[stage](trimmed) ? trimmed : null;
+}
+
 /**
  * Validate AI response against expected schema.
  * @param {string} stage - Processing stage name
  * @param {Object} response - AI response to validate
- * @throws {Error} If validation fails
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial=false] - Drop off-schema items from the stage's item array
+ *   (decisions, categorizations, extracts or drafts) instead of rejecting the whole response
+ * @throws {Error} With code 'INVALID_RESPONSE' if validation fails
  * @returns {Object} Validated response
  */
-export function validateResponse(stage, response) {
+export function validateResponse(stage, response, options = {}) {
   const validator = validators[stage];
   if (!validator) {
     throw new Error(`No validator for stage: ${stage}`);
   }
 
   if (!validator(response)) {
-    const errors = validator.errors
-      .map((e) => `${e.instancePath} ${e.message}`)
-      .join('; ');
-    throw new Error(`Invalid AI response for ${stage} stage: ${errors}`);
+    const errors = describeErrors(validator.errors);
+    const partial = options.partial && keepValidItems(stage, response);
+    if (partial) return partial;
+
+    const error = new Error(`Invalid AI response for ${stage} stage: ${errors}`);
+    error.code = 'INVALID_RESPONSE';
+    throw error;
   }
 
   return response;
@@ -124,35 +230,44 @@ export function validateResponse(stage, response) {
 /**
  * Validate filter stage response.
  */
-export function validateFilterResponse(response) {
-  return validateResponse('filter', response);
+export function validateFilterResponse(response, options) {
+  return validateResponse('filter', response, options);
 }
 
 /**
  * Validate categorize stage response.
  */
-export function validateCategorizeResponse(response) {
-  return validateResponse('categorize', response);
+export function validateCategorizeResponse(response, options) {
+  return validateResponse('categorize', response, options);
 }
 
 /**
  * Validate summarize stage response.
  */
-export function validateSummarizeResponse(response) {
-  return validateResponse('summarize', response);
+export function validateSummarizeResponse(response, options) {
+  return validateResponse('summarize', response, options);
 }
 
 /**
  * Validate extract stage response.
  */
-export function validateExtractResponse(response) {
-  return validateResponse('extract', response);
+export function validateExtractResponse(response, options) {
+  return validateResponse('extract', response, options);
+}
+
+/**
+ * Validate format stage response.
+ */
+export function validateFormatResponse(response, options) {
+  return validateResponse('format', response, options);
 }
 
 export default {
+  SCHEMA_VERSIONS,
   validateResponse,
   validateFilterResponse,
   validateCategorizeResponse,
   validateSummarizeResponse,
   validateExtractResponse,
+  validateFormatResponse,
 };
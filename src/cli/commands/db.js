@@ -1,6 +1,16 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
+import ora from 'ora';
 import { initDatabase, getDatabaseStats, closeDatabase } from '../../storage/database.js';
+import {
+  getIncompleteSyncChannels,
+  getAttachmentArchiveStats,
+  getGuildStats,
+  getMessagesToParse,
+  replaceMessageContent,
+} from '../../storage/repositories/index.js';
+import { parseMessageContent } from '../../scraper/content.js';
+import { loadConfig, resolveGuilds } from '../../utils/config.js';
 
 export const dbCommand = new Command('db')
   .description('Database management commands');
@@ -26,8 +36,10 @@ dbCommand
 dbCommand
   .command('stats')
   .description('Show database statistics')
-  .action(async () => {
+  .option('-g, --guild <ids...>', 'Only show per-guild details for these guild(s), by ID or configured name')
+  .action(async (options) => {
     try {
+      const guildIds = options.guild && resolveGuilds(loadConfig(), options.guild).map(guild => guild.id);
       const dbPath = process.env.DATABASE_PATH || './data/discord.db';
       const db = initDatabase(dbPath);
 
@@ -44,6 +56,13 @@ dbCommand
       console.log(`  Embeds:      ${chalk.green(stats.embeds || 0)}`);
       console.log(`  Attachments: ${chalk.green(stats.attachments || 0)}`);
       console.log(`  Reactions:   ${chalk.green(stats.reactions || 0)}`);
+      console.log(`  Reactors:    ${chalk.green(stats.reaction_users || 0)}`);
+      console.log(`  Emojis:      ${chalk.green(stats.emojis || 0)}`);
+      console.log(`  Pins:        ${chalk.green(stats.pinned_messages || 0)}`);
+      console.log(`  Events:      ${chalk.green(stats.scheduled_events || 0)}`);
+      console.log(`  Polls:       ${chalk.green(stats.polls || 0)}`);
+      console.log(`  Mentions:    ${chalk.green(stats.message_mentions || 0)}`);
+      console.log(`  Links:       ${chalk.green(stats.message_links || 0)}`);
 
       if (stats.oldestMessage || stats.newestMessage) {
         console.log(`\n${chalk.bold('Date Range:')}`);
@@ -51,6 +70,38 @@ dbCommand
         console.log(`  Newest: ${stats.newestMessage || 'N/A'}`);
       }
 
+      const guildStats = getGuildStats(db).filter(row => !guildIds || guildIds.includes(row.id));
+      if (guildStats.length > 1 || guildIds) {
+        console.log(`\n${chalk.bold('Per guild:')}`);
+        for (const row of guildStats) {
+          const range = row.oldest ? chalk.dim(` (${row.oldest.slice(0, 10)} → ${row.newest.slice(0, 10)})`) : '';
+          console.log(`  ${(row.name || row.id).padEnd(24)} ${row.channels} channels, ${row.messages} messages${range}`);
+        }
+      }
+
+      const partial = getIncompleteSyncChannels(db, guildIds);
+      if (partial.length > 0) {
+        console.log(`\n${chalk.bold('Partially scraped:')}`);
+        for (const row of partial) {
+          const name = row.channel_name ? `#${row.channel_name}` : row.channel_id;
+          const reached = row.oldest_timestamp ? `, back to ${row.oldest_timestamp}` : '';
+          const status = row.status === 'failed' ? chalk.red('failed') : chalk.yellow('interrupted');
+          console.log(`  ${name.padEnd(24)} ${status} ${row.messages_processed} messages${reached} (sync #${row.sync_id}, ${row.sync_type})`);
+        }
+        console.log(chalk.dim('  Run `scrape --resume` to continue'));
+      }
+
+      const archive = getAttachmentArchiveStats(db);
+      if (archive.length > 0) {
+        console.log(`\n${chalk.bold('Attachment archive:')}`);
+        for (const row of archive) {
+          console.log(`  ${row.status.padEnd(12)} ${row.count}`);
+        }
+        if (archive.some(row => row.status === 'pending' || row.status === 'failed')) {
+          console.log(chalk.dim('  Run `scrape attachments` to download the rest'));
+        }
+      }
+
       console.log(`\n${chalk.bold('Storage:')}`);
       console.log(`  File size: ${stats.fileSizeMB} MB`);
 
@@ -62,6 +113,44 @@ dbCommand
     }
   });
 
+dbCommand
+  .command('parse-content')
+  .description('Parse mentions, links, code blocks and Stacks identifiers out of stored messages')
+  .option('--all', 'Re-parse every message, not just those stored before parsing existed', false)
+  .action(async (options) => {
+    const spinner = ora();
+
+    try {
+      const dbPath = process.env.DATABASE_PATH || './data/discord.db';
+      const db = initDatabase(dbPath);
+
+      spinner.start('Parsing message content...');
+
+      let parsed = 0;
+      let afterId = null;
+      let rows;
+      do {
+        rows = getMessagesToParse(db, { all: options.all, afterId });
+        db.transaction(() => {
+          for (const row of rows) {
+            replaceMessageContent(db, row.id, parseMessageContent(row.content));
+          }
+        })();
+
+        parsed += rows.length;
+        afterId = rows[rows.length - 1]?.id;
+        spinner.text = `Parsing message content... ${parsed}`;
+      } while (rows.length > 0);
+
+      spinner.succeed(`Parsed ${parsed} messages`);
+      closeDatabase();
+    } catch (error) {
+      spinner.fail(error.message);
+      console.error(chalk.red('Failed to parse content:'), error);
+      process.exit(1);
+    }
+  });
+
 dbCommand
   .command('path')
   .description('Show the database file path')
@@ -4,14 +4,90 @@ import ora from 'ora';
 import { initDatabase, closeDatabase } from '../../storage/database.js';
 import {
   getAllMessages,
+  getMessageContentRefs,
   getChannelsByGuild,
   getGuild,
+  getAllGuilds,
   getUser,
   getEmbedsByMessage,
   getAttachmentsByMessage,
   getReactionsByMessage,
+  getPoll,
+  isMessagePinned,
+  getScheduledEvents,
+  getContentDrafts,
 } from '../../storage/repositories/index.js';
 import { exportToJson } from '../../export/json.js';
+import { getArchivedUrl } from '../../scraper/attachments.js';
+import { getMessageTypeName } from '../../scraper/messages.js';
+import { loadConfig, resolveGuilds } from '../../utils/config.js';
+
+/**
+ * Guilds an export covers: --guild, else the configured guilds, else every stored guild.
+ * @param {Database} db - Database connection.
+ * @param {string[]} [selected] - Values of --guild.
+ * @returns {string[]} Guild IDs.
+ */
+function getExportGuildIds(db, selected) {
+  const guilds = resolveGuilds(loadConfig(), selected);
+  return guilds.length > 0
+    ? guilds.map(guild => guild.id)
+    : getAllGuilds(db).map(guild => guild.id);
+}
+
+/**
+ * Summarize the stored data of one guild.
+ * @param {Database} db - Database connection.
+ * @param {string} guildId - Guild ID.
+ * @returns {Object} Guild summary.
+ */
+function buildGuildSummary(db, guildId) {
+  const guild = getGuild(db, guildId);
+  const channels = getChannelsByGuild(db, guildId);
+
+  // Get message counts per channel
+  const channelStats = channels.map(ch => {
+    const count = db.prepare('SELECT COUNT(*) as count FROM messages WHERE channel_id = ?').get(ch.id);
+    return {
+      id: ch.id,
+      name: ch.name,
+      messageCount: count.count,
+      lastScraped: ch.last_scraped_at,
+    };
+  }).filter(ch => ch.messageCount > 0);
+
+  // Get date range
+  const dateRange = db.prepare(`
+    SELECT MIN(m.timestamp) as oldest, MAX(m.timestamp) as newest
+    FROM messages m
+    JOIN channels c ON c.id = m.channel_id
+    WHERE c.guild_id = ?
+  `).get(guildId);
+
+  // Get top users
+  const topUsers = db.prepare(`
+    SELECT u.username, u.global_name, COUNT(m.id) as message_count
+    FROM messages m
+    JOIN users u ON m.author_id = u.id
+    JOIN channels c ON c.id = m.channel_id
+    WHERE u.is_bot = 0 AND c.guild_id = ?
+    GROUP BY m.author_id
+    ORDER BY message_count DESC
+    LIMIT 10
+  `).all(guildId);
+
+  return {
+    guild: guild ? { id: guild.id, name: guild.name } : { id: guildId, name: null },
+    totalChannels: channelStats.length,
+    totalMessages: channelStats.reduce((sum, ch) => sum + ch.messageCount, 0),
+    dateRange: {
+      oldest: dateRange.oldest,
+      newest: dateRange.newest,
+    },
+    channelBreakdown: channelStats.sort((a, b) => b.messageCount - a.messageCount),
+    topContributors: topUsers,
+  };
+}
 
 export const exportCommand = new Command('export')
   .description('Export data in various formats');
@@ -21,12 +97,16 @@ exportCommand
   .description('Export messages to a file')
   .option('-f, --format <format>', 'Output format (json, csv)', 'json')
   .option('-o, --output <path>', 'Output file path')
+  .option('-g, --guild <ids...>', 'Filter by guild(s), by ID or configured name')
   .option('-c, --channel <id>', 'Filter by channel ID')
   .option('--since <date>', 'Filter messages since date (ISO 8601)')
   .option('--until <date>', 'Filter messages until date (ISO 8601)')
+  .option('--links-to <domain>', 'Only messages linking to this domain or its subdomains')
+  .option('--mentions <value>', 'Only messages mentioning this user/role/channel ID, address, contract or tx ID')
   .option('--include-embeds', 'Include embed data', false)
-  .option('--include-attachments', 'Include attachment data', false)
+  .option('--include-attachments', 'Include attachment data (with archived_url for archived files)', false)
   .option('--include-reactions', 'Include reaction data', false)
+  .option('--include-references', 'Include parsed mentions, links, code blocks and identifiers', false)
   .option('--pretty', 'Pretty print JSON output', false)
   .action(async (options) => {
     const spinner = ora();
@@ -40,28 +120,45 @@ exportCommand
       // Build query options
       const queryOptions = {};
       if (options.channel) queryOptions.channelId = options.channel;
+      if (options.guild) queryOptions.guildIds = resolveGuilds(loadConfig(), options.guild).map(guild => guild.id);
       if (options.since) queryOptions.startDate = options.since;
       if (options.until) queryOptions.endDate = options.until;
+      if (options.linksTo) queryOptions.linksTo = options.linksTo;
+      if (options.mentions) queryOptions.mentions = options.mentions;
 
       const messages = getAllMessages(db, queryOptions);
       spinner.text = `Processing ${messages.length} messages...`;
 
       // Enrich messages if needed
       const enrichedMessages = messages.map(msg => {
-        const result = { ...msg };
+        const result = { ...msg, message_type_name: getMessageTypeName(msg.message_type) };
 
         // Add author info
         result.author = getUser(db, msg.author_id);
+        result.is_pinned = isMessagePinned(db, msg.id);
+
+        const poll = getPoll(db, msg.id);
+        if (poll) {
+          result.poll = poll;
+        }
 
         if (options.includeEmbeds) {
           result.embeds = getEmbedsByMessage(db, msg.id);
         }
         if (options.includeAttachments) {
-          result.attachments = getAttachmentsByMessage(db, msg.id);
+          // CDN URLs expire; point at the archived copy when there is one
+          const archive = loadConfig().attachments;
+          result.attachments = getAttachmentsByMessage(db, msg.id).map(attachment => ({
+            ...attachment,
+            archived_url: getArchivedUrl(attachment, archive),
+          }));
         }
         if (options.includeReactions) {
           result.reactions = getReactionsByMessage(db, msg.id);
         }
+        if (options.includeReferences) {
+          Object.assign(result, getMessageContentRefs(db, msg.id));
+        }
 
         return result;
       });
@@ -90,6 +187,7 @@ exportCommand
 exportCommand
   .command('channels')
   .description('Export channel list')
+  .option('-g, --guild <ids...>', 'Guild(s) to export, by ID or configured name (default: all configured guilds)')
   .option('-f, --format <format>', 'Output format (json)', 'json')
   .option('-o, --output <path>', 'Output file path')
   .option('--pretty', 'Pretty print JSON output', false)
@@ -97,14 +195,14 @@ exportCommand
     try {
       const dbPath = process.env.DATABASE_PATH || './data/discord.db';
       const db = initDatabase(dbPath);
-      const guildId = process.env.DISCORD_GUILD_ID;
+      const guildIds = getExportGuildIds(db, options.guild);
 
-      if (!guildId) {
-        console.error(chalk.red('DISCORD_GUILD_ID is required'));
+      if (guildIds.length === 0) {
+        console.error(chalk.red('No guilds configured or stored'));
         process.exit(1);
       }
 
-      const channels = getChannelsByGuild(db, guildId);
+      const channels = guildIds.flatMap(guildId => getChannelsByGuild(db, guildId));
 
       if (options.format === 'json') {
         const outputPath = options.output || `./exports/channels-${Date.now()}.json`;
@@ -119,60 +217,84 @@ exportCommand
     }
   });
 
+exportCommand
+  .command('events')
+  .description('Export guild scheduled events')
+  .option('-g, --guild <ids...>', 'Guild(s) to export, by ID or configured name (default: all configured guilds)')
+  .option('--since <date>', 'Only events starting since date (ISO 8601)')
+  .option('--include-deleted', 'Include events deleted on Discord', false)
+  .option('-o, --output <path>', 'Output file path')
+  .option('--pretty', 'Pretty print JSON output', false)
+  .action(async (options) => {
+    try {
+      const dbPath = process.env.DATABASE_PATH || './data/discord.db';
+      const db = initDatabase(dbPath);
+
+      const events = getScheduledEvents(db, {
+        guildIds: getExportGuildIds(db, options.guild),
+        since: options.since,
+        includeDeleted: options.includeDeleted,
+      });
+
+      const outputPath = options.output || `./exports/events-${Date.now()}.json`;
+      await exportToJson(events, outputPath, { pretty: options.pretty });
+      console.log(chalk.green(`✓ Exported ${events.length} events to ${outputPath}`));
+
+      closeDatabase();
+    } catch (error) {
+      console.error(chalk.red('Export failed:'), error);
+      process.exit(1);
+    }
+  });
+
+exportCommand
+  .command('drafts')
+  .description('Export content drafts written by the format stage')
+  .option('-g, --guild <ids...>', 'Guild(s) to export, by ID or configured name (default: all configured guilds)')
+  .option('-p, --platform <platform>', 'Only drafts for this platform (x_thread, linkedin, newsletter, blog_outline)')
+  .option('--status <status>', 'Only drafts with this status (draft, approved, published, rejected)')
+  .option('-o, --output <path>', 'Output file path')
+  .option('--pretty', 'Pretty print JSON output', false)
+  .action(async (options) => {
+    try {
+      const dbPath = process.env.DATABASE_PATH || './data/discord.db';
+      const db = initDatabase(dbPath);
+
+      const drafts = getContentDrafts(db, {
+        guildIds: getExportGuildIds(db, options.guild),
+        platform: options.platform,
+        status: options.status,
+      }).map(({ parts_json, ...draft }) => ({ ...draft, parts: parts_json ? JSON.parse(parts_json) : null }));
+
+      const outputPath = options.output || `./exports/drafts-${Date.now()}.json`;
+      await exportToJson(drafts, outputPath, { pretty: options.pretty });
+      console.log(chalk.green(`✓ Exported ${drafts.length} drafts to ${outputPath}`));
+
+      closeDatabase();
+    } catch (error) {
+      console.error(chalk.red('Export failed:'), error);
+      process.exit(1);
+    }
+  });
+
 exportCommand
   .command('summary')
   .description('Export a summary of the scraped data')
+  .option('-g, --guild <ids...>', 'Guild(s) to summarize, by ID or configured name (default: all configured guilds)')
   .option('-o, --output <path>', 'Output file path')
   .option('--pretty', 'Pretty print JSON output', true)
   .action(async (options) => {
     try {
       const dbPath = process.env.DATABASE_PATH || './data/discord.db';
       const db = initDatabase(dbPath);
-      const guildId = process.env.DISCORD_GUILD_ID;
-
-      const guild = guildId ? getGuild(db, guildId) : null;
-      const channels = guildId ? getChannelsByGuild(db, guildId) : [];
-
-      // Get message counts per channel
-      const channelStats = channels.map(ch => {
-        const count = db.prepare('SELECT COUNT(*) as count FROM messages WHERE channel_id = ?').get(ch.id);
-        return {
-          id: ch.id,
-          name: ch.name,
-          messageCount: count.count,
-          lastScraped: ch.last_scraped_at,
-        };
-      }).filter(ch => ch.messageCount > 0);
-
-      // Get date range
-      const dateRange = db.prepare(`
-        SELECT MIN(timestamp) as oldest, MAX(timestamp) as newest
-        FROM messages
-      `).get();
-
-      // Get top users
-      const topUsers = db.prepare(`
-        SELECT u.username, u.global_name, COUNT(m.id) as message_count
-        FROM messages m
-        JOIN users u ON m.author_id = u.id
-        WHERE u.is_bot = 0
-        GROUP BY m.author_id
-        ORDER BY message_count DESC
-        LIMIT 10
-      `).all();
-
-      const summary = {
-        guild: guild ? { id: guild.id, name: guild.name } : null,
-        totalChannels: channelStats.length,
-        totalMessages: channelStats.reduce((sum, ch) => sum + ch.messageCount, 0),
-        dateRange: {
-          oldest: dateRange.oldest,
-          newest: dateRange.newest,
-        },
-        channelBreakdown: channelStats.sort((a, b) => b.messageCount - a.messageCount),
-        topContributors: topUsers,
-        exportedAt: new Date().toISOString(),
-      };
+      const guildIds = getExportGuildIds(db, options.guild);
+
+      // One guild keeps the single-object layout; several are exported as a list
+      const guildSummaries = guildIds.map(guildId => buildGuildSummary(db, guildId));
+      const exportedAt = new Date().toISOString();
+      const summary = guildSummaries.length === 1
+        ? { ...guildSummaries[0], exportedAt }
+        : { guilds: guildSummaries, exportedAt };
 
       const outputPath = options.output || `./exports/summary-${Date.now()}.json`;
       await exportToJson(summary, outputPath, { pretty: options.pretty });
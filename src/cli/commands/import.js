@@ -0,0 +1,143 @@
+import { Command } from 'commander';
+import ora from 'ora';
+import chalk from 'chalk';
+import { readImportPath } from '../../import/index.js';
+import { loadConfig, resolveGuilds } from '../../utils/config.js';
+import { initDatabase, closeDatabase } from '../../storage/database.js';
+import {
+  upsertGuild,
+  getGuild,
+  upsertChannel,
+  getChannel,
+  insertMessageBundle,
+  mergeMessageBundle,
+  updateChannelMessageCount,
+} from '../../storage/repositories/index.js';
+
+/**
+ * Store one archived channel.
+ * Guilds and channels are only created when missing so an archive never
+ * overwrites fresher scraped metadata. Messages already stored are skipped
+ * unless overwrite is set, in which case the archive fills in what it has
+ * (see mergeMessageBundle()) and real edits are recorded as revisions.
+ * @param {Database} db - Database connection.
+ * @param {Object} data - { guild, channel, bundles } from readImportPath().
+ * @param {Object} options - Import options.
+ * @param {boolean} [options.overwrite=false] - Merge into messages that already exist.
+ * @returns {Object} { imported, skipped }.
+ */
+function importChannel(db, data, options = {}) {
+  const { overwrite = false } = options;
+
+  let imported = 0;
+  let skipped = 0;
+
+  db.transaction(() => {
+    if (!getGuild(db, data.guild.id)) {
+      upsertGuild(db, data.guild);
+    }
+    if (!getChannel(db, data.channel.id)) {
+      upsertChannel(db, data.channel);
+    }
+
+    for (const bundle of data.bundles) {
+      if (overwrite) {
+        mergeMessageBundle(db, bundle);
+        imported++;
+      } else if (insertMessageBundle(db, bundle)) {
+        imported++;
+      } else {
+        skipped++;
+      }
+    }
+
+    updateChannelMessageCount(db, data.channel.id);
+  })();
+
+  return { imported, skipped };
+}
+
+export const importCommand = new Command('import')
+  .description('Import DiscordChatExporter JSON exports or Discord data-package message folders')
+  .argument('<paths...>', 'Export files, directories of exports, or data package folders')
+  .option('--format <format>', 'Archive format: auto, chatexporter or package', 'auto')
+  .option('-g, --guild <ids...>', 'Only import channels of these guild(s), by ID or configured name')
+  .option('--overwrite', 'Update messages that are already stored instead of skipping them')
+  .option('--dry-run', 'Show what would be imported without writing to the database')
+  .action(async (paths, options) => {
+    const spinner = ora();
+    let db = null;
+
+    try {
+      if (!['auto', 'chatexporter', 'package'].includes(options.format)) {
+        console.error(chalk.red(`Error: unknown format "${options.format}"`));
+        process.exit(1);
+      }
+
+      const guildIds = options.guild && resolveGuilds(loadConfig(), options.guild).map(guild => guild.id);
+
+      if (!options.dryRun) {
+        spinner.start('Initializing database...');
+        const dbPath = process.env.DATABASE_PATH || './data/discord.db';
+        db = initDatabase(dbPath);
+        spinner.succeed('Database initialized');
+      }
+
+      let totalChannels = 0;
+      let totalImported = 0;
+      let totalSkipped = 0;
+
+      for (const inputPath of paths) {
+        console.log(chalk.blue(`\nImporting ${inputPath}...\n`));
+
+        for (const data of readImportPath(inputPath, { format: options.format })) {
+          if (data.skipped) {
+            console.log(chalk.dim(`  ${data.source}: skipped, ${data.skipped}`));
+            continue;
+          }
+
+          if (guildIds && !guildIds.includes(data.guild.id)) {
+            console.log(chalk.dim(`  ${data.guild.name} › #${data.channel.name}: skipped, guild not selected`));
+            continue;
+          }
+
+          const label = `${data.guild.name} › #${data.channel.name}`;
+
+          if (options.dryRun) {
+            console.log(`  - ${label} (${data.channel.id}): ${data.bundles.length} messages`);
+            totalChannels++;
+            continue;
+          }
+
+          spinner.start(`${label}: importing ${data.bundles.length} messages...`);
+          const result = importChannel(db, data, { overwrite: options.overwrite });
+          const skippedNote = result.skipped > 0 ? chalk.dim(`, ${result.skipped} already stored`) : '';
+          spinner.succeed(`${label}: ${chalk.green(result.imported)} messages${skippedNote}`);
+
+          totalChannels++;
+          totalImported += result.imported;
+          totalSkipped += result.skipped;
+        }
+      }
+
+      if (options.dryRun) {
+        console.log(chalk.yellow(`\nDRY RUN - Would import ${totalChannels} channel(s)`));
+        return;
+      }
+
+      console.log(chalk.green('\n✓ Import complete!'));
+      console.log(`  Channels: ${totalChannels}`);
+      console.log(`  Messages: ${totalImported}`);
+      if (totalSkipped > 0) {
+        console.log(`  Skipped:  ${totalSkipped} (already stored, use --overwrite to update)`);
+      }
+    } catch (error) {
+      spinner.fail(error.message);
+      console.error(chalk.red('\nImport failed:'), error);
+      process.exit(1);
+    } finally {
+      if (db) closeDatabase();
+    }
+  });
+
+export default importCommand;
@@ -0,0 +1,109 @@
+import { Command } from 'commander';
+import ora from 'ora';
+import chalk from 'chalk';
+import {
+  createClient,
+  destroyClient,
+  getGuild,
+  formatGuildData,
+} from '../../scraper/client.js';
+import { attachListeners } from '../../scraper/listener.js';
+import { initDatabase, closeDatabase } from '../../storage/database.js';
+import { upsertGuild } from '../../storage/repositories/index.js';
+import { loadConfig, resolveGuilds, getGuildChannelFilter } from '../../utils/config.js';
+import { initLogger, logger } from '../../utils/logger.js';
+
+export const listenCommand = new Command('listen')
+  .description('Stay connected and store messages, edits, deletions, reactions and threads as they happen')
+  .option('-g, --guild <ids...>', 'Guild(s) to listen to by ID or configured name (default: all configured guilds)')
+  .option('-c, --channel <names...>', 'Only listen to specific channel(s) by name, ID or glob')
+  .option('--quiet', 'Only log errors, not every stored event')
+  .action(async (options) => {
+    const spinner = ora();
+    let db = null;
+
+    try {
+      const config = loadConfig();
+      initLogger(config.logging);
+
+      // Validate environment
+      const token = process.env.DISCORD_BOT_TOKEN;
+      const guildEntries = resolveGuilds(config, options.guild);
+
+      if (!token) {
+        console.error(chalk.red('Error: DISCORD_BOT_TOKEN is required'));
+        process.exit(1);
+      }
+
+      if (guildEntries.length === 0) {
+        console.error(chalk.red('Error: no guild configured (set DISCORD_GUILD_ID or discord.guilds, or pass --guild)'));
+        process.exit(1);
+      }
+
+      // Initialize database
+      spinner.start('Initializing database...');
+      const dbPath = process.env.DATABASE_PATH || './data/discord.db';
+      db = initDatabase(dbPath);
+      spinner.succeed('Database initialized');
+
+      // Connect to Discord
+      spinner.start('Connecting to Discord...');
+      const client = await createClient(token);
+      spinner.succeed(`Connected as ${chalk.green(client.user.tag)}`);
+
+      // Gateway errors are reported as 'error' events, which crash the process when
+      // nothing listens; log them and let discord.js reconnect
+      const onClientError = (error) => {
+        logger.error('Discord client error', { error: error.message });
+      };
+      client.on('error', onClientError);
+
+      // Get guilds, each with its own channel selection (-c overrides every allowlist)
+      const guilds = {};
+      const guildNames = [];
+      for (const guildEntry of guildEntries) {
+        spinner.start('Fetching guild info...');
+        const guild = await getGuild(guildEntry.id);
+        upsertGuild(db, formatGuildData(guild));
+        spinner.succeed(`Found guild: ${chalk.green(guild.name)}`);
+
+        const channelFilter = getGuildChannelFilter(config, guildEntry);
+        guilds[guild.id] = {
+          ...channelFilter,
+          allowlist: options.channel || channelFilter.allowlist,
+        };
+        guildNames.push(guild.name);
+      }
+
+      const detach = attachListeners(client, db, {
+        guilds,
+        onEvent: (event, details) => {
+          if (!options.quiet) logger.info(event, details);
+        },
+        onError: (event, error) => {
+          logger.error(`Failed to store ${event}`, { error: error.message });
+        },
+      });
+
+      console.log(chalk.blue(`\nListening for live events in ${guildNames.join(', ')}. Press Ctrl+C to stop.\n`));
+
+      // Keep running until interrupted, then shut down cleanly
+      await new Promise((resolve) => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+      });
+
+      detach();
+      client.off('error', onClientError);
+      console.log(chalk.dim('\nStopping listener...'));
+    } catch (error) {
+      spinner.fail(error.message);
+      console.error(chalk.red('\nListener failed:'), error);
+      process.exit(1);
+    } finally {
+      destroyClient();
+      if (db) closeDatabase();
+    }
+  });
+
+export default listenCommand;
@@ -2,11 +2,66 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import { initDatabase, closeDatabase } from '../../storage/database.js';
-import { loadConfig } from '../../utils/config.js';
+import { loadConfig, resolveGuilds, getStageConfig } from '../../utils/config.js';
 import { initLogger, logger } from '../../utils/logger.js';
 import { getStageRunner, stageOrder } from '../../ai/stages/index.js';
-import { estimateCost } from '../../ai/tokens.js';
-import { countMessages } from '../../storage/repositories/index.js';
+import { startRun, getRunSpend, projectCost } from '../../ai/budget.js';
+import { configureCache, getCacheRunStats, pruneCache } from '../../ai/cache.js';
+import {
+  countMessages,
+  getAISpend,
+  getResponseCacheStats,
+  getAIFailures,
+  setAIFailureStatus,
+} from '../../storage/repositories/index.js';
+
+/**
+ * SQL condition matching ai_processing rows that belong to the given guilds:
+ * messages by channel, daily summaries by their channel, weekly summaries by guild.
+ * @param {string[]} guildIds - Guild IDs.
+ * @param {Array} params - Query parameters; values are appended.
+ * @returns {string} Condition starting with " AND".
+ */
+function aiProcessingGuildCondition(guildIds, params) {
+  const placeholders = guildIds.map(() => '?').join(', ');
+  params.push(...guildIds, ...guildIds, ...guildIds);
+  return ` AND (
+    (entity_type = 'message' AND entity_id IN (
+      SELECT m.id FROM messages m JOIN channels c ON c.id = m.channel_id WHERE c.guild_id IN (${placeholders})
+    ))
+    OR (entity_type = 'daily_summary' AND substr(entity_id, 1, instr(entity_id, ':') - 1) IN (
+      SELECT id FROM channels WHERE guild_id IN (${placeholders})
+    ))
+    OR (entity_type = 'weekly_summary' AND substr(entity_id, 1, instr(entity_id, ':') - 1) IN (${placeholders}))
+  )`;
+}
+
+/**
+ * Prompt tokens a dry run estimated for a stage, wherever the stage reports them.
+ * @param {Object} results - Dry-run results of a stage runner.
+ * @returns {number} Estimated input tokens.
+ */
+function getEstimatedTokens(results) {
+  if (results.estimatedTokens) return results.estimatedTokens;
+  const parts = [...(results.summaries || []), ...Object.values(results.extracts || {})];
+  return parts.reduce((sum, part) => sum + (part.estimatedTokens || 0), 0);
+}
+
+/**
+ * Print one group of the ai_calls spend report.
+ * @param {string} title - Group heading.
+ * @param {Object[]} rows - Rows from getAISpend().
+ */
+function printSpend(title, rows) {
+  if (rows.length === 0) return;
+  console.log(chalk.dim(`  ${title}:`));
+  for (const row of rows) {
+    const failed = row.failed > 0 ? chalk.yellow(` ${row.failed} failed`) : '';
+    console.log(
+      chalk.dim(`    ${String(row.key).padEnd(28)} $${row.cost_usd.toFixed(4).padStart(9)}  ${row.calls} calls  ${row.tokens_in} in / ${row.tokens_out} out`) + failed
+    );
+  }
+}
 
 export const processCommand = new Command('process')
   .description('Run AI processing stages on scraped messages');
@@ -16,6 +71,7 @@ processCommand
   .description('Run one or more AI processing stages')
   .option('-s, --stage <stage>', 'Stage to run (filter, categorize, summarize, extract, format)')
   .option('--all', 'Run all enabled stages in order')
+  .option('-g, --guild <ids...>', 'Only process these guild(s), by ID or configured name')
   .option('-c, --channel <id>', 'Filter by channel ID')
   .option('--since <date>', 'Process messages since date (ISO 8601)')
   .option('--until <date>', 'Process messages until date (ISO 8601)')
@@ -25,6 +81,8 @@ processCommand
   .option('-d, --date <date>', 'Date for summarize stage (YYYY-MM-DD)')
   .option('--weekly', 'Generate weekly summary instead of daily', false)
   .option('--extract-type <type>', 'Extract type: quotes, announcements, faqs, or all', 'all')
+  .option('--max-cost <usd>', 'Stop before this run would spend more than this many USD', parseFloat)
+  .option('--no-cache', 'Call the AI even when a cached response exists (fresh responses are still cached)')
   .action(async (options) => {
     const spinner = ora();
 
@@ -34,6 +92,7 @@ processCommand
 
       const dbPath = config.database.path;
       const db = initDatabase(dbPath);
+      const guildIds = options.guild && resolveGuilds(config, options.guild).map((guild) => guild.id);
 
       // Determine which stages to run
       let stagesToRun = [];
@@ -52,10 +111,13 @@ processCommand
         console.log(chalk.yellow('DRY RUN MODE - No AI calls will be made\n'));
       }
 
-      const totalMessages = countMessages(db);
-      console.log(chalk.dim(`Total messages in database: ${totalMessages}`));
+      const totalMessages = countMessages(db, null, guildIds);
+      console.log(chalk.dim(`Total messages${guildIds ? ' in selected guilds' : ' in database'}: ${totalMessages}`));
 
       const allResults = {};
+      let projectedCost = 0;
+      startRun({ maxCost: options.maxCost });
+      configureCache({ enabled: options.cache ? undefined : false });
 
       for (const stageName of stagesToRun) {
         spinner.start(`Running ${stageName} stage...`);
@@ -64,6 +126,7 @@ processCommand
           const runner = await getStageRunner(stageName);
           const results = await runner(db, {
             channelId: options.channel,
+            guildIds,
             startDate: options.since,
             endDate: options.until,
             limit: options.limit,
@@ -79,9 +142,17 @@ processCommand
           allResults[stageName] = results;
 
           if (options.dryRun) {
+            const estimatedTokens = getEstimatedTokens(results);
+            const stageCost = projectCost({
+              db,
+              stage: stageName,
+              model: getStageConfig(config, stageName).model,
+              inputTokens: estimatedTokens,
+            });
+            projectedCost += stageCost;
             spinner.info(
               `${stageName}: Would process ${results.messageCount || 0} messages ` +
-                `in ${results.batchCount || 0} batches (~${results.estimatedTokens || 0} tokens)`
+                `in ${results.batchCount || 0} batches (~${estimatedTokens} tokens, ~$${stageCost.toFixed(4)})`
             );
           } else {
             spinner.succeed(
@@ -111,12 +182,28 @@ processCommand
                 .join(', ');
               console.log(chalk.dim(`   Extracted: ${extractStats}`));
             }
+            if (stageName === 'format' && results.drafts) {
+              const draftStats = Object.entries(results.drafts)
+                .map(([platform, count]) => `${platform}: ${count}`)
+                .join(', ');
+              console.log(chalk.dim(`   Drafts: ${draftStats || 'none'}`));
+            }
 
             if (results.errors?.length > 0) {
-              console.log(chalk.yellow(`   Errors: ${results.errors.length}`));
+              const deadLettered = results.errors.filter((error) => error.messageId).length;
+              console.log(
+                chalk.yellow(`   Errors: ${results.errors.length}`) +
+                  (deadLettered ? chalk.dim(` (${deadLettered} dead-lettered, see process failures)`) : '')
+              );
             }
           }
         } catch (error) {
+          // Budget caps stop the run; what was processed so far is kept
+          if (error.code === 'BUDGET_EXCEEDED') {
+            spinner.warn(`${stageName}: ${error.message}`);
+            allResults[stageName] = { error: error.message, budgetExceeded: true };
+            break;
+          }
           spinner.fail(`${stageName}: ${error.message}`);
           allResults[stageName] = { error: error.message };
         }
@@ -125,27 +212,36 @@ processCommand
       // Summary
       console.log(chalk.blue('\n─'.repeat(50)));
 
-      if (!options.dryRun) {
-        // Calculate total usage
-        let totalUsage = { calls: 0, inputTokens: 0, outputTokens: 0 };
-        for (const results of Object.values(allResults)) {
-          if (results.usage) {
-            totalUsage.calls += results.usage.calls || 0;
-            totalUsage.inputTokens += results.usage.inputTokens || 0;
-            totalUsage.outputTokens += results.usage.outputTokens || 0;
+      if (options.dryRun) {
+        console.log(chalk.dim(`\nProjected cost: ~$${projectedCost.toFixed(4)}`));
+        if (options.maxCost != null && projectedCost > options.maxCost) {
+          console.log(chalk.yellow(`  Exceeds --max-cost $${options.maxCost}; the run would stop early`));
+        }
+      } else {
+        const spend = getRunSpend();
+        if (spend.calls > 0) {
+          console.log(chalk.dim(`\nToken usage:`));
+          console.log(chalk.dim(`  API calls: ${spend.calls}`));
+          console.log(chalk.dim(`  Input tokens: ${spend.inputTokens}${spend.cachedInputTokens ? ` (${spend.cachedInputTokens} cached)` : ''}`));
+          console.log(chalk.dim(`  Output tokens: ${spend.outputTokens}`));
+          console.log(chalk.dim(`  Cost: $${spend.cost.toFixed(4)}${spend.maxCost != null ? ` of $${spend.maxCost}` : ''}`));
+          for (const [model, modelSpend] of Object.entries(spend.byModel)) {
+            console.log(chalk.dim(`    ${model}: $${modelSpend.cost.toFixed(4)} (${modelSpend.calls} calls)`));
           }
         }
 
-        if (totalUsage.calls > 0) {
-          const cost = estimateCost(totalUsage);
-          console.log(chalk.dim(`\nToken usage:`));
-          console.log(chalk.dim(`  API calls: ${totalUsage.calls}`));
-          console.log(chalk.dim(`  Input tokens: ${totalUsage.inputTokens}`));
-          console.log(chalk.dim(`  Output tokens: ${totalUsage.outputTokens}`));
-          console.log(chalk.dim(`  Estimated cost: $${cost.toFixed(4)}`));
+        const cacheStats = getCacheRunStats();
+        if (cacheStats.hits > 0) {
+          console.log(chalk.dim(`\nCached responses: ${cacheStats.hits} (saved ~$${cacheStats.saved.toFixed(4)})`));
         }
       }
 
+      if (Object.values(allResults).some((results) => results.budgetExceeded)) {
+        console.log(chalk.yellow('\n⚠ Stopped at the budget cap; run again once there is budget left\n'));
+        closeDatabase();
+        return;
+      }
+
       console.log(chalk.green('\n✓ Processing complete\n'));
 
       closeDatabase();
@@ -159,26 +255,35 @@ processCommand
 processCommand
   .command('status')
   .description('Show processing status for each stage')
-  .action(async () => {
+  .option('-g, --guild <ids...>', 'Only count results for these guild(s), by ID or configured name')
+  .option('--since <date>', 'Report spend since date (YYYY-MM-DD); defaults to the last 30 days')
+  .action(async (options) => {
     try {
       const config = loadConfig();
       const dbPath = config.database.path;
       const db = initDatabase(dbPath);
+      const guildIds = options.guild && resolveGuilds(config, options.guild).map((guild) => guild.id);
+
+      // Scope every ai_processing / marketing_extracts query to the selected guilds
+      const scopeParams = [];
+      const scope = guildIds ? aiProcessingGuildCondition(guildIds, scopeParams) : '';
+      const extractScope = guildIds ? ` AND guild_id IN (${guildIds.map(() => '?').join(', ')})` : '';
+      const extractParams = guildIds || [];
 
       console.log(chalk.blue('\nAI Processing Status\n'));
       console.log(chalk.dim('─'.repeat(50)));
 
-      const totalMessages = countMessages(db);
+      const totalMessages = countMessages(db, null, guildIds);
       console.log(`Total messages: ${chalk.green(totalMessages)}\n`);
 
       for (const stage of stageOrder) {
         const enabled = config.ai.stages[stage]?.enabled ? '✓' : '✗';
         const count = db
-          .prepare('SELECT COUNT(*) as count FROM ai_processing WHERE stage = ?')
-          .get(stage);
+          .prepare(`SELECT COUNT(*) as count FROM ai_processing WHERE stage = ?${scope}`)
+          .get(stage, ...scopeParams);
 
         console.log(
-          `${enabled} ${stage.padEnd(12)} ${chalk.green(count.count)} processed`
+          `${enabled} ${stage.padEnd(12)} ${chalk.green(count.count)} processed ${chalk.dim(getStageConfig(config, stage).model)}`
         );
       }
 
@@ -188,9 +293,9 @@ processCommand
           SELECT
             SUM(CASE WHEN json_extract(result_json, '$.keep') = 1 THEN 1 ELSE 0 END) as kept,
             SUM(CASE WHEN json_extract(result_json, '$.keep') = 0 THEN 1 ELSE 0 END) as discarded
-          FROM ai_processing WHERE stage = 'filter'
+          FROM ai_processing WHERE stage = 'filter'${scope}
         `)
-        .get();
+        .get(...scopeParams);
 
       if (filterStats.kept || filterStats.discarded) {
         console.log(chalk.dim(`\nFilter breakdown:`));
@@ -200,11 +305,11 @@ processCommand
 
       // Summary stats
       const dailySummaries = db
-        .prepare(`SELECT COUNT(*) as count FROM ai_processing WHERE entity_type = 'daily_summary'`)
-        .get();
+        .prepare(`SELECT COUNT(*) as count FROM ai_processing WHERE entity_type = 'daily_summary'${scope}`)
+        .get(...scopeParams);
       const weeklySummaries = db
-        .prepare(`SELECT COUNT(*) as count FROM ai_processing WHERE entity_type = 'weekly_summary'`)
-        .get();
+        .prepare(`SELECT COUNT(*) as count FROM ai_processing WHERE entity_type = 'weekly_summary'${scope}`)
+        .get(...scopeParams);
 
       if (dailySummaries.count > 0 || weeklySummaries.count > 0) {
         console.log(chalk.dim(`\nSummaries:`));
@@ -217,15 +322,79 @@ processCommand
         .prepare(`
           SELECT extract_type, COUNT(*) as count
           FROM marketing_extracts
+          WHERE 1=1${extractScope}
           GROUP BY extract_type
         `)
-        .all();
+        .all(...extractParams);
 
       if (extractStats.length > 0) {
         console.log(chalk.dim(`\nMarketing Extracts:`));
         for (const stat of extractStats) {
           console.log(chalk.dim(`  ${stat.extract_type}: ${stat.count}`));
         }
+
+        // Extracts whose source was edited or deleted must be reviewed before use
+        const flagged = db
+          .prepare(`
+            SELECT source_status, COUNT(*) as count
+            FROM marketing_extracts
+            WHERE source_status IS NOT NULL${extractScope}
+            GROUP BY source_status
+          `)
+          .all(...extractParams);
+
+        for (const stat of flagged) {
+          console.log(chalk.yellow(`  ⚠ source ${stat.source_status}: ${stat.count}`));
+        }
+      }
+
+      // Drafts written by the format stage
+      const draftStats = db
+        .prepare(`
+          SELECT platform, status, COUNT(*) as count
+          FROM content_drafts
+          WHERE 1=1${extractScope}
+          GROUP BY platform, status
+          ORDER BY platform, status
+        `)
+        .all(...extractParams);
+
+      if (draftStats.length > 0) {
+        console.log(chalk.dim(`\nContent Drafts:`));
+        for (const stat of draftStats) {
+          console.log(chalk.dim(`  ${stat.platform} (${stat.status}): ${stat.count}`));
+        }
+      }
+
+      // Dead-letter queue, see process failures
+      const failureStats = db
+        .prepare(`
+          SELECT stage, status, COUNT(*) as count
+          FROM ai_failures
+          WHERE status != 'resolved'
+          GROUP BY stage, status
+          ORDER BY stage, status
+        `)
+        .all();
+
+      if (failureStats.length > 0) {
+        console.log(chalk.dim(`\nDead-letter queue${guildIds ? ' (all guilds)' : ''}:`));
+        for (const stat of failureStats) {
+          const line = `  ${stat.stage} (${stat.status}): ${stat.count}`;
+          console.log(stat.status === 'failed' ? chalk.yellow(line) : chalk.dim(line));
+        }
+      }
+
+      // Spend from the ai_calls ledger, which isn't tied to guilds
+      const since = options.since || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const [total] = getAISpend(db, { since });
+      if (total) {
+        console.log(chalk.dim(`\nSpend since ${since}${guildIds ? ' (all guilds)' : ''}:`));
+        printSpend('Total', [{ ...total, key: 'all calls' }]);
+        printSpend('By stage', getAISpend(db, { since, groupBy: 'stage' }));
+        printSpend('By model', getAISpend(db, { since, groupBy: 'model' }));
+        printSpend('By day', getAISpend(db, { since, groupBy: 'day' }));
+        printSpend('By month (all time)', getAISpend(db, { groupBy: 'month' }));
       }
 
       console.log('');
@@ -240,6 +409,7 @@ processCommand
   .command('reset')
   .description('Clear AI processing results for a stage')
   .argument('<stage>', 'Stage to reset (filter, categorize, etc.)')
+  .option('-g, --guild <ids...>', 'Only clear results for these guild(s), by ID or configured name')
   .option('--confirm', 'Skip confirmation prompt')
   .action(async (stage, options) => {
     try {
@@ -251,10 +421,14 @@ processCommand
 
       const config = loadConfig();
       const db = initDatabase(config.database.path);
+      const guildIds = options.guild && resolveGuilds(config, options.guild).map((guild) => guild.id);
+
+      const scopeParams = [];
+      const scope = guildIds ? aiProcessingGuildCondition(guildIds, scopeParams) : '';
 
       const count = db
-        .prepare('SELECT COUNT(*) as count FROM ai_processing WHERE stage = ?')
-        .get(stage);
+        .prepare(`SELECT COUNT(*) as count FROM ai_processing WHERE stage = ?${scope}`)
+        .get(stage, ...scopeParams);
 
       if (count.count === 0) {
         console.log(chalk.yellow(`No ${stage} results to clear`));
@@ -271,7 +445,7 @@ processCommand
         return;
       }
 
-      db.prepare('DELETE FROM ai_processing WHERE stage = ?').run(stage);
+      db.prepare(`DELETE FROM ai_processing WHERE stage = ?${scope}`).run(stage, ...scopeParams);
       console.log(chalk.green(`✓ Cleared ${count.count} ${stage} results`));
 
       closeDatabase();
@@ -281,4 +455,243 @@ processCommand
     }
   });
 
+processCommand
+  .command('cache')
+  .description('Show response cache stats, or prune the cache')
+  .option('--prune', 'Delete expired entries and entries from older response schemas')
+  .option('--older-than <days>', 'With --prune, also delete entries cached more than this many days ago', parseInt)
+  .option('--clear', 'Delete every entry (with --confirm)')
+  .option('-s, --stage <stage>', 'Only prune or clear this stage\'s entries')
+  .option('--confirm', 'Confirm --clear')
+  .action(async (options) => {
+    try {
+      if (options.stage && !stageOrder.includes(options.stage)) {
+        console.error(chalk.red(`Unknown stage: ${options.stage}`));
+        console.error(`Available: ${stageOrder.join(', ')}`);
+        process.exit(1);
+      }
+
+      const config = loadConfig();
+      const db = initDatabase(config.database.path);
+
+      if (options.clear) {
+        if (!options.confirm) {
+          const entries = getResponseCacheStats(db)
+            .filter((row) => !options.stage || row.stage === options.stage)
+            .reduce((sum, row) => sum + row.entries, 0);
+          console.log(chalk.yellow(`This will delete ${entries} cached responses.`));
+          console.log(chalk.dim('Use --confirm to proceed'));
+          closeDatabase();
+          return;
+        }
+        const deleted = pruneCache(db, { all: true, stage: options.stage });
+        console.log(chalk.green(`✓ Cleared ${deleted} cached responses`));
+      } else if (options.prune) {
+        const before = options.olderThan != null
+          ? new Date(Date.now() - options.olderThan * 24 * 60 * 60 * 1000).toISOString()
+          : undefined;
+        const deleted = pruneCache(db, { stage: options.stage, before });
+        console.log(chalk.green(`✓ Pruned ${deleted} cached responses`));
+      }
+
+      const rows = getResponseCacheStats(db);
+      const cacheConfig = config.ai.cache || {};
+
+      console.log(chalk.blue('\nResponse Cache\n'));
+      console.log(chalk.dim(
+        `  ${cacheConfig.enabled === false ? 'Disabled' : 'Enabled'}, ` +
+          `entries expire ${cacheConfig.ttlDays ? `after ${cacheConfig.ttlDays} days` : 'never'}`
+      ));
+
+      if (rows.length === 0) {
+        console.log(chalk.dim('  No cached responses\n'));
+        closeDatabase();
+        return;
+      }
+
+      for (const row of rows) {
+        const expired = row.expired > 0 ? chalk.yellow(` ${row.expired} expired`) : '';
+        console.log(
+          `  ${row.stage.padEnd(12)} ${String(row.entries).padStart(6)} entries  ` +
+            `${String(row.hits).padStart(6)} hits  saved $${row.saved_usd.toFixed(4)}  ` +
+            chalk.dim(`${(row.bytes / 1024).toFixed(1)} KB`) + expired
+        );
+      }
+
+      const totals = rows.reduce(
+        (sum, row) => ({ entries: sum.entries + row.entries, hits: sum.hits + row.hits, saved: sum.saved + row.saved_usd }),
+        { entries: 0, hits: 0, saved: 0 }
+      );
+      console.log(chalk.dim(`\n  Total: ${totals.entries} entries, ${totals.hits} hits, saved $${totals.saved.toFixed(4)}\n`));
+
+      closeDatabase();
+    } catch (error) {
+      console.error(chalk.red('Cache command failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const failuresCommand = processCommand
+  .command('failures')
+  .description('List, retry or skip messages in the dead-letter queue');
+
+failuresCommand
+  .command('list', { isDefault: true })
+  .description('List dead-lettered messages')
+  .option('-s, --stage <stage>', 'Only this stage')
+  .option('--status <status>', 'failed, skipped, resolved or all', 'failed')
+  .option('-l, --limit <n>', 'Maximum entries to show', parseInt, 50)
+  .option('--raw', 'Show the raw response that failed')
+  .action(async (options) => {
+    try {
+      const config = loadConfig();
+      const db = initDatabase(config.database.path);
+
+      const failures = getAIFailures(db, {
+        stage: options.stage,
+        status: options.status === 'all' ? undefined : options.status,
+        limit: options.limit,
+      });
+
+      if (failures.length === 0) {
+        console.log(chalk.green(options.status === 'all' ? 'No failures' : `No failures with status ${options.status}`));
+        closeDatabase();
+        return;
+      }
+
+      console.log(chalk.blue(`\nDead-letter queue (${failures.length})\n`));
+      for (const failure of failures) {
+        console.log(
+          `${chalk.dim(`#${failure.id}`)} ${failure.stage} ${failure.entity_type} ${failure.entity_id} ` +
+            chalk.dim(`${failure.status}, ${failure.attempts} attempt(s), ${failure.updated_at}`)
+        );
+        console.log(chalk.yellow(`   ${failure.error}`));
+        if (options.raw && failure.raw_response) {
+          console.log(chalk.dim(`   ${failure.raw_response.slice(0, 500)}`));
+        }
+      }
+      console.log(chalk.dim('\nRetry with: process failures retry [ids...]; give up with: process failures skip <ids...>\n'));
+
+      closeDatabase();
+    } catch (error) {
+      console.error(chalk.red('Failed to list failures:'), error.message);
+      process.exit(1);
+    }
+  });
+
+failuresCommand
+  .command('retry')
+  .description('Run the stage again for dead-lettered messages and format sources (all failed ones unless IDs are given)')
+  .argument('[ids...]', 'Failure IDs (from process failures list)')
+  .option('-s, --stage <stage>', 'Only this stage')
+  .option('--max-cost <usd>', 'Stop before the retries would spend more than this many USD', parseFloat)
+  .action(async (ids, options) => {
+    const spinner = ora();
+
+    try {
+      const config = loadConfig();
+      initLogger(config.logging);
+      const db = initDatabase(config.database.path);
+
+      const failures = getAIFailures(db, {
+        stage: options.stage,
+        status: ids.length > 0 ? undefined : 'failed',
+        ids: ids.map(Number),
+      });
+
+      if (failures.length === 0) {
+        console.log(chalk.green('Nothing to retry'));
+        closeDatabase();
+        return;
+      }
+
+      startRun({ maxCost: options.maxCost });
+      // A cached reply would only repeat what failed (e.g. a draft over its limit)
+      configureCache({ enabled: false });
+
+      for (const stageName of stageOrder) {
+        const stageFailures = failures.filter((failure) => failure.stage === stageName);
+        if (stageFailures.length === 0) continue;
+
+        let runOptions;
+        if (stageName === 'format') {
+          // Format failures are extracts and summaries rather than messages
+          const sourceIds = {};
+          for (const failure of stageFailures) {
+            (sourceIds[failure.entity_type] ??= []).push(failure.entity_id);
+          }
+          runOptions = { sourceIds };
+          spinner.start(`Retrying ${stageFailures.length} format source(s)...`);
+        } else {
+          const messageIds = stageFailures
+            .filter((failure) => failure.entity_type === 'message')
+            .map((failure) => failure.entity_id);
+          if (messageIds.length < stageFailures.length) {
+            console.log(chalk.yellow(`${stageName}: only message failures can be retried`));
+          }
+          runOptions = { messageIds };
+          spinner.start(`Retrying ${messageIds.length} ${stageName} message(s)...`);
+        }
+
+        try {
+          const runner = await getStageRunner(stageName);
+          const results = await runner(db, runOptions);
+          const failed = results.errors?.length || 0;
+          const report = `${stageName}: ${results.processed || 0} processed, ${failed} failed again`;
+          if (failed > 0) {
+            spinner.warn(report);
+          } else {
+            spinner.succeed(report);
+          }
+        } catch (error) {
+          spinner.fail(`${stageName}: ${error.message}`);
+          if (error.code === 'BUDGET_EXCEEDED') break;
+        }
+      }
+
+      const spend = getRunSpend();
+      if (spend.calls > 0) {
+        console.log(chalk.dim(`\n${spend.calls} API calls, $${spend.cost.toFixed(4)}`));
+      }
+      console.log('');
+
+      closeDatabase();
+    } catch (error) {
+      spinner.fail(error.message);
+      console.error(chalk.red('Retry failed:'), error);
+      process.exit(1);
+    }
+  });
+
+failuresCommand
+  .command('skip')
+  .description('Give up on dead-lettered messages; they stay out of future runs')
+  .argument('[ids...]', 'Failure IDs (from process failures list)')
+  .option('-s, --stage <stage>', 'With --all, only this stage')
+  .option('--all', 'Skip every failed entry')
+  .action(async (ids, options) => {
+    try {
+      if (ids.length === 0 && !options.all) {
+        console.error(chalk.red('Give failure IDs or --all'));
+        process.exit(1);
+      }
+
+      const config = loadConfig();
+      const db = initDatabase(config.database.path);
+
+      const failures = getAIFailures(db, {
+        stage: options.stage,
+        status: options.all ? 'failed' : undefined,
+        ids: ids.map(Number),
+      });
+      const skipped = setAIFailureStatus(db, failures.map((failure) => failure.id), 'skipped');
+      console.log(chalk.green(`✓ Skipped ${skipped} failure(s)`));
+
+      closeDatabase();
+    } catch (error) {
+      console.error(chalk.red('Skip failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 export default processCommand;
@@ -6,59 +6,688 @@ import {
   destroyClient,
   getGuild,
   getTextChannels,
+  getThreads,
+  isForumChannel,
   canReadChannel,
   formatGuildData,
   formatChannelData,
+  formatEmojiData,
+  formatScheduledEventData,
 } from '../../scraper/client.js';
-import { fetchMessages } from '../../scraper/messages.js';
+import { fetchMessages, fetchPins, compareSnowflakes } from '../../scraper/messages.js';
+import {
+  formatRoleData,
+  formatMemberData,
+  fetchRoles,
+  fetchAllMembers,
+  fetchMembersById,
+} from '../../scraper/members.js';
 import { initDatabase, closeDatabase } from '../../storage/database.js';
+import { createRateLimiter, runPool } from '../../scraper/ratelimit.js';
+import { archiveAttachment } from '../../scraper/attachments.js';
+import { loadConfig, resolveGuilds, getGuildChannelFilter } from '../../utils/config.js';
 import {
   upsertGuild,
   upsertChannel,
   upsertUser,
-  upsertMessage,
-  upsertEmbed,
-  upsertAttachment,
-  upsertReaction,
+  upsertRole,
+  upsertGuildMember,
+  upsertEmoji,
+  upsertScheduledEvent,
+  getReaction,
+  markGuildMemberLeft,
+  getCurrentGuildMemberIds,
+  getAuthorsNeedingMemberSync,
+  saveMessageBundle,
+  insertMessageBundle,
+  replaceChannelPins,
+  markMissingMessagesDeleted,
   updateChannelLastScraped,
   getChannelLastScrapedId,
   createSyncState,
   completeSyncState,
   failSyncState,
+  updateSyncStateProgress,
+  resumeSyncState,
+  getResumableSyncState,
+  startSyncChannelProgress,
+  checkpointSyncChannelProgress,
+  completeSyncChannelProgress,
+  failSyncChannelProgress,
+  getSyncChannelProgress,
+  getAttachmentsToArchive,
+  updateAttachmentArchive,
 } from '../../storage/repositories/index.js';
 
+// Discord error codes for channels whose pins the bot isn't allowed to read
+const MISSING_ACCESS = 50001;
+const MISSING_PERMISSIONS = 50013;
+
+/**
+ * Scrape one channel or thread into the database.
+ * Progress is checkpointed to sync_channel_progress after every page, so an
+ * interrupted channel can be resumed from the furthest message it reached.
+ * @param {Database} db - Database connection.
+ * @param {TextChannel|ThreadChannel} channel - The channel to scrape.
+ * @param {Object} options - Scrape options.
+ * @param {number} options.syncId - The sync_state row this scrape belongs to.
+ * @param {boolean} options.isIncremental - Resume from the last scraped message.
+ * @param {boolean} [options.resume] - Continue from this sync's checkpoint for the channel.
+ * @param {number} [options.limit] - Maximum messages to fetch.
+ * @param {number} [options.since] - Age cutoff as epoch ms (null for no cutoff).
+ * @param {number} [options.delay] - Delay between API requests in ms.
+ * @param {Object} [options.limiter] - Rate limiter shared by all workers.
+ * @param {Object} [options.retry] - Retry/backoff options for failed requests.
+ * @param {boolean} [options.reactionUsers] - Fetch who reacted for new or changed reactions.
+ * @param {Function} [options.onProgress] - Called with the running message count.
+ * @returns {Promise<Object>} { messages, deleted, pins, skipped, resumed } for this run.
+ */
+async function scrapeChannel(db, channel, options) {
+  const {
+    syncId,
+    isIncremental,
+    resume = false,
+    limit,
+    since,
+    delay,
+    limiter,
+    retry,
+    reactionUsers = false,
+    onProgress,
+  } = options;
+
+  const progress = resume ? getSyncChannelProgress(db, syncId, channel.id) : null;
+  if (progress?.status === 'completed') {
+    return { messages: 0, skipped: true, resumed: false };
+  }
+
+  // Determine starting point: a checkpoint, or the last scraped message for incremental
+  let afterId = null;
+  if (progress) {
+    afterId = progress.after_message_id;
+  } else if (isIncremental) {
+    afterId = getChannelLastScrapedId(db, channel.id);
+
+    // Archived threads rarely change; skip them when nothing new was posted
+    if (afterId && channel.isThread() && channel.lastMessageId === afterId) {
+      return { messages: 0, skipped: true, resumed: false };
+    }
+  }
+
+  const alreadyStored = progress?.messages_processed || 0;
+  let latestMessageId = progress?.newest_message_id || null;
+  let channelMessages = 0;
+
+  startSyncChannelProgress(db, syncId, channel.id, afterId);
+
+  // Incremental scrapes page forward from afterId; everything else pages backward.
+  // A checkpoint continues in the same direction from the furthest message reached.
+  let beforeId = null;
+  if (afterId) {
+    afterId = progress?.newest_message_id || afterId;
+  } else {
+    beforeId = progress?.oldest_message_id || null;
+  }
+
+  const checkpoint = db.transaction((data) => {
+    checkpointSyncChannelProgress(db, data);
+    updateSyncStateProgress(db, syncId);
+  });
+
+  // Stored messages that fall inside a span Discord returned, but are missing
+  // from it, have been deleted. The span of each page reaches back to the edge
+  // of the previous page so gaps between pages are covered too.
+  const forward = Boolean(afterId) && !beforeId;
+  let boundaryId = forward ? null : beforeId;
+  let pageIds = [];
+  let deletedMessages = 0;
+
+  const remaining = limit ? limit - alreadyStored : null;
+
+  if (remaining === null || remaining > 0) {
+    for await (const data of fetchMessages(channel, {
+      before: beforeId,
+      after: afterId,
+      limit: remaining,
+      since,
+      delay,
+      limiter,
+      retry,
+      // Only reactions whose count moved since their users were last fetched
+      reactionUsers: reactionUsers
+        ? (reaction) => {
+          const stored = getReaction(db, reaction.message_id, reaction.emoji);
+          return !stored?.users_fetched_at || stored.count !== reaction.count;
+        }
+        : null,
+      onPage: ({ oldestId, newestId, fetched }) => {
+        const low = forward ? boundaryId || oldestId : oldestId;
+        const high = forward ? newestId : boundaryId || newestId;
+        const seen = boundaryId ? [...pageIds, boundaryId] : pageIds;
+        deletedMessages += markMissingMessagesDeleted(db, channel.id, low, high, seen).length;
+        boundaryId = forward ? newestId : oldestId;
+        pageIds = [];
+
+        if (!latestMessageId || compareSnowflakes(newestId, latestMessageId) > 0) {
+          latestMessageId = newestId;
+        }
+
+        checkpoint({
+          sync_id: syncId,
+          channel_id: channel.id,
+          oldest_message_id: oldestId,
+          newest_message_id: latestMessageId,
+          messages_processed: alreadyStored + fetched,
+        });
+      },
+    })) {
+      // Store message with author, embeds, attachments and reactions
+      saveMessageBundle(db, data);
+      pageIds.push(data.message.id);
+
+      channelMessages++;
+
+      // Update progress every 100 messages
+      if (onProgress && channelMessages % 100 === 0) {
+        onProgress(channelMessages);
+      }
+    }
+  }
+
+  // Pins can change on messages of any age, so the pin list is refreshed on every
+  // run; pinned messages older than the cutoff are stored too
+  let pins = null;
+  try {
+    const pinned = await fetchPins(channel, { limiter, retry });
+    db.transaction(() => {
+      for (const pin of pinned) {
+        insertMessageBundle(db, pin.bundle);
+      }
+      replaceChannelPins(db, channel.id, pinned.map(pin => ({
+        message_id: pin.bundle.message.id,
+        pinned_at: pin.pinned_at,
+      })));
+    })();
+    pins = pinned.length;
+  } catch (error) {
+    // Without permission to read pins, keep the stored ones; anything else fails the channel
+    if (error.code !== MISSING_ACCESS && error.code !== MISSING_PERMISSIONS) {
+      throw error;
+    }
+  }
+
+  // Update last scraped position
+  if (latestMessageId) {
+    updateChannelLastScraped(db, channel.id, latestMessageId);
+  }
+  completeSyncChannelProgress(db, syncId, channel.id);
+
+  return {
+    messages: channelMessages,
+    deleted: deletedMessages,
+    pins,
+    skipped: false,
+    resumed: Boolean(progress?.oldest_message_id),
+  };
+}
+
+/**
+ * Store a guild's roles and the role assignments of its members.
+ * With the GuildMembers intent every member is listed over the gateway;
+ * without it, only message authors with missing or stale records are
+ * looked up one by one over REST.
+ * @param {Database} db - Database connection.
+ * @param {Guild} guild - Discord guild.
+ * @param {Object} options - Sync options.
+ * @param {boolean} options.allMembers - List every member (requires the GuildMembers intent).
+ * @param {Object} [options.roleFlags] - Map of flag → role IDs or name globs.
+ * @param {number} [options.refreshDays=7] - Re-fetch author records older than this.
+ * @param {Object} [options.limiter] - Shared rate limiter.
+ * @param {Object} [options.retry] - Retry/backoff options.
+ * @returns {Promise<Object>} { roles, members, left }.
+ */
+async function syncRolesAndMembers(db, guild, options) {
+  const { allMembers, roleFlags, refreshDays = 7, limiter, retry } = options;
+
+  const roles = await fetchRoles(guild);
+  db.transaction(() => {
+    for (const role of roles) {
+      upsertRole(db, formatRoleData(role, roleFlags));
+    }
+  })();
+
+  const saveMember = (member) => {
+    const data = formatMemberData(member);
+    upsertUser(db, data.user);
+    upsertGuildMember(db, data.member);
+  };
+
+  let members = 0;
+  let left = 0;
+
+  if (allMembers) {
+    const listed = new Set();
+    for (const member of await fetchAllMembers(guild)) {
+      saveMember(member);
+      listed.add(member.id);
+      members++;
+    }
+
+    // The listing is complete, so stored members missing from it have left
+    db.transaction(() => {
+      for (const userId of getCurrentGuildMemberIds(db, guild.id)) {
+        if (listed.has(userId)) continue;
+        markGuildMemberLeft(db, guild.id, userId);
+        left++;
+      }
+    })();
+  } else {
+    const userIds = getAuthorsNeedingMemberSync(db, guild.id, refreshDays);
+    for await (const member of fetchMembersById(guild, userIds, {
+      limiter,
+      retry,
+      onMissing: (userId) => {
+        markGuildMemberLeft(db, guild.id, userId);
+        left++;
+      },
+    })) {
+      saveMember(member);
+      members++;
+    }
+  }
+
+  return { roles: roles.length, members, left };
+}
+
+/**
+ * Display label for a channel or thread.
+ * @param {GuildChannel} channel - The channel.
+ * @returns {string} "#name", or "#parent › name" for threads.
+ */
+function channelLabel(channel) {
+  if (channel.isThread() && channel.parent) {
+    return `#${channel.parent.name} › ${channel.name}`;
+  }
+  return `#${channel.name}`;
+}
+
+/**
+ * Scrape one guild: its emojis, channels, threads, roles and members.
+ * Each guild has its own sync state, so an interrupted guild is resumed on its own.
+ * @param {Client} client - Logged-in Discord client.
+ * @param {Database|null} db - Database connection (null for dry runs).
+ * @param {Object} guildEntry - Guild entry from resolveGuilds().
+ * @param {Object} options - Command options.
+ * @param {Object} config - Loaded config.
+ * @param {Ora} spinner - Shared spinner.
+ * @returns {Promise<Object|null>} { channels, messages, failedChannels }, or null
+ *   when there was nothing to do (dry run, nothing to resume).
+ */
+async function scrapeGuild(client, db, guildEntry, options, config, spinner) {
+  const guildId = guildEntry.id;
+  const guildLabel = guildEntry.name || guildId;
+  let syncId = null;
+
+  try {
+    // A resumed scrape reuses the mode, channels and cutoffs it was started with
+    let resumeState = null;
+    if (options.resume) {
+      resumeState = getResumableSyncState(db, guildId);
+      if (!resumeState) {
+        console.log(chalk.yellow(`${guildLabel}: no interrupted scrape to resume`));
+        return null;
+      }
+    }
+    const saved = resumeState?.options || {};
+
+    // Determine scrape mode
+    const channelNames = resumeState ? saved.channels : options.channel;
+    const isIncremental = resumeState
+      ? resumeState.sync_type === 'incremental'
+      : options.incremental || (!options.full && !options.channel);
+    const mode = resumeState
+      ? resumeState.sync_type
+      : options.full ? 'full' : (isIncremental ? 'incremental' : 'channel');
+
+    // Per-channel limits from config unless overridden on the command line
+    const limit = resumeState ? saved.limit : options.limit ?? config.scraper.maxPerChannel ?? null;
+    const maxAgeDays = resumeState ? saved.maxAgeDays : options.maxAgeDays ?? config.scraper.maxAgeDays ?? 0;
+    const since = resumeState
+      ? saved.since
+      : maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const includeThreads = resumeState ? saved.threads !== false : options.threads;
+    const reactionUsers = resumeState
+      ? Boolean(saved.reactionUsers)
+      : Boolean(options.reactionUsers ?? config.scraper.fetchReactionUsers);
+
+    if (resumeState) {
+      console.log(chalk.blue(`\nResuming ${mode} scrape #${resumeState.id} of ${guildLabel} (started ${resumeState.started_at})...\n`));
+    } else {
+      console.log(chalk.blue(`\nStarting ${mode} scrape of ${guildLabel}...\n`));
+    }
+    if (since) {
+      console.log(chalk.dim(`Skipping messages older than ${new Date(since).toISOString()} (${maxAgeDays} days)`));
+    }
+    if (limit) {
+      console.log(chalk.dim(`Fetching at most ${limit} messages per channel`));
+    }
+    if (reactionUsers) {
+      console.log(chalk.dim('Fetching reaction users (one extra request per changed reaction)'));
+    }
+
+    // Get guild
+    spinner.start('Fetching guild info...');
+    const guild = await getGuild(guildId);
+    spinner.succeed(`Found guild: ${chalk.green(guild.name)} (${guild.memberCount} members)`);
+
+    // Store guild, its custom emoji catalog and scheduled events
+    if (!options.dryRun) {
+      upsertGuild(db, formatGuildData(guild));
+
+      try {
+        const emojis = await guild.emojis.fetch();
+        db.transaction(() => {
+          for (const emoji of emojis.values()) {
+            upsertEmoji(db, formatEmojiData(emoji));
+          }
+        })();
+      } catch (error) {
+        console.log(chalk.yellow(`Could not fetch custom emojis (${error.message})`));
+      }
+
+      try {
+        const events = await guild.scheduledEvents.fetch({ withUserCount: true });
+        db.transaction(() => {
+          for (const event of events.values()) {
+            upsertScheduledEvent(db, formatScheduledEventData(event));
+          }
+        })();
+        if (events.size > 0) {
+          console.log(chalk.dim(`Stored ${events.size} scheduled event(s)`));
+        }
+      } catch (error) {
+        console.log(chalk.yellow(`Could not fetch scheduled events (${error.message})`));
+      }
+    }
+
+    // Create (or reopen) sync state
+    if (resumeState) {
+      syncId = resumeState.id;
+      resumeSyncState(db, syncId);
+    } else if (!options.dryRun) {
+      syncId = createSyncState(db, mode, guildId, null, {
+        channels: channelNames || null,
+        limit,
+        maxAgeDays,
+        since,
+        threads: includeThreads,
+        reactionUsers,
+      });
+    }
+
+    // Get channels
+    spinner.start('Fetching channels...');
+    const allChannels = await getTextChannels(guild, {
+      ...getGuildChannelFilter(config, guildEntry),
+      includeForums: includeThreads,
+    });
+    spinner.succeed(`Found ${chalk.green(allChannels.size)} text channels`);
+
+    // Filter channels if specific ones requested
+    let channelsToScrape = Array.from(allChannels.values());
+    if (channelNames) {
+      const requestedNames = new Set(channelNames.map(n => n.toLowerCase()));
+      channelsToScrape = channelsToScrape.filter(ch =>
+        requestedNames.has(ch.name.toLowerCase())
+      );
+      console.log(chalk.yellow(`Filtering to ${channelsToScrape.length} requested channel(s)`));
+    }
+
+    // Filter to readable channels
+    channelsToScrape = channelsToScrape.filter(canReadChannel);
+    console.log(chalk.dim(`${channelsToScrape.length} channels are readable\n`));
+
+    // Expand each parent channel into itself plus its threads / forum posts
+    const targets = [];
+    for (const channel of channelsToScrape) {
+      if (!isForumChannel(channel)) {
+        targets.push(channel);
+      }
+
+      if (!includeThreads) continue;
+
+      try {
+        spinner.start(`Fetching threads in #${channel.name}...`);
+        const threads = (await getThreads(channel)).filter(thread =>
+          canReadChannel(thread) &&
+          // Threads archived before the cutoff can't contain newer messages
+          !(since && thread.archived && thread.archiveTimestamp < since)
+        );
+        spinner.stop();
+        targets.push(...threads);
+
+        if (threads.length > 0) {
+          console.log(chalk.dim(`  #${channel.name}: ${threads.length} threads`));
+        }
+      } catch (error) {
+        spinner.warn(`#${channel.name}: could not list threads (${error.message})`);
+      }
+    }
+
+    if (options.dryRun) {
+      console.log(chalk.yellow('DRY RUN - Would scrape these channels:'));
+      for (const channel of targets) {
+        console.log(`  - ${channelLabel(channel)} (${channel.id})`);
+      }
+      return null;
+    }
+
+    // Scrape channels with a worker pool sharing one request budget
+    const concurrency = Math.max(1, options.concurrency ?? config.scraper.concurrency ?? 1);
+    const limiter = createRateLimiter({
+      minIntervalMs: options.delay ?? config.scraper.delayBetweenRequests ?? 0,
+    });
+
+    // Global rate limits stop every worker; per-route buckets are queued by discord.js
+    const onRateLimited = (info) => {
+      if (info.global) limiter.pause(info.retryAfter);
+    };
+    client.rest.on('rateLimited', onRateLimited);
+
+    let totalMessages = 0;
+    let totalChannels = 0;
+    let failedChannels = 0;
+    const active = new Map(); // label -> messages so far
+
+    const statusText = () => {
+      const inFlight = [...active.values()].reduce((sum, count) => sum + count, 0);
+      return `Scraping ${active.size} channel(s): ${[...active.keys()].join(', ')} ` +
+        `(${totalMessages + inFlight} messages)`;
+    };
+
+    // Print above the spinner, or finish a line and keep spinning for the other workers
+    const printAbove = (text) => {
+      spinner.clear();
+      console.log(text);
+      spinner.render();
+    };
+    const report = (method, text) => {
+      spinner[method](text);
+      if (active.size > 0) spinner.start(statusText());
+    };
+
+    const retry = {
+      retryAttempts: config.scraper.retryAttempts,
+      retryDelayMs: config.scraper.retryDelayMs,
+      backoffMultiplier: config.scraper.backoffMultiplier,
+      onRetry: (attempt, delayMs, error) => {
+        printAbove(chalk.yellow(`  Retry ${attempt}/${config.scraper.retryAttempts} in ${delayMs}ms: ${error.message}`));
+      },
+    };
+
+    // Forums hold no messages of their own but are stored as thread parents
+    for (const channel of channelsToScrape.filter(isForumChannel)) {
+      upsertChannel(db, formatChannelData(channel));
+    }
+
+    if (concurrency > 1) {
+      console.log(chalk.dim(`Scraping ${targets.length} channels, ${concurrency} at a time\n`));
+    }
+
+    await runPool(targets, concurrency, async (channel) => {
+      const label = channelLabel(channel);
+
+      // Store channel
+      upsertChannel(db, formatChannelData(channel));
+
+      active.set(label, 0);
+      spinner.start(statusText());
+
+      let result = null;
+      try {
+        result = await scrapeChannel(db, channel, {
+          syncId,
+          isIncremental,
+          resume: Boolean(resumeState),
+          limit,
+          since,
+          delay: 0,
+          limiter,
+          retry,
+          reactionUsers,
+          onProgress: (count) => {
+            active.set(label, count);
+            spinner.text = statusText();
+          },
+        });
+
+        active.delete(label);
+
+        if (result.skipped) {
+          report('info', `${label}: ${chalk.dim('up to date')}`);
+        } else {
+          const resumedNote = result.resumed ? chalk.dim(' (resumed)') : '';
+          const deletedNote = result.deleted > 0 ? chalk.yellow(`, ${result.deleted} deleted`) : '';
+          const pinsNote = result.pins > 0 ? chalk.dim(`, ${result.pins} pinned`) : '';
+          report('succeed', `${label}: ${chalk.green(result.messages)} messages${deletedNote}${pinsNote}${resumedNote}`);
+          totalMessages += result.messages;
+          totalChannels++;
+        }
+      } catch (error) {
+        active.delete(label);
+        report('fail', `${label}: ${chalk.red(error.message)}`);
+        failSyncChannelProgress(db, syncId, channel.id, error.message);
+        failedChannels++;
+      }
+
+      // Pause between channels (not needed when nothing was fetched)
+      const delayBetweenChannels = config.scraper.delayBetweenChannels ?? 0;
+      if (!result?.skipped && delayBetweenChannels > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayBetweenChannels));
+      }
+    });
+
+    // Roles last, so members can be looked up for every author just stored
+    if (options.roles) {
+      spinner.start('Syncing roles and members...');
+      try {
+        const synced = await syncRolesAndMembers(db, guild, {
+          // Listing every member needs the gateway, which a fixture doesn't have
+          allMembers: Boolean(config.discord.fetchMembers) && !options.fixture,
+          roleFlags: config.discord.roleFlags,
+          refreshDays: config.discord.memberRefreshDays,
+          limiter,
+          retry,
+        });
+        const leftNote = synced.left > 0 ? chalk.dim(`, ${synced.left} no longer in guild`) : '';
+        spinner.succeed(`Synced ${chalk.green(synced.roles)} roles and ${chalk.green(synced.members)} members${leftNote}`);
+      } catch (error) {
+        spinner.warn(`Could not sync roles and members (${error.message})`);
+      }
+    }
+
+    client.rest.off('rateLimited', onRateLimited);
+
+    const limiterStats = limiter.getStats();
+    if (limiterStats.pauses > 0) {
+      console.log(chalk.dim(`Paused ${limiterStats.pauses} time(s) for global rate limits (${limiterStats.pausedMs}ms)`));
+    }
+
+    // Complete sync state (failed channels keep it resumable)
+    updateSyncStateProgress(db, syncId);
+    if (failedChannels > 0) {
+      failSyncState(db, syncId, `${failedChannels} channel(s) failed`);
+    } else {
+      completeSyncState(db, syncId);
+    }
+
+    // Summary
+    if (failedChannels > 0) {
+      console.log(chalk.yellow(`\n⚠ Scrape of ${guild.name} finished with ${failedChannels} failed channel(s)`));
+      console.log(chalk.dim(`  Run \`scrape --resume --guild ${guildId}\` to retry them from their checkpoints`));
+    } else {
+      console.log(chalk.green(`\n✓ Scrape of ${guild.name} complete!`));
+    }
+    console.log(`  Channels: ${totalChannels}`);
+    console.log(`  Messages: ${totalMessages}`);
+
+    return { channels: totalChannels, messages: totalMessages, failedChannels };
+  } catch (error) {
+    if (db && syncId) {
+      failSyncState(db, syncId, error.message);
+    }
+    throw error;
+  }
+}
+
 export const scrapeCommand = new Command('scrape')
   .description('Scrape Discord messages')
+  .enablePositionalOptions()
   .option('-f, --full', 'Full scrape of all channels (ignores last scraped position)')
   .option('-i, --incremental', 'Incremental scrape (only new messages since last run)')
+  .option('-g, --guild <ids...>', 'Guild(s) to scrape by ID or configured name (default: all configured guilds)')
   .option('-c, --channel <names...>', 'Scrape specific channel(s) by name')
-  .option('--limit <number>', 'Maximum messages per channel', parseInt)
-  .option('--delay <ms>', 'Delay between API requests in ms', parseInt, 100)
+  .option('--limit <number>', 'Maximum messages per channel (default: discord.maxMessagesPerChannel)', parseInt)
+  .option('--max-age-days <days>', 'Skip messages older than N days, 0 for no cutoff (default: discord.maxAgeDays)', parseInt)
+  .option('--delay <ms>', 'Minimum delay between API requests across all workers (default: scraper.delayBetweenRequests)', parseInt)
+  .option('--concurrency <n>', 'Channels to scrape in parallel (default: scraper.concurrency)', parseInt)
+  .option('--no-threads', 'Skip threads and forum posts')
+  .option('--reaction-users', 'Fetch who reacted to each message (default: scraper.fetchReactionUsers)')
+  .option('--no-roles', 'Skip syncing guild roles and member role assignments')
+  .option('--resume', 'Resume the last interrupted or failed scrape from its checkpoints')
   .option('--dry-run', 'Show what would be scraped without actually scraping')
+  .option('--fixture <dir>', 'Replay a recorded fixture directory instead of connecting to Discord')
+  .option('--record <dir>', 'Record the guilds, channels and message pages seen into a fixture directory')
   .action(async (options) => {
     const spinner = ora();
     let db = null;
 
     try {
+      const config = loadConfig();
+
       // Validate environment
       const token = process.env.DISCORD_BOT_TOKEN;
-      const guildId = process.env.DISCORD_GUILD_ID;
+      const guilds = resolveGuilds(config, options.guild);
 
-      if (!token) {
-        console.error(chalk.red('Error: DISCORD_BOT_TOKEN is required'));
+      if (options.fixture && options.record) {
+        console.error(chalk.red('Error: --fixture cannot be combined with --record'));
         process.exit(1);
       }
 
-      if (!guildId) {
-        console.error(chalk.red('Error: DISCORD_GUILD_ID is required'));
+      if (!token && !options.fixture) {
+        console.error(chalk.red('Error: DISCORD_BOT_TOKEN is required'));
         process.exit(1);
       }
 
-      // Determine scrape mode
-      const isIncremental = options.incremental || (!options.full && !options.channel);
-      const mode = options.full ? 'full' : (isIncremental ? 'incremental' : 'channel');
+      if (guilds.length === 0) {
+        console.error(chalk.red('Error: no guild configured (set DISCORD_GUILD_ID or discord.guilds, or pass --guild)'));
+        process.exit(1);
+      }
 
-      console.log(chalk.blue(`\nStarting ${mode} scrape...\n`));
+      if (options.resume && options.dryRun) {
+        console.error(chalk.red('Error: --resume cannot be combined with --dry-run'));
+        process.exit(1);
+      }
 
       // Initialize database
       if (!options.dryRun) {
@@ -70,148 +699,118 @@ export const scrapeCommand = new Command('scrape')
 
       // Connect to Discord
       spinner.start('Connecting to Discord...');
-      const client = await createClient(token);
+      const client = await createClient(token, {
+        members: config.discord.fetchMembers,
+        fixture: options.fixture,
+        record: options.record,
+      });
       spinner.succeed(`Connected as ${chalk.green(client.user.tag)}`);
 
-      // Get guild
-      spinner.start('Fetching guild info...');
-      const guild = await getGuild(guildId);
-      spinner.succeed(`Found guild: ${chalk.green(guild.name)} (${guild.memberCount} members)`);
-
-      // Store guild
-      if (!options.dryRun) {
-        upsertGuild(db, formatGuildData(guild));
+      // Guilds are scraped one after another; a failing guild doesn't stop the rest
+      const failedGuilds = [];
+      for (const guildEntry of guilds) {
+        try {
+          await scrapeGuild(client, db, guildEntry, options, config, spinner);
+        } catch (error) {
+          spinner.fail(`${guildEntry.name || guildEntry.id}: ${error.message}`);
+          console.error(chalk.red('\nScrape failed:'), error);
+          failedGuilds.push(guildEntry.name || guildEntry.id);
+        }
       }
 
-      // Create sync state
-      let syncId = null;
-      if (!options.dryRun) {
-        syncId = createSyncState(db, mode, guildId);
+      if (failedGuilds.length > 0) {
+        if (guilds.length > 1) {
+          console.log(chalk.red(`\nFailed guild(s): ${failedGuilds.join(', ')}`));
+        }
+        process.exitCode = 1;
       }
+    } catch (error) {
+      spinner.fail(error.message);
+      console.error(chalk.red('\nScrape failed:'), error);
+      process.exit(1);
+    } finally {
+      destroyClient();
+      if (db) closeDatabase();
+    }
+  });
 
-      // Get channels
-      spinner.start('Fetching channels...');
-      const allChannels = await getTextChannels(guild);
-      spinner.succeed(`Found ${chalk.green(allChannels.size)} text channels`);
+scrapeCommand
+  .command('attachments')
+  .description('Download stored attachments into the local archive (resumable)')
+  .option('-g, --guild <ids...>', 'Only attachments in these guild(s), by ID or configured name')
+  .option('-c, --channel <id>', 'Only attachments in this channel')
+  .option('--limit <number>', 'Maximum attachments to process', parseInt)
+  .option('--concurrency <n>', 'Parallel downloads (default: attachments.concurrency)', parseInt)
+  .option('--include-skipped', 'Recheck attachments skipped by earlier size/type limits')
+  .option('--dry-run', 'Show how many attachments would be downloaded')
+  .action(async (options) => {
+    const spinner = ora();
+    let db = null;
 
-      // Filter channels if specific ones requested
-      let channelsToScrape = Array.from(allChannels.values());
-      if (options.channel) {
-        const requestedNames = new Set(options.channel.map(n => n.toLowerCase()));
-        channelsToScrape = channelsToScrape.filter(ch =>
-          requestedNames.has(ch.name.toLowerCase())
-        );
-        console.log(chalk.yellow(`Filtering to ${channelsToScrape.length} requested channel(s)`));
+    try {
+      const config = loadConfig();
+      const archive = config.attachments;
+      const dbPath = process.env.DATABASE_PATH || './data/discord.db';
+      db = initDatabase(dbPath);
+
+      const pending = getAttachmentsToArchive(db, {
+        maxAttempts: archive.maxAttempts,
+        includeSkipped: options.includeSkipped,
+        channelId: options.channel,
+        guildIds: options.guild && resolveGuilds(config, options.guild).map(guild => guild.id),
+        limit: options.limit,
+      });
+
+      if (pending.length === 0) {
+        console.log(chalk.green('✓ No attachments left to archive'));
+        return;
       }
 
-      // Filter to readable channels
-      channelsToScrape = channelsToScrape.filter(canReadChannel);
-      console.log(chalk.dim(`${channelsToScrape.length} channels are readable\n`));
-
       if (options.dryRun) {
-        console.log(chalk.yellow('DRY RUN - Would scrape these channels:'));
-        for (const channel of channelsToScrape) {
-          console.log(`  - #${channel.name} (${channel.id})`);
-        }
-        destroyClient();
+        const bytes = pending.reduce((sum, attachment) => sum + (attachment.size || 0), 0);
+        console.log(chalk.yellow(`DRY RUN - Would download ${pending.length} attachments (~${(bytes / 1024 / 1024).toFixed(1)} MB)`));
         return;
       }
 
-      // Scrape each channel
-      let totalMessages = 0;
-      let totalChannels = 0;
-
-      for (const channel of channelsToScrape) {
-        // Store channel
-        upsertChannel(db, formatChannelData(channel));
-
-        // Determine starting point for incremental
-        let afterId = null;
-        if (isIncremental && !options.full) {
-          afterId = getChannelLastScrapedId(db, channel.id);
-          if (afterId) {
-            console.log(chalk.dim(`  Resuming from message ${afterId}`));
-          }
+      console.log(chalk.blue(`\nArchiving ${pending.length} attachments to ${archive.archiveDir}...\n`));
+
+      const counts = { downloaded: 0, skipped: 0, failed: 0 };
+      let done = 0;
+      spinner.start(`Downloading 0/${pending.length}...`);
+
+      const concurrency = Math.max(1, options.concurrency ?? archive.concurrency ?? 1);
+      await runPool(pending, concurrency, async (attachment) => {
+        const result = await archiveAttachment(attachment, {
+          archiveDir: archive.archiveDir,
+          maxSizeBytes: archive.maxSizeBytes,
+          allowedContentTypes: archive.allowedContentTypes,
+          timeoutMs: archive.timeoutMs,
+          token: process.env.DISCORD_BOT_TOKEN,
+        });
+
+        // Rows are updated one by one, so an interrupted run picks up where it stopped
+        updateAttachmentArchive(db, attachment.id, result);
+        counts[result.status]++;
+        done++;
+
+        if (result.status === 'failed') {
+          spinner.clear();
+          console.log(chalk.yellow(`  ${attachment.filename} (${attachment.id}): ${result.error}`));
         }
-
-        spinner.start(`Scraping #${channel.name}...`);
-
-        let channelMessages = 0;
-        let latestMessageId = null;
-
-        try {
-          for await (const data of fetchMessages(channel, {
-            after: afterId,
-            limit: options.limit,
-            delay: options.delay,
-          })) {
-            // Store user
-            upsertUser(db, data.user);
-
-            // Store message
-            upsertMessage(db, data.message);
-
-            // Store embeds
-            for (const embed of data.embeds) {
-              upsertEmbed(db, embed);
-            }
-
-            // Store attachments
-            for (const attachment of data.attachments) {
-              upsertAttachment(db, attachment);
-            }
-
-            // Store reactions
-            for (const reaction of data.reactions) {
-              upsertReaction(db, reaction);
-            }
-
-            // Track latest message for incremental
-            if (!latestMessageId || data.message.id > latestMessageId) {
-              latestMessageId = data.message.id;
-            }
-
-            channelMessages++;
-
-            // Update spinner every 100 messages
-            if (channelMessages % 100 === 0) {
-              spinner.text = `Scraping #${channel.name}... ${channelMessages} messages`;
-            }
-          }
-
-          // Update last scraped position
-          if (latestMessageId) {
-            updateChannelLastScraped(db, channel.id, latestMessageId);
-          }
-
-          spinner.succeed(`#${channel.name}: ${chalk.green(channelMessages)} messages`);
-          totalMessages += channelMessages;
-          totalChannels++;
-
-        } catch (error) {
-          spinner.fail(`#${channel.name}: ${chalk.red(error.message)}`);
-        }
-
-        // Small delay between channels
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-
-      // Complete sync state
-      if (syncId) {
-        completeSyncState(db, syncId, totalMessages);
+        spinner.text = `Downloading ${done}/${pending.length}...`;
+      });
+
+      spinner.succeed(`Processed ${pending.length} attachments`);
+      console.log(`  Downloaded: ${chalk.green(counts.downloaded)}`);
+      console.log(`  Skipped:    ${counts.skipped} (size or content type limits)`);
+      if (counts.failed > 0) {
+        console.log(`  Failed:     ${chalk.red(counts.failed)} (retried on the next run, up to ${archive.maxAttempts} attempts)`);
       }
-
-      // Summary
-      console.log(chalk.green(`\n✓ Scrape complete!`));
-      console.log(`  Channels: ${totalChannels}`);
-      console.log(`  Messages: ${totalMessages}`);
-
     } catch (error) {
       spinner.fail(error.message);
-      console.error(chalk.red('\nScrape failed:'), error);
+      console.error(chalk.red('\nArchiving failed:'), error);
       process.exit(1);
     } finally {
-      destroyClient();
       if (db) closeDatabase();
     }
   });
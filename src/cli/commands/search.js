@@ -0,0 +1,94 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { initDatabase, closeDatabase } from '../../storage/database.js';
+import { searchMessages } from '../../storage/repositories/index.js';
+import { loadConfig, resolveGuilds } from '../../utils/config.js';
+
+// Snippet markers that can't appear in message text, swapped for colors on output
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+/**
+ * Print one search hit.
+ * @param {Object} hit - Row from searchMessages().
+ */
+function printHit(hit) {
+  const where = hit.channel_name ? `#${hit.channel_name}` : hit.kind;
+  const who = hit.author_name ? ` ${chalk.cyan(hit.author_name)}` : '';
+  const when = hit.timestamp ? chalk.dim(` ${hit.timestamp.slice(0, 16).replace('T', ' ')}`) : '';
+  const kind = hit.kind === 'message' ? '' : chalk.magenta(` [${hit.kind}]`);
+
+  console.log(`${chalk.bold(where)}${who}${when}${kind} ${chalk.dim(hit.message_id || hit.ref_id)}`);
+  if (hit.title) {
+    console.log(`  ${chalk.bold(hit.title)}`);
+  }
+
+  // The snippet comes from the title when that's where the match is
+  const snippet = (hit.snippet || '').replace(/\s+/g, ' ');
+  if (snippet.replace(new RegExp(`[${MARK_START}${MARK_END}]`, 'g'), '') !== hit.title) {
+    const highlighted = snippet.replace(new RegExp(`${MARK_START}(.*?)${MARK_END}`, 'g'), (match, term) => chalk.yellow.bold(term));
+    console.log(`  ${highlighted}`);
+  }
+  console.log('');
+}
+
+export const searchCommand = new Command('search')
+  .description('Full-text search over messages, embeds and extracts')
+  .argument('<query...>', 'Search terms; supports "quoted phrases", AND/OR/NOT, (groups) and prefix*')
+  .option('-g, --guild <ids...>', 'Only these guild(s), by ID or configured name')
+  .option('-c, --channel <id>', 'Only this channel (and its threads)')
+  .option('-a, --author <user>', 'Only messages by this user ID or username (leaves out extracts without a source message)')
+  .option('--since <date>', 'Only results since date (ISO 8601); extracts without a source message use their creation date')
+  .option('--until <date>', 'Only results until date (ISO 8601)')
+  .option('-t, --topic <topic>', 'Only messages categorized with this topic, or extracts tagged with it')
+  .option('-k, --kind <kinds...>', 'Document kinds to search: message, embed, extract', ['message', 'embed', 'extract'])
+  .option('-s, --sort <order>', 'Sort by rank, newest or oldest', 'rank')
+  .option('-n, --limit <n>', 'Maximum results', '20')
+  .option('--offset <n>', 'Results to skip', '0')
+  .option('--include-deleted', 'Include messages deleted on Discord', false)
+  .option('--json', 'Print results as JSON', false)
+  .action(async (queryParts, options) => {
+    try {
+      const guildIds = options.guild && resolveGuilds(loadConfig(), options.guild).map(guild => guild.id);
+      const dbPath = process.env.DATABASE_PATH || './data/discord.db';
+      const db = initDatabase(dbPath);
+
+      const query = queryParts.join(' ');
+      const hits = searchMessages(db, query, {
+        kinds: options.kind,
+        guildIds,
+        channelId: options.channel,
+        author: options.author,
+        startDate: options.since,
+        endDate: options.until,
+        topic: options.topic,
+        includeDeleted: options.includeDeleted,
+        sort: options.sort,
+        highlight: options.json ? ['**', '**'] : [MARK_START, MARK_END],
+        limit: parseInt(options.limit),
+        offset: parseInt(options.offset),
+      });
+
+      closeDatabase();
+
+      if (options.json) {
+        console.log(JSON.stringify(hits, null, 2));
+        return;
+      }
+
+      if (hits.length === 0) {
+        console.log(chalk.yellow(`No results for ${query}`));
+        return;
+      }
+
+      console.log(chalk.blue(`\n${hits.length} result(s) for ${query}\n`));
+      for (const hit of hits) {
+        printHit(hit);
+      }
+    } catch (error) {
+      console.error(chalk.red('Search failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+export default searchCommand;
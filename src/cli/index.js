@@ -3,9 +3,12 @@
 import { Command } from 'commander';
 import dotenv from 'dotenv';
 import { scrapeCommand } from './commands/scrape.js';
+import { listenCommand } from './commands/listen.js';
+import { importCommand } from './commands/import.js';
 import { dbCommand } from './commands/db.js';
 import { exportCommand } from './commands/export.js';
 import { processCommand } from './commands/process.js';
+import { searchCommand } from './commands/search.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,13 +18,18 @@ const program = new Command();
 program
   .name('stacks-discord')
   .description('Discord scraper and AI content pipeline for Stacks Labs marketing')
-  .version('1.0.0');
+  .version('1.0.0')
+  // Lets subcommands (scrape attachments) own options their parent also defines
+  .enablePositionalOptions();
 
 // Register commands
 program.addCommand(scrapeCommand);
+program.addCommand(listenCommand);
+program.addCommand(importCommand);
 program.addCommand(dbCommand);
 program.addCommand(exportCommand);
 program.addCommand(processCommand);
+program.addCommand(searchCommand);
 
 // Parse arguments
 program.parse();
@@ -0,0 +1,220 @@
+/**
+ * Reader for DiscordChatExporter JSON exports (one file per channel or thread).
+ * Output matches the scraper's formatted data, so it can be stored with the
+ * same repository functions.
+ */
+
+import { MessageType } from 'discord.js';
+import { parseMessageContent } from '../scraper/content.js';
+
+// DiscordChatExporter channel kinds → Discord channel types
+const CHANNEL_TYPES = {
+  GuildTextChat: 0,
+  DirectTextChat: 1,
+  GuildVoiceChat: 2,
+  DirectGroupTextChat: 3,
+  GuildCategory: 4,
+  GuildNews: 5,
+  GuildNewsThread: 10,
+  GuildPublicThread: 11,
+  GuildPrivateThread: 12,
+  GuildStageVoice: 13,
+  GuildDirectory: 14,
+  GuildForum: 15,
+};
+
+// Message type names DiscordChatExporter spells differently from discord.js
+const MESSAGE_TYPE_ALIASES = {
+  GuildMemberJoin: MessageType.UserJoin,
+  ApplicationCommand: MessageType.ChatInputCommand,
+};
+
+/**
+ * Check whether parsed JSON looks like a DiscordChatExporter export.
+ * @param {Object} json - Parsed file contents.
+ * @returns {boolean} True for a DiscordChatExporter channel export.
+ */
+export function isChatExporterExport(json) {
+  return Boolean(json?.guild?.id && json?.channel?.id && Array.isArray(json.messages));
+}
+
+/**
+ * Convert a DiscordChatExporter timestamp to ISO 8601.
+ * @param {string|null} value - Timestamp with offset, e.g. "2024-01-02T03:04:05.678+00:00".
+ * @returns {string|null} ISO timestamp.
+ */
+function toIsoTimestamp(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Parse a "#RRGGBB" color into the integer Discord uses.
+ * @param {string|null} value - Hex color.
+ * @returns {number|null} Color as an integer.
+ */
+function parseColor(value) {
+  if (!value) return null;
+  const color = parseInt(String(value).replace(/^#/, ''), 16);
+  return Number.isNaN(color) ? null : color;
+}
+
+/**
+ * Format an exported user for database storage.
+ * @param {Object} user - DiscordChatExporter author or reaction user.
+ * @returns {Object} User data formatted for database.
+ */
+function formatExportedUser(user) {
+  return {
+    id: user.id,
+    username: user.name,
+    // Exports only carry the guild nickname, which is the closest thing to a display name
+    global_name: user.nickname && user.nickname !== user.name ? user.nickname : null,
+    discriminator: user.discriminator || '0',
+    avatar_url: user.avatarUrl || null,
+    is_bot: user.isBot ? 1 : 0,
+  };
+}
+
+/**
+ * Format an exported channel for database storage.
+ * Threads carry their parent channel in categoryId, like scraped threads do in parent_id.
+ * @param {Object} channel - DiscordChatExporter channel.
+ * @param {string} guildId - Guild ID.
+ * @returns {Object} Channel data formatted for database.
+ */
+function formatExportedChannel(channel, guildId) {
+  return {
+    id: channel.id,
+    guild_id: guildId,
+    name: channel.name,
+    type: CHANNEL_TYPES[channel.type] ?? 0,
+    parent_id: channel.categoryId || null,
+    position: null,
+    topic: channel.topic || null,
+  };
+}
+
+/**
+ * Parse an exported message's content references.
+ * Exports render mentions as @name in the content, but list mentioned users separately.
+ * @param {Object} message - DiscordChatExporter message.
+ * @returns {Object} References, see parseMessageContent().
+ */
+function parseExportedContent(message) {
+  const parsed = parseMessageContent(message.content);
+  for (const user of message.mentions || []) {
+    if (!parsed.mentions.some(mention => mention.mention_type === 'user' && mention.target_id === user.id)) {
+      parsed.mentions.push({ mention_type: 'user', target_id: user.id });
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Format an exported message with its related entities.
+ * @param {Object} message - DiscordChatExporter message.
+ * @param {Object} channel - Formatted channel the message belongs to.
+ * @returns {Object} { message, user, embeds, attachments, reactions, reactionUsers, pinned, parsed } for storage.
+ */
+function formatExportedBundle(message, channel) {
+  const isThread = [10, 11, 12].includes(channel.type);
+
+  const embeds = (message.embeds || []).map(embed => ({
+    message_id: message.id,
+    type: 'rich',
+    title: embed.title || null,
+    description: embed.description || null,
+    url: embed.url || null,
+    author_name: embed.author?.name || null,
+    author_url: embed.author?.url || null,
+    footer_text: embed.footer?.text || null,
+    image_url: embed.image?.url || embed.images?.[0]?.url || null,
+    thumbnail_url: embed.thumbnail?.url || null,
+    color: parseColor(embed.color),
+    raw_json: JSON.stringify(embed),
+  }));
+
+  const attachments = (message.attachments || []).map(attachment => ({
+    id: attachment.id,
+    message_id: message.id,
+    filename: attachment.fileName,
+    content_type: null,
+    size: attachment.fileSizeBytes ?? null,
+    url: attachment.url,
+    proxy_url: null,
+    width: null,
+    height: null,
+  }));
+
+  const reactions = [];
+  const reactionUsers = [];
+  for (const reaction of message.reactions || []) {
+    const emoji = reaction.emoji.id || reaction.emoji.name;
+    reactions.push({
+      message_id: message.id,
+      emoji,
+      emoji_name: reaction.emoji.name,
+      is_custom: reaction.emoji.id ? 1 : 0,
+      count: reaction.count,
+    });
+
+    // Newer exports list who reacted; only a complete list is worth storing
+    if (Array.isArray(reaction.users) && reaction.users.length === reaction.count) {
+      reactionUsers.push({ emoji, users: reaction.users.map(formatExportedUser) });
+    }
+  }
+
+  return {
+    message: {
+      id: message.id,
+      channel_id: channel.id,
+      author_id: message.author.id,
+      content: message.content || '',
+      clean_content: message.content || '',
+      timestamp: toIsoTimestamp(message.timestamp),
+      edited_timestamp: toIsoTimestamp(message.timestampEdited),
+      message_type: MESSAGE_TYPE_ALIASES[message.type] ?? MessageType[message.type] ?? MessageType.Default,
+      reference_id: message.reference?.messageId || null,
+      thread_id: isThread ? channel.id : null,
+      has_embeds: embeds.length > 0 ? 1 : 0,
+      has_attachments: attachments.length > 0 ? 1 : 0,
+      reaction_count: reactions.reduce((sum, reaction) => sum + reaction.count, 0),
+    },
+    user: formatExportedUser(message.author),
+    embeds,
+    attachments,
+    reactions,
+    reactionUsers,
+    pinned: typeof message.isPinned === 'boolean' ? message.isPinned : null,
+    parsed: parseExportedContent(message),
+  };
+}
+
+/**
+ * Parse a DiscordChatExporter channel export.
+ * Direct message exports have no guild and are reported with guild: null.
+ * @param {Object} json - Parsed export file.
+ * @returns {Object} { guild, channel, bundles }.
+ */
+export function parseChatExporterExport(json) {
+  const channelType = CHANNEL_TYPES[json.channel.type];
+  if (channelType === CHANNEL_TYPES.DirectTextChat || channelType === CHANNEL_TYPES.DirectGroupTextChat) {
+    return { guild: null, channel: null, bundles: [] };
+  }
+
+  const guild = {
+    id: json.guild.id,
+    name: json.guild.name,
+    icon_url: json.guild.iconUrl || null,
+    member_count: null,
+  };
+  const channel = formatExportedChannel(json.channel, guild.id);
+  const bundles = json.messages.map(message => formatExportedBundle(message, channel));
+
+  return { guild, channel, bundles };
+}
+
+export default {
+  isChatExporterExport,
+  parseChatExporterExport,
+};
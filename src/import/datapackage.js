@@ -0,0 +1,242 @@
+/**
+ * Reader for the message folders in Discord's official data package
+ * ("Request all of my data"). The package only holds the account owner's own
+ * messages: one folder per channel with channel.json and either messages.json
+ * (current packages) or messages.csv (older packages).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseMessageContent } from '../scraper/content.js';
+
+/**
+ * Find a directory entry by name, ignoring case ("Messages" vs "messages").
+ * @param {string} dir - Directory to search.
+ * @param {string} name - Entry name.
+ * @returns {string|null} Full path, or null if missing.
+ */
+function findEntry(dir, name) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return null;
+  const match = fs.readdirSync(dir).find(entry => entry.toLowerCase() === name.toLowerCase());
+  return match ? path.join(dir, match) : null;
+}
+
+/**
+ * Parse JSON while keeping numeric snowflake IDs exact.
+ * messages.json stores IDs as numbers, which lose precision above 2^53.
+ * @param {string} text - Raw JSON.
+ * @returns {*} Parsed value.
+ */
+function parseJsonWithIds(text) {
+  return JSON.parse(text.replace(/("(?:ID|id)"\s*:\s*)(\d{15,})/g, '$1"$2"'));
+}
+
+/**
+ * Parse CSV text into rows of objects keyed by the header line.
+ * Handles quoted fields with embedded commas, quotes and newlines.
+ * @param {string} text - Raw CSV.
+ * @returns {Object[]} Rows.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows;
+  return records
+    .filter(record => record.some(value => value !== ''))
+    .map(record => Object.fromEntries(header.map((key, i) => [key, record[i] ?? ''])));
+}
+
+/**
+ * Locate the messages folder of a data package.
+ * @param {string} dir - Package root or its messages folder.
+ * @returns {string|null} Messages folder, or null if this isn't a data package.
+ */
+export function findPackageMessagesDir(dir) {
+  if (findEntry(dir, 'index.json') && !findEntry(dir, 'messages')) {
+    return dir;
+  }
+  const messagesDir = findEntry(dir, 'messages');
+  return messagesDir && findEntry(messagesDir, 'index.json') ? messagesDir : null;
+}
+
+/**
+ * Read the account owner from the package's account/user.json.
+ * @param {string} messagesDir - The package's messages folder.
+ * @returns {Object|null} User data formatted for database.
+ */
+function readPackageOwner(messagesDir) {
+  const userFile = findEntry(findEntry(path.dirname(messagesDir), 'account') || '', 'user.json');
+  if (!userFile) return null;
+
+  const user = parseJsonWithIds(fs.readFileSync(userFile, 'utf-8'));
+  return {
+    id: String(user.id),
+    username: user.username,
+    global_name: user.global_name || null,
+    discriminator: String(user.discriminator ?? '0'),
+    avatar_url: user.avatar_hash
+      ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar_hash}.png?size=256`
+      : null,
+    is_bot: 0,
+  };
+}
+
+/**
+ * Turn the space-separated attachment URLs of a package message into attachments.
+ * @param {string} value - Attachments column.
+ * @param {string} messageId - Parent message ID.
+ * @returns {Object[]} Attachment data formatted for database.
+ */
+function parseAttachments(value, messageId) {
+  return String(value || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((url) => {
+      // https://cdn.discordapp.com/attachments/<channel>/<attachment>/<filename>
+      const parts = new URL(url).pathname.split('/');
+      return {
+        id: parts[3] || `${messageId}-${parts[parts.length - 1]}`,
+        message_id: messageId,
+        filename: decodeURIComponent(parts[parts.length - 1] || ''),
+        content_type: null,
+        size: null,
+        url,
+        proxy_url: null,
+        width: null,
+        height: null,
+      };
+    });
+}
+
+/**
+ * Read one channel folder of a data package.
+ * @param {string} channelDir - Folder holding channel.json and messages.
+ * @param {Object} owner - The account owner (author of every message).
+ * @returns {Object} { guild, channel, bundles }, with guild null for DMs.
+ */
+function readPackageChannel(channelDir, owner) {
+  const channelFile = findEntry(channelDir, 'channel.json');
+  const info = parseJsonWithIds(fs.readFileSync(channelFile, 'utf-8'));
+
+  // Only guild channels are stored; DMs and group DMs have no guild
+  if (!info.guild?.id) {
+    return { guild: null, channel: null, bundles: [] };
+  }
+
+  const guild = {
+    id: String(info.guild.id),
+    name: info.guild.name,
+    icon_url: null,
+    member_count: null,
+  };
+  const channel = {
+    id: String(info.id),
+    guild_id: guild.id,
+    name: info.name || String(info.id),
+    type: info.type ?? 0,
+    parent_id: null,
+    position: null,
+    topic: null,
+  };
+  const isThread = [10, 11, 12].includes(channel.type);
+
+  let rows = [];
+  const jsonFile = findEntry(channelDir, 'messages.json');
+  const csvFile = findEntry(channelDir, 'messages.csv');
+  if (jsonFile) {
+    rows = parseJsonWithIds(fs.readFileSync(jsonFile, 'utf-8'));
+  } else if (csvFile) {
+    rows = parseCsv(fs.readFileSync(csvFile, 'utf-8'));
+  }
+
+  const bundles = rows.map((row) => {
+    const id = String(row.ID);
+    const attachments = parseAttachments(row.Attachments, id);
+    return {
+      message: {
+        id,
+        channel_id: channel.id,
+        author_id: owner.id,
+        content: row.Contents || '',
+        clean_content: row.Contents || '',
+        timestamp: new Date(String(row.Timestamp).replace(' ', 'T')).toISOString(),
+        edited_timestamp: null,
+        message_type: 0,
+        reference_id: null,
+        thread_id: isThread ? channel.id : null,
+        has_embeds: 0,
+        has_attachments: attachments.length > 0 ? 1 : 0,
+        reaction_count: 0,
+      },
+      user: owner,
+      embeds: [],
+      attachments,
+      reactions: [],
+      parsed: parseMessageContent(row.Contents),
+    };
+  });
+
+  return { guild, channel, bundles };
+}
+
+/**
+ * Read every guild channel in a data package.
+ * @param {string} dir - Package root or its messages folder.
+ * @returns {Object[]} One { guild, channel, bundles } per guild channel.
+ */
+export function readDataPackage(dir) {
+  const messagesDir = findPackageMessagesDir(dir);
+  if (!messagesDir) {
+    throw new Error(`Not a Discord data package: ${dir}`);
+  }
+
+  const owner = readPackageOwner(messagesDir);
+  if (!owner) {
+    throw new Error(`Data package is missing account/user.json: ${path.dirname(messagesDir)}`);
+  }
+
+  return fs.readdirSync(messagesDir)
+    .map(entry => path.join(messagesDir, entry))
+    .filter(entry => fs.statSync(entry).isDirectory() && findEntry(entry, 'channel.json'))
+    .map(channelDir => readPackageChannel(channelDir, owner))
+    .filter(result => result.guild);
+}
+
+export default {
+  findPackageMessagesDir,
+  readDataPackage,
+};
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import { isChatExporterExport, parseChatExporterExport } from './chatexporter.js';
+import { findPackageMessagesDir, readDataPackage } from './datapackage.js';
+
+/**
+ * Work out what kind of archive a path points at.
+ * @param {string} inputPath - File or directory.
+ * @returns {string} 'package' for a Discord data package, 'chatexporter' for a
+ *   DiscordChatExporter JSON file or a directory of them.
+ */
+export function detectImportFormat(inputPath) {
+  if (fs.statSync(inputPath).isDirectory() && findPackageMessagesDir(inputPath)) {
+    return 'package';
+  }
+  return 'chatexporter';
+}
+
+/**
+ * List the JSON files under a path (recursively for directories).
+ * @param {string} inputPath - File or directory.
+ * @returns {string[]} JSON file paths, sorted.
+ */
+function listJsonFiles(inputPath) {
+  if (!fs.statSync(inputPath).isDirectory()) return [inputPath];
+
+  return fs.readdirSync(inputPath, { recursive: true })
+    .map(entry => path.join(inputPath, entry))
+    .filter(file => file.toLowerCase().endsWith('.json') && fs.statSync(file).isFile())
+    .sort();
+}
+
+/**
+ * Read archived channels from a path, one at a time.
+ * Files that aren't DiscordChatExporter exports are reported as skipped.
+ * @param {string} inputPath - Export file, directory of exports, or data package.
+ * @param {Object} [options] - Read options.
+ * @param {string} [options.format='auto'] - 'auto', 'chatexporter' or 'package'.
+ * @yields {Object} { source, guild, channel, bundles } per channel, or
+ *   { source, skipped: reason } for unreadable files and DM channels.
+ */
+export function* readImportPath(inputPath, options = {}) {
+  const { format = 'auto' } = options;
+
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Path not found: ${inputPath}`);
+  }
+
+  const resolved = format === 'auto' ? detectImportFormat(inputPath) : format;
+
+  if (resolved === 'package') {
+    for (const result of readDataPackage(inputPath)) {
+      yield { source: inputPath, ...result };
+    }
+    return;
+  }
+
+  for (const file of listJsonFiles(inputPath)) {
+    let json;
+    try {
+      json = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      yield { source: file, skipped: `invalid JSON (${error.message})` };
+      continue;
+    }
+
+    if (!isChatExporterExport(json)) {
+      yield { source: file, skipped: 'not a DiscordChatExporter JSON export' };
+      continue;
+    }
+
+    const result = parseChatExporterExport(json);
+    if (!result.guild) {
+      yield { source: file, skipped: 'direct messages are not imported' };
+      continue;
+    }
+
+    yield { source: file, ...result };
+  }
+}
+
+export default {
+  detectImportFormat,
+  readImportPath,
+};
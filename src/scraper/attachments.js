@@ -0,0 +1,230 @@
+/**
+ * Attachment archiver.
+ *
+ * Discord CDN URLs are signed and expire after about a day, so anything that
+ * needs an attachment later (extracts, exports) should use the archived copy.
+ * Files are stored content-addressed under the archive directory as
+ * ab/cd/<sha256><ext>, so the same file posted twice is only kept once.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { REST } from 'discord.js';
+
+/**
+ * Check a content type against allowed patterns such as "image/*".
+ * @param {string|null} contentType - MIME type, parameters allowed.
+ * @param {string[]} [patterns] - Allowed types; empty or missing allows everything.
+ * @returns {boolean} True if allowed.
+ */
+export function isContentTypeAllowed(contentType, patterns) {
+  if (!patterns || patterns.length === 0) return true;
+  if (!contentType) return false;
+
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  return patterns.some((pattern) => {
+    const value = pattern.toLowerCase();
+    return value.endsWith('/*')
+      ? type.startsWith(value.slice(0, -1))
+      : type === value;
+  });
+}
+
+/**
+ * Path of a file inside the archive, relative to the archive directory.
+ * @param {string} sha256 - Hex digest of the file.
+ * @param {string} filename - Original filename, used for the extension.
+ * @returns {string} e.g. "3f/a2/3fa2…c9.png".
+ */
+export function getArchivePath(sha256, filename) {
+  const ext = path.extname(filename || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return path.posix.join(sha256.slice(0, 2), sha256.slice(2, 4), `${sha256}${ext}`);
+}
+
+/**
+ * Ask Discord for a fresh signed URL for an expired attachment URL.
+ * @param {string} url - Expired CDN URL.
+ * @param {string} token - Bot token.
+ * @returns {Promise<string|null>} Refreshed URL, or null if Discord returned none.
+ */
+export async function refreshAttachmentUrl(url, token) {
+  const rest = new REST({ version: '10' }).setToken(token);
+  const result = await rest.post('/attachments/refresh-urls', {
+    body: { attachment_urls: [url] },
+  });
+  return result.refreshed_urls?.[0]?.refreshed || null;
+}
+
+/**
+ * Download a URL into a temporary file while hashing it.
+ * @param {string} url - File URL.
+ * @param {string} tempPath - Where to write the download.
+ * @param {Object} limits - { maxSizeBytes, allowedContentTypes, timeoutMs, knownContentType }.
+ * @returns {Promise<Object>} { sha256, size, contentType } or { skipped: reason }.
+ */
+async function downloadToTemp(url, tempPath, limits) {
+  const { maxSizeBytes, allowedContentTypes, timeoutMs, knownContentType } = limits;
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const contentType = knownContentType || response.headers.get('content-type');
+  if (!isContentTypeAllowed(contentType, allowedContentTypes)) {
+    await response.body?.cancel();
+    return { skipped: `content type ${contentType || 'unknown'} not allowed` };
+  }
+
+  const declaredSize = Number(response.headers.get('content-length'));
+  if (maxSizeBytes && declaredSize > maxSizeBytes) {
+    await response.body?.cancel();
+    return { skipped: `larger than ${maxSizeBytes} bytes` };
+  }
+
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (maxSizeBytes && size > maxSizeBytes) {
+        const error = new Error(`larger than ${maxSizeBytes} bytes`);
+        error.code = 'TOO_LARGE';
+        callback(error);
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(Readable.fromWeb(response.body), meter, fs.createWriteStream(tempPath));
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    if (error.code === 'TOO_LARGE') {
+      return { skipped: error.message };
+    }
+    throw error;
+  }
+
+  return { sha256: hash.digest('hex'), size, contentType };
+}
+
+/**
+ * Download one attachment into the archive.
+ * Rows whose stored size or content type already break the limits are skipped
+ * without a request. Expired URLs (403/404) are refreshed once when a bot token
+ * is given.
+ * @param {Object} attachment - Attachment row.
+ * @param {Object} options - Archive options.
+ * @param {string} options.archiveDir - Archive root directory.
+ * @param {number} [options.maxSizeBytes] - Largest file to keep.
+ * @param {string[]} [options.allowedContentTypes] - Allowed MIME types/patterns.
+ * @param {number} [options.timeoutMs=30000] - Per-download timeout.
+ * @param {string} [options.token] - Bot token for refreshing expired URLs.
+ * @returns {Promise<Object>} Result for updateAttachmentArchive():
+ *   { status: 'downloaded'|'skipped'|'failed', error, sha256, local_path, content_type, size, url }.
+ */
+export async function archiveAttachment(attachment, options) {
+  const {
+    archiveDir,
+    maxSizeBytes = null,
+    allowedContentTypes = [],
+    timeoutMs = 30000,
+    token = null,
+  } = options;
+
+  if (maxSizeBytes && attachment.size > maxSizeBytes) {
+    return { status: 'skipped', error: `larger than ${maxSizeBytes} bytes` };
+  }
+  if (attachment.content_type && !isContentTypeAllowed(attachment.content_type, allowedContentTypes)) {
+    return { status: 'skipped', error: `content type ${attachment.content_type} not allowed` };
+  }
+
+  const tempDir = path.join(archiveDir, '.tmp');
+  fs.mkdirSync(tempDir, { recursive: true });
+  const tempPath = path.join(tempDir, `${attachment.id}.part`);
+
+  const limits = {
+    maxSizeBytes,
+    allowedContentTypes,
+    timeoutMs,
+    knownContentType: attachment.content_type,
+  };
+
+  let url = attachment.url;
+  let refreshedUrl = null;
+  let result;
+
+  try {
+    try {
+      result = await downloadToTemp(url, tempPath, limits);
+    } catch (error) {
+      if (!token || (error.status !== 403 && error.status !== 404)) throw error;
+
+      refreshedUrl = await refreshAttachmentUrl(url, token);
+      if (!refreshedUrl) throw error;
+      url = refreshedUrl;
+      result = await downloadToTemp(url, tempPath, limits);
+    }
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    return { status: 'failed', error: error.message, url: refreshedUrl };
+  }
+
+  if (result.skipped) {
+    return { status: 'skipped', error: result.skipped, url: refreshedUrl };
+  }
+
+  const localPath = getArchivePath(result.sha256, attachment.filename);
+  const finalPath = path.join(archiveDir, localPath);
+
+  if (fs.existsSync(finalPath)) {
+    // Already archived from another message
+    fs.rmSync(tempPath, { force: true });
+  } else {
+    fs.mkdirSync(path.dirname(finalPath), { recursive: true });
+    fs.renameSync(tempPath, finalPath);
+  }
+
+  return {
+    status: 'downloaded',
+    sha256: result.sha256,
+    local_path: localPath,
+    content_type: result.contentType?.split(';')[0].trim() || null,
+    size: result.size,
+    url: refreshedUrl,
+  };
+}
+
+/**
+ * Reference to an archived attachment for exports.
+ * @param {Object} attachment - Attachment row.
+ * @param {Object} options - { archiveDir, publicBaseUrl }.
+ * @returns {string|null} Public URL when publicBaseUrl is set, otherwise the
+ *   local file path; null if the attachment isn't archived.
+ */
+export function getArchivedUrl(attachment, options) {
+  const { archiveDir, publicBaseUrl = null } = options;
+  if (attachment.download_status !== 'downloaded' || !attachment.local_path) return null;
+
+  if (publicBaseUrl) {
+    return `${publicBaseUrl.replace(/\/+$/, '')}/${attachment.local_path}`;
+  }
+  return path.resolve(archiveDir, attachment.local_path);
+}
+
+export default {
+  isContentTypeAllowed,
+  getArchivePath,
+  refreshAttachmentUrl,
+  archiveAttachment,
+  getArchivedUrl,
+};
@@ -1,24 +1,61 @@
-import { Client, GatewayIntentBits, ChannelType } from 'discord.js';
+import {
+  Client,
+  GatewayIntentBits,
+  ChannelType,
+  Partials,
+  GuildScheduledEventStatus,
+  GuildScheduledEventEntityType,
+} from 'discord.js';
+import { createFixtureClient, createRecorder } from './fixtures.js';
 
 let client = null;
+let recorder = null;
 
 /**
  * Create and configure the Discord client.
- * @param {string} token - Discord bot token.
+ * @param {string} token - Discord bot token (not needed with a fixture).
+ * @param {Object} [options] - Client options.
+ * @param {boolean} [options.members=false] - Request the privileged GuildMembers
+ *   intent, needed to list every member of a guild. It must also be enabled for
+ *   the bot in the Developer Portal.
+ * @param {string} [options.fixture] - Replay this fixture directory instead of
+ *   connecting to Discord, see fixtures.js.
+ * @param {string} [options.record] - Record everything the client sees into this
+ *   fixture directory; written by destroyClient().
  * @returns {Promise<Client>} The logged-in Discord client.
  */
-export async function createClient(token) {
+export async function createClient(token, { members = false, fixture = null, record = null } = {}) {
   if (client && client.isReady()) {
     return client;
   }
 
-  client = new Client({
-    intents: [
-      GatewayIntentBits.Guilds,
-      GatewayIntentBits.GuildMessages,
-      GatewayIntentBits.MessageContent,
-    ],
-  });
+  const intents = [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildMessageReactions,
+    GatewayIntentBits.MessageContent,
+    GatewayIntentBits.GuildScheduledEvents,
+  ];
+  if (members) {
+    intents.push(GatewayIntentBits.GuildMembers);
+  }
+
+  const clientOptions = {
+    intents,
+    // Live events can reference messages and reactions that were never cached
+    partials: [Partials.Message, Partials.Channel, Partials.Reaction],
+  };
+
+  if (fixture) {
+    client = createFixtureClient(fixture, clientOptions);
+    console.log(`Replaying fixture ${fixture} as ${client.user.tag}`);
+    return client;
+  }
+
+  client = new Client(clientOptions);
+  if (record) {
+    recorder = createRecorder(client, record);
+  }
 
   return new Promise((resolve, reject) => {
     const timeout = setTimeout(() => {
@@ -52,9 +89,13 @@ export function getClient() {
 }
 
 /**
- * Destroy the Discord client connection.
+ * Destroy the Discord client connection, writing the recorded fixture if recording.
  */
 export function destroyClient() {
+  if (recorder) {
+    recorder.save();
+    recorder = null;
+  }
   if (client) {
     client.destroy();
     client = null;
@@ -80,38 +121,178 @@ export async function getGuild(guildId) {
 }
 
 /**
- * Get all text channels from a guild.
- * @param {Guild} guild - The Discord guild.
+ * Convert a glob pattern (`*` and `?` wildcards) into a case-insensitive RegExp.
+ * @param {string} pattern - Glob pattern, e.g. "dev-*".
+ * @returns {RegExp} Anchored regular expression.
+ */
+export function globToRegExp(pattern) {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Check if a channel matches an allowlist/blocklist entry.
+ * An entry matches the channel ID, the channel name (glob, optional leading #),
+ * or the ID or name (glob) of the channel's parent category.
+ * @param {GuildChannel} channel - The channel to test.
+ * @param {string} pattern - Channel ID, name, glob or category name/ID.
+ * @returns {boolean} True if the channel matches.
+ */
+export function matchesChannelPattern(channel, pattern) {
+  const value = String(pattern).trim();
+  if (!value) return false;
+
+  if (value === channel.id) return true;
+
+  const regex = globToRegExp(value.replace(/^#/, ''));
+  if (regex.test(channel.name)) return true;
+
+  const category = channel.parent?.type === ChannelType.GuildCategory ? channel.parent : null;
+  if (category && (value === category.id || regex.test(category.name))) return true;
+
+  return false;
+}
+
+// Default exclude voice, category, stage, directory channels
+const DEFAULT_EXCLUDE_TYPES = [
+  ChannelType.GuildVoice,        // 2
+  ChannelType.GuildCategory,    // 4
+  ChannelType.GuildStageVoice,  // 13
+  ChannelType.GuildDirectory,   // 14
+  ChannelType.GuildMedia,       // 16
+];
+
+/**
+ * Check a channel against the configured channel selection.
+ * Threads are judged by their parent channel.
+ * @param {GuildChannel} channel - The channel to test.
  * @param {Object} options - Filter options.
  * @param {number[]} [options.excludeTypes] - Channel types to exclude.
- * @param {string[]} [options.excludeNames] - Channel names to exclude.
+ * @param {string[]} [options.excludeNames] - Channel names (or globs) to exclude.
+ * @param {string[]} [options.allowlist] - If non-empty, only channels matching an entry are kept.
+ * @param {string[]} [options.blocklist] - Channels matching any entry are dropped.
+ * @param {boolean} [options.includeForums] - Keep forum channels (thread parents only).
+ * @returns {boolean} True if the channel should be scraped.
+ */
+export function isChannelSelected(channel, options = {}) {
+  const {
+    excludeTypes = [],
+    excludeNames = [],
+    allowlist = [],
+    blocklist = [],
+    includeForums = false,
+  } = options;
+
+  if (!channel) return false;
+  if (channel.isThread()) {
+    return channel.parent ? isChannelSelected(channel.parent, { ...options, includeForums: true }) : false;
+  }
+
+  const excludeTypeSet = new Set([...DEFAULT_EXCLUDE_TYPES, ...excludeTypes]);
+  if (excludeTypeSet.has(channel.type)) return false;
+  if (excludeNames.some(n => globToRegExp(n.replace(/^#/, '')).test(channel.name))) return false;
+  if (allowlist.length > 0 && !allowlist.some(p => matchesChannelPattern(channel, p))) return false;
+  if (blocklist.some(p => matchesChannelPattern(channel, p))) return false;
+
+  // Forum channels hold no messages themselves, only threads (posts)
+  if (isForumChannel(channel)) return includeForums;
+
+  // Must be a text-based channel we can read messages from
+  return channel.isTextBased() && !channel.isVoiceBased();
+}
+
+/**
+ * Get all text channels from a guild.
+ * @param {Guild} guild - The Discord guild.
+ * @param {Object} options - Filter options, see {@link isChannelSelected}.
  * @returns {Promise<Collection<string, GuildChannel>>} Collection of text channels.
  */
 export async function getTextChannels(guild, options = {}) {
-  const { excludeTypes = [], excludeNames = [] } = options;
-
-  // Default exclude voice, category, stage, directory channels
-  const defaultExcludeTypes = [
-    ChannelType.GuildVoice,        // 2
-    ChannelType.GuildCategory,    // 4
-    ChannelType.GuildStageVoice,  // 13
-    ChannelType.GuildDirectory,   // 14
-    ChannelType.GuildMedia,       // 16
-  ];
+  const channels = await guild.channels.fetch();
 
-  const excludeTypeSet = new Set([...defaultExcludeTypes, ...excludeTypes]);
-  const excludeNameSet = new Set(excludeNames.map(n => n.toLowerCase()));
+  return channels.filter(channel => isChannelSelected(channel, options));
+}
 
-  const channels = await guild.channels.fetch();
+/**
+ * Check if a channel is a forum (its messages live in threads/posts).
+ * @param {GuildChannel} channel - The channel to check.
+ * @returns {boolean} True if the channel is a forum channel.
+ */
+export function isForumChannel(channel) {
+  return channel.type === ChannelType.GuildForum;
+}
 
-  return channels.filter(channel => {
-    if (!channel) return false;
-    if (excludeTypeSet.has(channel.type)) return false;
-    if (excludeNameSet.has(channel.name.toLowerCase())) return false;
+/**
+ * Fetch every thread under a text, announcement or forum channel.
+ * Includes active threads, archived public threads and, when the bot has
+ * Manage Threads on the parent, archived private threads.
+ * @param {GuildChannel} channel - The parent channel.
+ * @param {Object} options - Fetch options.
+ * @param {boolean} [options.includeArchived=true] - Include archived threads.
+ * @param {boolean} [options.includePrivate=true] - Include private threads when permitted.
+ * @returns {Promise<ThreadChannel[]>} Threads sorted oldest first.
+ */
+export async function getThreads(channel, options = {}) {
+  const { includeArchived = true, includePrivate = true } = options;
 
-    // Must be a text-based channel we can read messages from
-    return channel.isTextBased() && !channel.isVoiceBased();
-  });
+  if (!channel.threads) return [];
+
+  const threads = new Map();
+
+  const active = await channel.threads.fetchActive();
+  for (const thread of active.threads.values()) {
+    // fetchActive can return threads from sibling channels
+    if (thread.parentId === channel.id) {
+      threads.set(thread.id, thread);
+    }
+  }
+
+  if (includeArchived) {
+    const archiveTypes = ['public'];
+    if (includePrivate && !isForumChannel(channel) && canManageThreads(channel)) {
+      archiveTypes.push('private');
+    }
+
+    for (const type of archiveTypes) {
+      let before;
+      let hasMore = true;
+
+      while (hasMore) {
+        const archived = await channel.threads.fetchArchived({
+          type,
+          fetchAll: type === 'private',
+          before,
+          limit: 100,
+        });
+
+        for (const thread of archived.threads.values()) {
+          threads.set(thread.id, thread);
+        }
+
+        hasMore = archived.hasMore && archived.threads.size > 0;
+        before = archived.threads.last();
+      }
+    }
+  }
+
+  return Array.from(threads.values()).sort(
+    (a, b) => a.createdTimestamp - b.createdTimestamp
+  );
+}
+
+/**
+ * Check if the bot can list private archived threads in a channel.
+ * @param {GuildChannel} channel - The parent channel.
+ * @returns {boolean} True if the bot has Manage Threads.
+ */
+function canManageThreads(channel) {
+  if (!client || !client.user) return false;
+
+  const permissions = channel.permissionsFor(client.user);
+  return permissions ? permissions.has('ManageThreads') : false;
 }
 
 /**
@@ -148,17 +329,54 @@ export function formatGuildData(guild) {
  * @returns {Object} Channel data formatted for database.
  */
 export function formatChannelData(channel) {
+  const isThread = channel.isThread();
+
   return {
     id: channel.id,
     guild_id: channel.guild.id,
     name: channel.name,
     type: channel.type,
     parent_id: channel.parentId || null,
-    position: channel.position,
+    position: isThread ? null : channel.position,
     topic: channel.topic || null,
+    is_archived: isThread && channel.archived ? 1 : 0,
+    owner_id: isThread ? channel.ownerId || null : null,
+    applied_tags: isThread ? formatAppliedTags(channel) : null,
+    available_tags: isForumChannel(channel) ? formatAvailableTags(channel) : null,
   };
 }
 
+/**
+ * Resolve a forum post's applied tag IDs to their names.
+ * @param {ThreadChannel} thread - The forum thread.
+ * @returns {string|null} JSON array of tag names, or null if none.
+ */
+function formatAppliedTags(thread) {
+  if (!thread.appliedTags || thread.appliedTags.length === 0) return null;
+
+  const available = thread.parent?.availableTags || [];
+  const names = thread.appliedTags.map(tagId =>
+    available.find(tag => tag.id === tagId)?.name || tagId
+  );
+
+  return JSON.stringify(names);
+}
+
+/**
+ * Format a forum channel's tag catalog.
+ * @param {ForumChannel} channel - The forum channel.
+ * @returns {string|null} JSON array of { id, name, emoji }, or null if none.
+ */
+function formatAvailableTags(channel) {
+  if (!channel.availableTags || channel.availableTags.length === 0) return null;
+
+  return JSON.stringify(channel.availableTags.map(tag => ({
+    id: tag.id,
+    name: tag.name,
+    emoji: tag.emoji?.name || tag.emoji?.id || null,
+  })));
+}
+
 /**
  * Format user data for storage.
  * @param {User} user - The Discord user.
@@ -175,14 +393,67 @@ export function formatUserData(user) {
   };
 }
 
+/**
+ * Get custom emoji info for storage.
+ * @param {GuildEmoji} emoji - The Discord guild emoji.
+ * @returns {Object} Emoji data formatted for database.
+ */
+export function formatEmojiData(emoji) {
+  return {
+    id: emoji.id,
+    guild_id: emoji.guild.id,
+    name: emoji.name,
+    image_url: emoji.imageURL({ size: 128 }),
+    is_animated: emoji.animated ? 1 : 0,
+    is_managed: emoji.managed ? 1 : 0,
+    is_available: emoji.available === false ? 0 : 1,
+  };
+}
+
+// Enum names as stored, e.g. GuildScheduledEventEntityType.StageInstance → 'stage_instance'
+const snakeCase = name => name?.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase() ?? null;
+
+/**
+ * Get scheduled event info for storage.
+ * @param {GuildScheduledEvent} event - The Discord scheduled event.
+ * @returns {Object} Event data formatted for database.
+ */
+export function formatScheduledEventData(event) {
+  return {
+    id: event.id,
+    guild_id: event.guildId,
+    channel_id: event.channelId || null,
+    creator_id: event.creatorId || null,
+    name: event.name,
+    description: event.description || null,
+    scheduled_start_at: event.scheduledStartAt?.toISOString() || null,
+    scheduled_end_at: event.scheduledEndAt?.toISOString() || null,
+    status: snakeCase(GuildScheduledEventStatus[event.status]),
+    entity_type: snakeCase(GuildScheduledEventEntityType[event.entityType]),
+    location: event.entityMetadata?.location || null,
+    // Only present when fetched with withUserCount
+    user_count: event.userCount ?? null,
+    image_url: event.coverImageURL({ size: 1024 }) || null,
+    url: event.url,
+    created_at: event.createdAt.toISOString(),
+  };
+}
+
 export default {
   createClient,
   getClient,
   destroyClient,
   getGuild,
+  globToRegExp,
+  matchesChannelPattern,
+  isChannelSelected,
   getTextChannels,
+  isForumChannel,
+  getThreads,
   canReadChannel,
   formatGuildData,
   formatChannelData,
   formatUserData,
+  formatEmojiData,
+  formatScheduledEventData,
 };
@@ -0,0 +1,118 @@
+/**
+ * Message content parser.
+ *
+ * Pulls references out of raw message content (not clean_content, which has
+ * mentions replaced by names) so they can be stored in indexed side tables:
+ * user/role/channel mentions, links, fenced code blocks and Stacks identifiers
+ * (addresses, contract identifiers and transaction IDs).
+ */
+
+// c32check alphabet used by Stacks addresses (no I, L, O or U)
+const C32 = '[0-9A-HJKMNP-TV-Z]';
+
+// SP/SM mainnet and ST/SN testnet addresses; boot addresses are the shortest
+const ADDRESS = `S[PMTN]${C32}{26,39}`;
+
+// Contract names start with a letter and may contain letters, digits, - and _
+const CONTRACT_NAME = '[a-zA-Z][a-zA-Z0-9_-]{0,127}';
+
+const MENTION_PATTERNS = [
+  { type: 'user', regex: /<@!?(\d{15,25})>/g },
+  { type: 'role', regex: /<@&(\d{15,25})>/g },
+  { type: 'channel', regex: /<#(\d{15,25})>/g },
+];
+
+const URL_REGEX = /https?:\/\/[^\s<>"'`]+/g;
+const CODE_BLOCK_REGEX = /```([a-zA-Z0-9_+-]*)\n?([\s\S]*?)```/g;
+const CONTRACT_REGEX = new RegExp(`(?<![0-9A-Za-z])(${ADDRESS})\\.(${CONTRACT_NAME})`, 'g');
+const ADDRESS_REGEX = new RegExp(`(?<![0-9A-Za-z])${ADDRESS}(?![0-9A-Za-z])`, 'g');
+const TXID_REGEX = /(?<![0-9A-Za-z])0x[0-9a-fA-F]{64}(?![0-9A-Za-z])/g;
+
+/**
+ * Trim punctuation that ends a sentence rather than the URL.
+ * Closing brackets are kept when the URL also opens one, as in Wikipedia links.
+ * @param {string} url - Matched URL.
+ * @returns {string} Cleaned URL.
+ */
+function trimUrl(url) {
+  let result = url.replace(/[.,;:!?*_~]+$/, '');
+  for (const [open, close] of [['(', ')'], ['[', ']']]) {
+    while (result.endsWith(close) && result.split(open).length < result.split(close).length) {
+      result = result.slice(0, -1).replace(/[.,;:!?*_~]+$/, '');
+    }
+  }
+  return result;
+}
+
+/**
+ * Host name of a URL without a leading "www.", lowercased.
+ * @param {string} url - URL.
+ * @returns {string|null} Domain, or null if the URL doesn't parse.
+ */
+export function getUrlDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract mentions, links, code blocks and Stacks identifiers from message content.
+ * @param {string|null} content - Raw message content.
+ * @returns {Object} { mentions, links, codeBlocks, entities }:
+ *   mentions [{ mention_type, target_id }], links [{ url, domain }],
+ *   codeBlocks [{ language, code }], entities [{ entity_type, value }].
+ *   Each list is de-duplicated.
+ */
+export function parseMessageContent(content) {
+  const text = content || '';
+
+  const mentions = [];
+  for (const { type, regex } of MENTION_PATTERNS) {
+    for (const match of text.matchAll(regex)) {
+      if (!mentions.some(m => m.mention_type === type && m.target_id === match[1])) {
+        mentions.push({ mention_type: type, target_id: match[1] });
+      }
+    }
+  }
+
+  const links = [];
+  for (const match of text.matchAll(URL_REGEX)) {
+    const url = trimUrl(match[0]);
+    const domain = getUrlDomain(url);
+    if (domain && !links.some(link => link.url === url)) {
+      links.push({ url, domain });
+    }
+  }
+
+  const codeBlocks = Array.from(text.matchAll(CODE_BLOCK_REGEX), match => ({
+    language: match[1] ? match[1].toLowerCase() : null,
+    code: match[2].replace(/\n$/, ''),
+  })).filter(block => block.code.trim());
+
+  const entities = [];
+  const addEntity = (entity_type, value) => {
+    if (!entities.some(e => e.entity_type === entity_type && e.value === value)) {
+      entities.push({ entity_type, value });
+    }
+  };
+
+  // A contract identifier also counts as a mention of its deployer address
+  for (const match of text.matchAll(CONTRACT_REGEX)) {
+    addEntity('contract', `${match[1]}.${match[2]}`);
+  }
+  for (const match of text.matchAll(ADDRESS_REGEX)) {
+    addEntity('address', match[0]);
+  }
+  for (const match of text.matchAll(TXID_REGEX)) {
+    addEntity('txid', match[0].toLowerCase());
+  }
+
+  return { mentions, links, codeBlocks, entities };
+}
+
+export default {
+  getUrlDomain,
+  parseMessageContent,
+};
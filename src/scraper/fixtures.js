@@ -0,0 +1,495 @@
+/**
+ * Offline Discord transport for deterministic scrapes.
+ *
+ * A fixture is a directory holding a snapshot of what the bot can see:
+ *
+ *   gateway.json        { user, guilds } as sent in READY and GUILD_CREATE; each
+ *                       guild carries its channels, threads, roles, emojis,
+ *                       guild_scheduled_events and at least the bot's own member
+ *   channels/<id>.json  { messages, pins, reactions } of one channel or thread
+ *   faults.json         Optional request failures to inject, see takeFault()
+ *
+ * createFixtureClient() builds a ready discord.js client from gateway.json and
+ * answers its REST requests from the snapshot, paging messages the way Discord
+ * does (limit/before/after), so the scraper runs through the real discord.js
+ * managers without a token or network. createRecorder() does the reverse on a
+ * live client, capturing gateway payloads and REST responses into a fixture.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Client, ClientUser, DiscordAPIError, Events, Status } from 'discord.js';
+
+/**
+ * Compare two snowflakes numerically.
+ * @param {string} a - First snowflake.
+ * @param {string} b - Second snowflake.
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal.
+ */
+function compareIds(a, b) {
+  const diff = BigInt(a) - BigInt(b);
+  return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+}
+
+/**
+ * Read a JSON file, or return a fallback when it doesn't exist.
+ * @param {string} file - File path.
+ * @param {*} fallback - Value for a missing file.
+ * @returns {*} Parsed contents.
+ */
+function readJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : fallback;
+}
+
+/**
+ * Build the error discord.js throws for a failed request.
+ * @param {number} status - HTTP status.
+ * @param {Object} rawError - Error body, e.g. { message, code }.
+ * @param {Object} request - The request options.
+ * @returns {DiscordAPIError} Error as thrown by @discordjs/rest.
+ */
+function apiError(status, rawError, request) {
+  return new DiscordAPIError(
+    { code: 0, ...rawError },
+    rawError.code ?? 0,
+    status,
+    request.method,
+    `https://discord.com/api/v10${request.fullRoute}`,
+    { body: request.body, files: request.files }
+  );
+}
+
+/**
+ * Error for a route handler to report a Discord error response.
+ * @param {number} status - HTTP status.
+ * @param {string} message - Discord error message.
+ * @param {number} code - Discord JSON error code.
+ * @returns {Error} Error with status and rawError, turned into a DiscordAPIError.
+ */
+function fixtureError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.rawError = { message, code };
+  return error;
+}
+
+/**
+ * Load a fixture directory.
+ * A missing directory gives an empty fixture, which is what recording starts from.
+ * @param {string} dir - Fixture directory.
+ * @returns {Object} { user, guilds, channels: Map<channelId, state>, faults }, where each
+ *   channel state is { messages: Map<id, message>, pins: Map<id, pin>, reactions }.
+ */
+export function loadFixture(dir) {
+  const gateway = readJson(path.join(dir, 'gateway.json'), {});
+  const channels = new Map();
+
+  const channelsDir = path.join(dir, 'channels');
+  if (fs.existsSync(channelsDir)) {
+    for (const file of fs.readdirSync(channelsDir).filter(name => name.endsWith('.json'))) {
+      const data = readJson(path.join(channelsDir, file), {});
+      channels.set(path.basename(file, '.json'), {
+        messages: new Map((data.messages || []).map(message => [message.id, message])),
+        pins: new Map((data.pins || []).map(pin => [pin.message.id, pin])),
+        reactions: data.reactions || {},
+      });
+    }
+  }
+
+  return {
+    user: gateway.user || null,
+    guilds: gateway.guilds || [],
+    channels,
+    faults: readJson(path.join(dir, 'faults.json'), []),
+  };
+}
+
+/**
+ * Write a fixture directory. faults.json is left as it is.
+ * @param {string} dir - Fixture directory.
+ * @param {Object} fixture - Fixture from loadFixture().
+ */
+export function saveFixture(dir, fixture) {
+  const channelsDir = path.join(dir, 'channels');
+  fs.mkdirSync(channelsDir, { recursive: true });
+
+  fs.writeFileSync(
+    path.join(dir, 'gateway.json'),
+    JSON.stringify({ user: fixture.user, guilds: fixture.guilds }, null, 2)
+  );
+
+  for (const [channelId, state] of fixture.channels) {
+    const data = {
+      messages: Array.from(state.messages.values()).sort((a, b) => compareIds(a.id, b.id)),
+      pins: Array.from(state.pins.values()).sort((a, b) => b.pinned_at.localeCompare(a.pinned_at)),
+      reactions: state.reactions,
+    };
+    fs.writeFileSync(path.join(channelsDir, `${channelId}.json`), JSON.stringify(data, null, 2));
+  }
+}
+
+/**
+ * Get (or start) the stored state of a channel.
+ * @param {Object} fixture - Loaded fixture.
+ * @param {string} channelId - Channel or thread ID.
+ * @returns {Object} { messages, pins, reactions }.
+ */
+function getChannelState(fixture, channelId) {
+  if (!fixture.channels.has(channelId)) {
+    fixture.channels.set(channelId, { messages: new Map(), pins: new Map(), reactions: {} });
+  }
+  return fixture.channels.get(channelId);
+}
+
+/**
+ * Find the guild a channel or thread belongs to.
+ * @param {Object} fixture - Loaded fixture.
+ * @param {string} channelId - Channel or thread ID.
+ * @returns {Object|undefined} Raw guild.
+ */
+function findChannelGuild(fixture, channelId) {
+  return fixture.guilds.find(guild =>
+    (guild.channels || []).some(channel => channel.id === channelId) ||
+    (guild.threads || []).some(thread => thread.id === channelId)
+  );
+}
+
+/**
+ * Add or replace items of a list by a key.
+ * @param {Object[]} list - Existing items.
+ * @param {Object[]} items - New items.
+ * @param {Function} key - Item → key.
+ * @returns {Object[]} Merged list.
+ */
+function mergeBy(list = [], items = [], key) {
+  const merged = new Map(list.map(item => [key(item), item]));
+  for (const item of items) {
+    merged.set(key(item), item);
+  }
+  return Array.from(merged.values());
+}
+
+/**
+ * Page a channel's messages the way GET /channels/:id/messages does:
+ * newest first, the `limit` messages just before `before`, or just after `after`.
+ * @param {Map} messages - Stored messages by ID.
+ * @param {URLSearchParams} query - Request query.
+ * @returns {Object[]} Raw messages.
+ */
+function pageMessages(messages, query) {
+  const limit = Math.min(Number(query.get('limit')) || 50, 100);
+  const newestFirst = Array.from(messages.values()).sort((a, b) => compareIds(b.id, a.id));
+
+  const after = query.get('after');
+  if (after) {
+    return newestFirst.filter(message => compareIds(message.id, after) > 0).slice(-limit);
+  }
+
+  const before = query.get('before');
+  if (before) {
+    return newestFirst.filter(message => compareIds(message.id, before) < 0).slice(0, limit);
+  }
+
+  return newestFirst.slice(0, limit);
+}
+
+// Replayed routes: [pattern, handler(fixture, match, query)] → response body
+const REPLAY_ROUTES = [
+  [/^\/guilds\/(\d+)$/, (fixture, [, guildId]) => {
+    const guild = requireGuild(fixture, guildId);
+    return { ...guild, approximate_member_count: guild.member_count };
+  }],
+  [/^\/guilds\/(\d+)\/channels$/, (fixture, [, guildId]) =>
+    (requireGuild(fixture, guildId).channels || []).map(channel => ({ ...channel, guild_id: guildId }))],
+  [/^\/guilds\/(\d+)\/threads\/active$/, (fixture, [, guildId]) => ({
+    threads: (requireGuild(fixture, guildId).threads || [])
+      .filter(thread => !thread.thread_metadata?.archived)
+      .map(thread => ({ ...thread, guild_id: guildId })),
+    members: [],
+  })],
+  [/^\/channels\/(\d+)\/threads\/archived\/(public|private)$/, (fixture, [, channelId, type], query) => {
+    const guild = findChannelGuild(fixture, channelId);
+    const limit = Number(query.get('limit')) || 50;
+    const before = query.get('before');
+
+    const threads = (guild?.threads || [])
+      .filter(thread =>
+        thread.parent_id === channelId &&
+        thread.thread_metadata?.archived &&
+        (thread.type === 12) === (type === 'private') &&
+        (!before || thread.thread_metadata.archive_timestamp < before))
+      .sort((a, b) => b.thread_metadata.archive_timestamp.localeCompare(a.thread_metadata.archive_timestamp))
+      .map(thread => ({ ...thread, guild_id: guild.id }));
+
+    return { threads: threads.slice(0, limit), members: [], has_more: threads.length > limit };
+  }],
+  [/^\/guilds\/(\d+)\/emojis$/, (fixture, [, guildId]) => requireGuild(fixture, guildId).emojis || []],
+  [/^\/guilds\/(\d+)\/roles$/, (fixture, [, guildId]) => requireGuild(fixture, guildId).roles || []],
+  [/^\/guilds\/(\d+)\/scheduled-events$/, (fixture, [, guildId]) =>
+    requireGuild(fixture, guildId).guild_scheduled_events || []],
+  [/^\/guilds\/(\d+)\/members\/(\d+)$/, (fixture, [, guildId, userId]) => {
+    const member = (requireGuild(fixture, guildId).members || []).find(entry => entry.user?.id === userId);
+    if (!member) throw fixtureError(404, 'Unknown Member', 10007);
+    return member;
+  }],
+  [/^\/channels\/(\d+)\/messages$/, (fixture, [, channelId], query) =>
+    pageMessages(getChannelState(fixture, channelId).messages, query)],
+  [/^\/channels\/(\d+)\/messages\/pins$/, (fixture, [, channelId], query) => {
+    const limit = Math.min(Number(query.get('limit')) || 50, 50);
+    const before = query.get('before');
+    const pins = Array.from(getChannelState(fixture, channelId).pins.values())
+      .filter(pin => !before || pin.pinned_at < before)
+      .sort((a, b) => b.pinned_at.localeCompare(a.pinned_at));
+    return { items: pins.slice(0, limit), has_more: pins.length > limit };
+  }],
+  [/^\/channels\/(\d+)\/messages\/(\d+)\/reactions\/([^/]+)$/, (fixture, [, channelId, messageId, emoji], query) => {
+    const limit = Math.min(Number(query.get('limit')) || 25, 100);
+    const after = query.get('after');
+    const users = getChannelState(fixture, channelId).reactions[messageId]?.[decodeURIComponent(emoji)] || [];
+    return users
+      .filter(user => !after || compareIds(user.id, after) > 0)
+      .sort((a, b) => compareIds(a.id, b.id))
+      .slice(0, limit);
+  }],
+];
+
+/**
+ * Get a guild of the fixture or fail like Discord does.
+ * @param {Object} fixture - Loaded fixture.
+ * @param {string} guildId - Guild ID.
+ * @returns {Object} Raw guild.
+ */
+function requireGuild(fixture, guildId) {
+  const guild = fixture.guilds.find(entry => entry.id === guildId);
+  if (!guild) throw fixtureError(404, 'Unknown Guild', 10004);
+  return guild;
+}
+
+/**
+ * Use up the first injected fault matching a request.
+ * faults.json holds a list of { route, method, status, times, retryAfter, global, message }:
+ * route is a path glob ("/channels/123/messages", "/channels/*"), method defaults
+ * to GET, status to 500 and times to 1. A 429 carries retryAfter seconds in its
+ * body; with global set it is also reported through the REST "rateLimited" event.
+ * @param {Object} fixture - Loaded fixture.
+ * @param {Object} request - The request options.
+ * @returns {Object|null} The fault, or null if none applies.
+ */
+function takeFault(fixture, request) {
+  const fault = fixture.faults.find((entry) => {
+    if ((entry.times ?? 1) <= 0) return false;
+    if ((entry.method || 'GET') !== request.method) return false;
+    const pattern = entry.route.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${pattern}$`).test(request.fullRoute);
+  });
+
+  if (fault) {
+    fault.times = (fault.times ?? 1) - 1;
+  }
+  return fault || null;
+}
+
+/**
+ * Create a request function answering discord.js REST calls from a fixture.
+ * Replaces REST#request, so route-level queueing and real 429 handling are
+ * skipped; injected 429s are thrown instead, like requests made with
+ * rejectOnRateLimit, which exercises the scraper's own retry and pausing.
+ * @param {Object} fixture - Loaded fixture.
+ * @param {REST} rest - The client's REST manager, for rateLimited events.
+ * @returns {Function} async (options) => response body.
+ */
+export function createFixtureTransport(fixture, rest) {
+  return async (request) => {
+    const fault = takeFault(fixture, request);
+    if (fault) {
+      const status = fault.status ?? 500;
+      if (status === 429) {
+        const retryAfter = fault.retryAfter ?? 1;
+        if (fault.global) {
+          rest.emit('rateLimited', {
+            global: true,
+            method: request.method,
+            url: request.fullRoute,
+            route: request.fullRoute,
+            retryAfter: retryAfter * 1000,
+            timeToReset: retryAfter * 1000,
+            limit: 50,
+            scope: 'global',
+          });
+        }
+        throw apiError(429, { message: 'You are being rate limited.', retry_after: retryAfter, global: Boolean(fault.global) }, request);
+      }
+      throw apiError(status, { message: fault.message || `Injected ${status}` }, request);
+    }
+
+    if (request.method !== 'GET') {
+      throw apiError(405, { message: `Fixtures are read-only (${request.method} ${request.fullRoute})` }, request);
+    }
+
+    const query = new URLSearchParams(request.query ?? '');
+    for (const [pattern, handler] of REPLAY_ROUTES) {
+      const match = request.fullRoute.match(pattern);
+      if (!match) continue;
+
+      try {
+        // Copies, so discord.js can't mutate the snapshot
+        return structuredClone(handler(fixture, match, query));
+      } catch (error) {
+        if (error.rawError) throw apiError(error.status, error.rawError, request);
+        throw error;
+      }
+    }
+
+    throw apiError(404, { message: `No fixture data for GET ${request.fullRoute}` }, request);
+  };
+}
+
+/**
+ * Create a ready discord.js client backed by a fixture instead of Discord.
+ * Listing every guild member needs the gateway, so with a fixture members can
+ * only be looked up one by one.
+ * @param {string} dir - Fixture directory.
+ * @param {Object} clientOptions - discord.js client options (intents, partials).
+ * @returns {Client} Client whose cache holds the fixture's guilds.
+ */
+export function createFixtureClient(dir, clientOptions) {
+  const fixture = loadFixture(dir);
+  if (!fixture.user) {
+    throw new Error(`Not a Discord fixture (missing gateway.json): ${dir}`);
+  }
+
+  const client = new Client(clientOptions);
+  client.rest.request = createFixtureTransport(fixture, client.rest);
+
+  // What the READY and GUILD_CREATE handlers would have done
+  client.user = new ClientUser(client, fixture.user);
+  client.users.cache.set(client.user.id, client.user);
+  for (const guild of fixture.guilds) {
+    client.guilds._add(structuredClone({ ...guild, shardId: 0 }));
+  }
+  client.readyTimestamp = Date.now();
+  client.ws.status = Status.Ready;
+
+  return client;
+}
+
+/**
+ * Trim a GUILD_CREATE payload to what a fixture needs.
+ * Presences and voice states are dropped and only the bot's own member is kept
+ * (other members are recorded as they are looked up).
+ * @param {Object} guild - GUILD_CREATE data.
+ * @param {string} botId - The bot's user ID.
+ * @param {Object} [previous] - Guild already in the fixture.
+ * @returns {Object} Guild for gateway.json.
+ */
+function trimGuild(guild, botId, previous = {}) {
+  const { presences, voice_states: voiceStates, members = [], threads = [], ...rest } = guild;
+  return {
+    ...previous,
+    ...rest,
+    threads: mergeBy(previous.threads, threads, thread => thread.id),
+    members: mergeBy(previous.members, members.filter(member => member.user?.id === botId), member => member.user.id),
+  };
+}
+
+// Recorded routes: [pattern, handler(fixture, match, query, body)]
+const RECORD_ROUTES = [
+  [/^\/guilds\/(\d+)\/channels$/, (fixture, [, guildId], query, body) => {
+    const guild = fixture.guilds.find(entry => entry.id === guildId);
+    if (guild) guild.channels = body;
+  }],
+  [/^\/guilds\/(\d+)\/threads\/active$/, (fixture, [, guildId], query, body) => {
+    const guild = fixture.guilds.find(entry => entry.id === guildId);
+    if (guild) guild.threads = mergeBy(guild.threads, body.threads, thread => thread.id);
+  }],
+  [/^\/channels\/(\d+)\/threads\/archived\/(public|private)$/, (fixture, [, channelId], query, body) => {
+    const guild = findChannelGuild(fixture, channelId);
+    if (guild) guild.threads = mergeBy(guild.threads, body.threads, thread => thread.id);
+  }],
+  [/^\/guilds\/(\d+)\/(emojis|roles|scheduled-events)$/, (fixture, [, guildId, kind], query, body) => {
+    const guild = fixture.guilds.find(entry => entry.id === guildId);
+    const key = kind === 'scheduled-events' ? 'guild_scheduled_events' : kind;
+    if (guild) guild[key] = body;
+  }],
+  [/^\/guilds\/(\d+)\/members\/(\d+)$/, (fixture, [, guildId], query, body) => {
+    const guild = fixture.guilds.find(entry => entry.id === guildId);
+    if (guild) guild.members = mergeBy(guild.members, [body], member => member.user.id);
+  }],
+  [/^\/channels\/(\d+)\/messages$/, (fixture, [, channelId], query, body) => {
+    const state = getChannelState(fixture, channelId);
+    for (const message of body) {
+      state.messages.set(message.id, message);
+    }
+  }],
+  [/^\/channels\/(\d+)\/messages\/pins$/, (fixture, [, channelId], query, body) => {
+    const state = getChannelState(fixture, channelId);
+    // The first page starts a fresh pin list, so unpinned messages drop out
+    if (!query.get('before')) state.pins.clear();
+    for (const pin of body.items) {
+      state.pins.set(pin.message.id, pin);
+    }
+  }],
+  [/^\/channels\/(\d+)\/messages\/(\d+)\/reactions\/([^/]+)$/, (fixture, [, channelId, messageId, emoji], query, body) => {
+    const { reactions } = getChannelState(fixture, channelId);
+    const key = decodeURIComponent(emoji);
+    reactions[messageId] ??= {};
+    const previous = query.get('after') ? reactions[messageId][key] : [];
+    reactions[messageId][key] = mergeBy(previous, body, user => user.id);
+  }],
+];
+
+/**
+ * Record what a live client sees into a fixture directory.
+ * Must be attached before login to catch READY and GUILD_CREATE. Recordings
+ * merge into an existing fixture, so several runs build up one snapshot.
+ * @param {Client} client - Client that is about to log in.
+ * @param {string} dir - Fixture directory to write.
+ * @returns {Object} Recorder with save(), which writes the fixture.
+ */
+export function createRecorder(client, dir) {
+  const fixture = loadFixture(dir);
+
+  client.on(Events.Raw, (packet) => {
+    if (packet.t === 'READY') {
+      fixture.user = packet.d.user;
+    } else if (packet.t === 'GUILD_CREATE') {
+      const index = fixture.guilds.findIndex(guild => guild.id === packet.d.id);
+      const guild = trimGuild(packet.d, fixture.user?.id, fixture.guilds[index]);
+      if (index >= 0) {
+        fixture.guilds[index] = guild;
+      } else {
+        fixture.guilds.push(guild);
+      }
+    }
+  });
+
+  const request = client.rest.request.bind(client.rest);
+  client.rest.request = async (options) => {
+    const body = await request(options);
+
+    if (options.method === 'GET') {
+      const query = new URLSearchParams(options.query ?? '');
+      for (const [pattern, handler] of RECORD_ROUTES) {
+        const match = options.fullRoute.match(pattern);
+        if (match) {
+          handler(fixture, match, query, structuredClone(body));
+          break;
+        }
+      }
+    }
+
+    return body;
+  };
+
+  return {
+    save: () => saveFixture(dir, fixture),
+  };
+}
+
+export default {
+  loadFixture,
+  saveFixture,
+  createFixtureTransport,
+  createFixtureClient,
+  createRecorder,
+};
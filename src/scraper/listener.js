@@ -0,0 +1,244 @@
+import { Events } from 'discord.js';
+import {
+  formatChannelData,
+  formatUserData,
+  formatScheduledEventData,
+  isChannelSelected,
+} from './client.js';
+import { formatMessageBundle, formatReactionData, fetchPins } from './messages.js';
+import {
+  upsertChannel,
+  getChannel,
+  saveMessageBundle,
+  insertMessageBundle,
+  replaceChannelPins,
+  upsertScheduledEvent,
+  markScheduledEventDeleted,
+  getMessage,
+  markMessageDeleted,
+  upsertUser,
+  upsertReaction,
+  getReaction,
+  deleteReaction,
+  addReactionUser,
+  removeReactionUser,
+  markReactionUsersFetched,
+  deleteReactionsByMessage,
+  updateMessageReactionCount,
+} from '../storage/repositories/index.js';
+
+/**
+ * Attach gateway event handlers that write live activity into the database.
+ *
+ * Deletions are stored as tombstones (`messages.deleted_at`) so history and any
+ * extracts built from the message survive; the extracts are flagged instead.
+ *
+ * Live events never advance `channels.last_scraped_message_id`: the listener may
+ * have started after the last batch scrape, so the next incremental scrape still
+ * fills any gap and re-upserts whatever the listener already stored.
+ *
+ * @param {Client} client - A logged-in Discord client.
+ * @param {Database} db - Database connection.
+ * @param {Object} options - Listener options.
+ * @param {Object} options.guilds - Tracked guilds: guild ID → channel selection
+ *   (see isChannelSelected()). Events from other guilds are ignored.
+ * @param {Function} [options.onEvent] - Called with (eventName, details) after each stored event.
+ * @param {Function} [options.onError] - Called with (eventName, error) when a handler fails.
+ * @returns {Function} Detach function that removes all handlers.
+ */
+export function attachListeners(client, db, options) {
+  const {
+    guilds,
+    onEvent = () => {},
+    onError = () => {},
+  } = options;
+
+  const isTracked = (channel) =>
+    Boolean(channel?.guildId && guilds[channel.guildId]) &&
+    isChannelSelected(channel, guilds[channel.guildId]);
+
+  // Make sure a channel (and a thread's parent) exists before its messages
+  const ensureChannel = (channel) => {
+    if (channel.isThread() && channel.parent && !getChannel(db, channel.parentId)) {
+      upsertChannel(db, formatChannelData(channel.parent));
+    }
+    if (!getChannel(db, channel.id)) {
+      upsertChannel(db, formatChannelData(channel));
+    }
+  };
+
+  const storeMessage = (message) => {
+    ensureChannel(message.channel);
+    saveMessageBundle(db, formatMessageBundle(message));
+  };
+
+  // Wrap each handler so one bad event never takes the listener down
+  const handlers = {
+    [Events.MessageCreate]: async (message) => {
+      if (!isTracked(message.channel)) return;
+
+      storeMessage(message);
+      onEvent('messageCreate', { channelId: message.channelId, messageId: message.id });
+    },
+
+    [Events.MessageUpdate]: async (oldMessage, newMessage) => {
+      if (!isTracked(newMessage.channel)) return;
+
+      const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+      storeMessage(message);
+      onEvent('messageUpdate', { channelId: message.channelId, messageId: message.id });
+    },
+
+    [Events.MessageDelete]: async (message) => {
+      if (!isTracked(message.channel)) return;
+
+      markMessageDeleted(db, message.id);
+      onEvent('messageDelete', { channelId: message.channelId, messageId: message.id });
+    },
+
+    [Events.MessageBulkDelete]: async (messages, channel) => {
+      if (!isTracked(channel)) return;
+
+      for (const id of messages.keys()) {
+        markMessageDeleted(db, id);
+      }
+      onEvent('messageDeleteBulk', { channelId: channel.id, count: messages.size });
+    },
+
+    [Events.MessageReactionAdd]: async (reaction, user) => {
+      await storeReaction(reaction, user, true);
+    },
+
+    [Events.MessageReactionRemove]: async (reaction, user) => {
+      await storeReaction(reaction, user, false);
+    },
+
+    [Events.MessageReactionRemoveAll]: async (message) => {
+      if (!isTracked(message.channel)) return;
+
+      deleteReactionsByMessage(db, message.id);
+      updateMessageReactionCount(db, message.id);
+      onEvent('messageReactionRemoveAll', { channelId: message.channelId, messageId: message.id });
+    },
+
+    [Events.ThreadCreate]: async (thread) => {
+      if (!isTracked(thread)) return;
+
+      if (thread.parent && !getChannel(db, thread.parentId)) {
+        upsertChannel(db, formatChannelData(thread.parent));
+      }
+      upsertChannel(db, formatChannelData(thread));
+      onEvent('threadCreate', { channelId: thread.id, parentId: thread.parentId });
+    },
+
+    [Events.ThreadUpdate]: async (oldThread, newThread) => {
+      if (!isTracked(newThread) || !getChannel(db, newThread.id)) return;
+
+      upsertChannel(db, formatChannelData(newThread));
+      onEvent('threadUpdate', { channelId: newThread.id });
+    },
+
+    // The event doesn't say which message changed, so the pin list is re-read
+    [Events.ChannelPinsUpdate]: async (channel) => {
+      if (!isTracked(channel)) return;
+
+      ensureChannel(channel);
+      const pinned = await fetchPins(channel);
+      db.transaction(() => {
+        for (const pin of pinned) {
+          insertMessageBundle(db, pin.bundle);
+        }
+        replaceChannelPins(db, channel.id, pinned.map(pin => ({
+          message_id: pin.bundle.message.id,
+          pinned_at: pin.pinned_at,
+        })));
+      })();
+      onEvent('channelPinsUpdate', { channelId: channel.id, pins: pinned.length });
+    },
+
+    [Events.GuildScheduledEventCreate]: async (event) => {
+      if (!guilds[event.guildId]) return;
+
+      upsertScheduledEvent(db, formatScheduledEventData(event));
+      onEvent('guildScheduledEventCreate', { eventId: event.id, name: event.name });
+    },
+
+    [Events.GuildScheduledEventUpdate]: async (oldEvent, newEvent) => {
+      if (!guilds[newEvent.guildId]) return;
+
+      upsertScheduledEvent(db, formatScheduledEventData(newEvent));
+      onEvent('guildScheduledEventUpdate', { eventId: newEvent.id, name: newEvent.name });
+    },
+
+    [Events.GuildScheduledEventDelete]: async (event) => {
+      if (!guilds[event.guildId]) return;
+
+      markScheduledEventDeleted(db, event.id);
+      onEvent('guildScheduledEventDelete', { eventId: event.id });
+    },
+  };
+
+  /**
+   * Store the current aggregate count for one emoji on a message, and who
+   * reacted. A complete user list stays complete when this event is the only
+   * change since it was fetched.
+   * Reactions on messages we never stored pull the whole message in first.
+   */
+  async function storeReaction(reaction, user, added) {
+    const eventName = added ? 'messageReactionAdd' : 'messageReactionRemove';
+    const full = reaction.partial ? await reaction.fetch() : reaction;
+    const message = full.message.partial ? await full.message.fetch() : full.message;
+    if (!isTracked(message.channel)) return;
+
+    if (!getMessage(db, message.id)) {
+      storeMessage(message);
+    } else {
+      const data = formatReactionData(full, message.id);
+      const reactor = user.partial ? await user.fetch() : user;
+
+      db.transaction(() => {
+        const stored = getReaction(db, message.id, data.emoji);
+        const wasComplete = Boolean(stored?.users_fetched_at) &&
+          stored.count === data.count + (added ? -1 : 1);
+
+        if (data.count > 0) {
+          upsertReaction(db, data);
+        } else {
+          deleteReaction(db, message.id, data.emoji);
+        }
+
+        if (added) {
+          upsertUser(db, formatUserData(reactor));
+          addReactionUser(db, message.id, data.emoji, reactor.id);
+        } else {
+          removeReactionUser(db, message.id, data.emoji, reactor.id);
+        }
+
+        if (wasComplete && data.count > 0) {
+          markReactionUsersFetched(db, message.id, data.emoji);
+        }
+        updateMessageReactionCount(db, message.id);
+      })();
+    }
+
+    onEvent(eventName, { channelId: message.channelId, messageId: message.id });
+  }
+
+  const wrapped = Object.entries(handlers).map(([event, handler]) => {
+    const listener = (...args) => {
+      Promise.resolve()
+        .then(() => handler(...args))
+        .catch((error) => onError(event, error));
+    };
+    client.on(event, listener);
+    return [event, listener];
+  });
+
+  return () => {
+    for (const [event, listener] of wrapped) {
+      client.off(event, listener);
+    }
+  };
+}
+
+export default { attachListeners };
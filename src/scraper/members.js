@@ -0,0 +1,144 @@
+import { PermissionFlagsBits } from 'discord.js';
+import { globToRegExp, formatUserData } from './client.js';
+import { withRetry } from './ratelimit.js';
+
+// Discord error code for a user who is not (or no longer) in the guild
+const UNKNOWN_MEMBER = 10007;
+
+/**
+ * Work out which author flag, if any, a role carries.
+ * Roles are matched by ID or name glob against discord.roleFlags, checked in
+ * config order. Roles with Administrator or Manage Messages that match nothing
+ * count as moderators.
+ * @param {Role} role - Discord role.
+ * @param {Object} [roleFlags={}] - Map of flag → role IDs or name globs.
+ * @returns {string|null} Flag such as 'team', 'moderator' or 'partner'.
+ */
+export function resolveRoleFlag(role, roleFlags = {}) {
+  for (const [flag, patterns] of Object.entries(roleFlags)) {
+    for (const pattern of patterns) {
+      const value = String(pattern).trim();
+      if (!value) continue;
+      if (value === role.id || globToRegExp(value).test(role.name)) {
+        return flag;
+      }
+    }
+  }
+
+  if (!role.managed && (
+    role.permissions.has(PermissionFlagsBits.Administrator) ||
+    role.permissions.has(PermissionFlagsBits.ManageMessages)
+  )) {
+    return 'moderator';
+  }
+
+  return null;
+}
+
+/**
+ * Format role data for database storage.
+ * @param {Role} role - Discord role.
+ * @param {Object} [roleFlags] - Map of flag → role IDs or name globs.
+ * @returns {Object} Formatted role data.
+ */
+export function formatRoleData(role, roleFlags) {
+  return {
+    id: role.id,
+    guild_id: role.guild.id,
+    name: role.name,
+    color: role.color,
+    position: role.position,
+    permissions: role.permissions.bitfield.toString(),
+    is_hoisted: role.hoist ? 1 : 0,
+    is_managed: role.managed ? 1 : 0,
+    flag: resolveRoleFlag(role, roleFlags),
+  };
+}
+
+/**
+ * Format a guild member for database storage.
+ * The @everyone role is left out since every member has it.
+ * @param {GuildMember} member - Discord guild member.
+ * @returns {Object} { user, member } ready for upsertUser and upsertGuildMember.
+ */
+export function formatMemberData(member) {
+  return {
+    user: formatUserData(member.user),
+    member: {
+      guild_id: member.guild.id,
+      user_id: member.id,
+      nickname: member.nickname || null,
+      joined_at: member.joinedAt?.toISOString() || null,
+      role_ids: member.roles.cache
+        .filter(role => role.id !== member.guild.id)
+        .map(role => role.id),
+    },
+  };
+}
+
+/**
+ * Fetch all roles in a guild, excluding @everyone.
+ * @param {Guild} guild - Discord guild.
+ * @returns {Promise<Role[]>} Roles, highest first.
+ */
+export async function fetchRoles(guild) {
+  const roles = await guild.roles.fetch();
+  return Array.from(roles.values())
+    .filter(role => role.id !== guild.id)
+    .sort((a, b) => b.position - a.position);
+}
+
+/**
+ * Fetch every member of a guild over the gateway.
+ * Requires the privileged GuildMembers intent.
+ * @param {Guild} guild - Discord guild.
+ * @returns {Promise<GuildMember[]>} All members.
+ */
+export async function fetchAllMembers(guild) {
+  const members = await guild.members.fetch();
+  return Array.from(members.values());
+}
+
+/**
+ * Fetch members one at a time over REST, which works without the GuildMembers intent.
+ * Users who have left the guild are reported through onMissing instead.
+ * @param {Guild} guild - Discord guild.
+ * @param {string[]} userIds - Users to look up.
+ * @param {Object} [options] - Fetch options.
+ * @param {Object} [options.limiter] - Shared rate limiter.
+ * @param {Object} [options.retry] - Retry/backoff options.
+ * @param {Function} [options.onMissing] - Called with the ID of a user not in the guild.
+ * @yields {GuildMember} Each member found.
+ */
+export async function* fetchMembersById(guild, userIds, options = {}) {
+  const { limiter = null, retry = null, onMissing = null } = options;
+
+  for (const userId of userIds) {
+    if (limiter) await limiter.wait();
+
+    let member;
+    try {
+      member = await withRetry(
+        () => guild.members.fetch({ user: userId, force: true }),
+        { ...retry, limiter },
+      );
+    } catch (error) {
+      if (error.code === UNKNOWN_MEMBER || error.status === 404) {
+        if (onMissing) onMissing(userId);
+        continue;
+      }
+      throw error;
+    }
+
+    yield member;
+  }
+}
+
+export default {
+  resolveRoleFlag,
+  formatRoleData,
+  formatMemberData,
+  fetchRoles,
+  fetchAllMembers,
+  fetchMembersById,
+};
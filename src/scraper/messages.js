@@ -1,4 +1,7 @@
+import { MessageType } from 'discord.js';
 import { formatUserData } from './client.js';
+import { parseMessageContent } from './content.js';
+import { withRetry } from './ratelimit.js';
 
 const FETCH_LIMIT = 100; // Discord API max per request
 const DEFAULT_DELAY = 100; // ms between requests
@@ -11,6 +14,27 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Compare two Discord snowflake IDs numerically.
+ * Snowflakes are strings of varying length, so plain string comparison is wrong.
+ * @param {string} a - First snowflake.
+ * @param {string} b - Second snowflake.
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal.
+ */
+export function compareSnowflakes(a, b) {
+  const diff = BigInt(a) - BigInt(b);
+  return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+}
+
+/**
+ * Name of a stored message_type, e.g. 0 → "Default", 46 → "PollResult".
+ * @param {number} type - Discord message type.
+ * @returns {string} Type name, or "Unknown(<type>)" for types discord.js doesn't know.
+ */
+export function getMessageTypeName(type) {
+  return MessageType[type] ?? `Unknown(${type})`;
+}
+
 /**
  * Format a Discord message for storage.
  * @param {Message} message - The Discord message.
@@ -27,7 +51,7 @@ export function formatMessageData(message) {
     edited_timestamp: message.editedAt?.toISOString() || null,
     message_type: message.type,
     reference_id: message.reference?.messageId || null,
-    thread_id: message.thread?.id || null,
+    thread_id: message.thread?.id || (message.channel.isThread() ? message.channel.id : null),
     has_embeds: message.embeds.length > 0 ? 1 : 0,
     has_attachments: message.attachments.size > 0 ? 1 : 0,
     reaction_count: message.reactions.cache.reduce((sum, r) => sum + r.count, 0),
@@ -93,16 +117,158 @@ export function formatReactionData(reaction, messageId) {
   };
 }
 
+/**
+ * Format a message's poll with its answers for storage.
+ * @param {Poll} poll - The Discord poll.
+ * @param {string} messageId - The parent message ID.
+ * @returns {Object} Poll data with an answers array, formatted for database.
+ */
+export function formatPollData(poll, messageId) {
+  const answers = Array.from(poll.answers.values()).map(answer => ({
+    message_id: messageId,
+    answer_id: answer.id,
+    text: answer.text,
+    emoji: answer.emoji ? (answer.emoji.id || answer.emoji.name) : null,
+    vote_count: answer.voteCount ?? 0,
+  }));
+
+  return {
+    message_id: messageId,
+    question: poll.question.text,
+    allow_multiselect: poll.allowMultiselect ? 1 : 0,
+    expires_at: poll.expiresAt?.toISOString() || null,
+    is_finalized: poll.resultsFinalized ? 1 : 0,
+    total_votes: answers.reduce((sum, answer) => sum + answer.vote_count, 0),
+    answers,
+  };
+}
+
+/**
+ * Format a message together with its related entities.
+ * @param {Message} message - The Discord message.
+ * @returns {Object} { message, user, embeds, attachments, reactions, poll, pinned, parsed } for storage.
+ */
+export function formatMessageBundle(message) {
+  const messageData = formatMessageData(message);
+  const userData = formatUserData(message.author);
+
+  // Collect embeds
+  const embeds = message.embeds.map(embed => formatEmbedData(embed, message.id));
+
+  // Collect attachments
+  const attachments = Array.from(message.attachments.values()).map(att => ({
+    ...formatAttachmentData(att),
+    message_id: message.id,
+  }));
+
+  // Collect reactions
+  const reactions = Array.from(message.reactions.cache.values()).map(
+    reaction => formatReactionData(reaction, message.id)
+  );
+
+  return {
+    message: messageData,
+    user: userData,
+    embeds,
+    attachments,
+    reactions,
+    poll: message.poll ? formatPollData(message.poll, message.id) : null,
+    pinned: message.pinned ?? null,
+    parsed: parseMessageContent(message.content),
+  };
+}
+
+/**
+ * Fetch every pinned message of a channel.
+ * Pinned messages come without reaction data, so store them with
+ * insertMessageBundle() rather than overwriting a fuller stored copy.
+ * @param {TextChannel} channel - The Discord channel or thread.
+ * @param {Object} [options] - Fetch options.
+ * @param {Object} [options.limiter] - Shared rate limiter awaited before every request.
+ * @param {Object} [options.retry] - Retry options for failed requests, see withRetry().
+ * @returns {Promise<Object[]>} { bundle, pinned_at } per pin, newest pin first.
+ */
+export async function fetchPins(channel, options = {}) {
+  const { limiter = null, retry = {} } = options;
+
+  const pins = [];
+  let before = null;
+
+  while (true) {
+    const page = await withRetry(async () => {
+      if (limiter) await limiter.wait();
+      return channel.messages.fetchPins({ limit: 50, ...(before && { before }) });
+    }, { ...retry, limiter });
+
+    for (const item of page.items) {
+      pins.push({
+        bundle: formatMessageBundle(item.message),
+        pinned_at: item.pinnedAt.toISOString(),
+      });
+    }
+
+    if (!page.hasMore || page.items.length === 0) break;
+    before = page.items[page.items.length - 1].pinnedTimestamp;
+  }
+
+  return pins;
+}
+
+/**
+ * Fetch every user who reacted with one emoji, paging through the reaction's users.
+ * @param {MessageReaction} reaction - The Discord reaction.
+ * @param {Object} [options] - Fetch options.
+ * @param {Object} [options.limiter] - Shared rate limiter awaited before every request.
+ * @param {Object} [options.retry] - Retry options for failed requests, see withRetry().
+ * @returns {Promise<Object[]>} Users formatted for database storage.
+ */
+export async function fetchReactionUsers(reaction, options = {}) {
+  const { limiter = null, retry = {} } = options;
+
+  const users = [];
+  let after = null;
+
+  while (true) {
+    const page = await withRetry(async () => {
+      if (limiter) await limiter.wait();
+      return reaction.users.fetch({ limit: FETCH_LIMIT, ...(after && { after }) });
+    }, { ...retry, limiter });
+
+    users.push(...Array.from(page.values()).map(formatUserData));
+
+    if (page.size < FETCH_LIMIT) break;
+    after = page.lastKey();
+  }
+
+  return users;
+}
+
 /**
  * Fetch all messages from a channel with pagination.
+ *
+ * Two directions are supported:
+ * - Backward (default, or when `before` is set): pages from the newest message
+ *   (or `before`) towards the channel start, newest first. `after`, if also set,
+ *   is a lower bound the walk never crosses.
+ * - Forward (when only `after` is set): pages from `after` towards the present,
+ *   oldest first, and stops at the newest message. Used for incremental scrapes.
+ *
  * @param {TextChannel} channel - The Discord channel.
  * @param {Object} options - Fetch options.
  * @param {string} [options.before] - Fetch messages before this ID.
  * @param {string} [options.after] - Fetch messages after this ID.
  * @param {number} [options.limit] - Maximum messages to fetch (null for all).
+ * @param {number} [options.since] - Ignore messages older than this epoch ms (null for no cutoff).
  * @param {number} [options.delay] - Delay between requests in ms.
+ * @param {Object} [options.limiter] - Shared rate limiter awaited before every request.
+ * @param {Object} [options.retry] - Retry options for failed requests, see withRetry().
+ * @param {Function} [options.reactionUsers] - Predicate given each formatted reaction;
+ *   the users of matching reactions are fetched into the bundle's reactionUsers.
+ *   Costs one or more requests per reaction, so leave unset unless needed.
  * @param {Function} [options.onBatch] - Callback for each batch of messages.
  * @param {Function} [options.onProgress] - Progress callback (current, total estimate).
+ * @param {Function} [options.onPage] - Called after each page has been consumed with
+ *   { oldestId, newestId, fetched } so callers can checkpoint their position.
  * @returns {AsyncGenerator<Object>} Yields formatted message data with related entities.
  */
 export async function* fetchMessages(channel, options = {}) {
@@ -110,14 +276,23 @@ export async function* fetchMessages(channel, options = {}) {
     before = null,
     after = null,
     limit = null,
+    since = null,
     delay = DEFAULT_DELAY,
+    limiter = null,
+    retry = {},
+    reactionUsers = null,
     onBatch = null,
     onProgress = null,
+    onPage = null,
   } = options;
 
+  const forward = Boolean(after) && !before;
+
   let fetchedCount = 0;
-  let lastId = before;
+  let cursor = forward ? after : before;
   let hasMore = true;
+  let oldestId = null;
+  let newestId = null;
 
   while (hasMore) {
     // Check limit
@@ -125,23 +300,26 @@ export async function* fetchMessages(channel, options = {}) {
 
     // Build fetch options
     const fetchOptions = { limit: FETCH_LIMIT };
-    if (lastId) {
-      fetchOptions.before = lastId;
-    } else if (after) {
-      fetchOptions.after = after;
+    if (forward) {
+      fetchOptions.after = cursor;
+    } else if (cursor) {
+      fetchOptions.before = cursor;
     }
 
-    // Fetch batch
-    const messages = await channel.messages.fetch(fetchOptions);
+    // Fetch batch (waiting for our turn in the shared budget, retrying transient failures)
+    const messages = await withRetry(async () => {
+      if (limiter) await limiter.wait();
+      return channel.messages.fetch(fetchOptions);
+    }, { ...retry, limiter });
 
     if (messages.size === 0) {
       hasMore = false;
       break;
     }
 
-    // Process messages (convert to array and sort by timestamp descending)
-    const messageArray = Array.from(messages.values()).sort(
-      (a, b) => b.createdTimestamp - a.createdTimestamp
+    // Sort in paging order: oldest first going forward, newest first going backward
+    const messageArray = Array.from(messages.values()).sort((a, b) =>
+      forward ? compareSnowflakes(a.id, b.id) : compareSnowflakes(b.id, a.id)
     );
 
     // Callback for batch
@@ -156,32 +334,39 @@ export async function* fetchMessages(channel, options = {}) {
         break;
       }
 
-      const messageData = formatMessageData(message);
-      const userData = formatUserData(message.author);
+      if (since && message.createdTimestamp < since) {
+        // Going forward, newer messages follow; going backward, everything left is older
+        if (forward) continue;
+        hasMore = false;
+        break;
+      }
 
-      // Collect embeds
-      const embeds = message.embeds.map(embed => formatEmbedData(embed, message.id));
+      // Lower bound: never walk back past the message we started after
+      if (!forward && after && compareSnowflakes(message.id, after) <= 0) {
+        hasMore = false;
+        break;
+      }
 
-      // Collect attachments
-      const attachments = Array.from(message.attachments.values()).map(att => ({
-        ...formatAttachmentData(att),
-        message_id: message.id,
-      }));
+      const bundle = formatMessageBundle(message);
 
-      // Collect reactions
-      const reactions = Array.from(message.reactions.cache.values()).map(
-        reaction => formatReactionData(reaction, message.id)
-      );
+      if (reactionUsers) {
+        bundle.reactionUsers = [];
+        for (const reaction of message.reactions.cache.values()) {
+          const data = formatReactionData(reaction, message.id);
+          if (!reactionUsers(data)) continue;
+          bundle.reactionUsers.push({
+            emoji: data.emoji,
+            users: await fetchReactionUsers(reaction, { limiter, retry }),
+          });
+        }
+      }
 
-      yield {
-        message: messageData,
-        user: userData,
-        embeds,
-        attachments,
-        reactions,
-      };
+      yield bundle;
 
       fetchedCount++;
+
+      if (!oldestId || compareSnowflakes(message.id, oldestId) < 0) oldestId = message.id;
+      if (!newestId || compareSnowflakes(message.id, newestId) > 0) newestId = message.id;
     }
 
     // Progress callback
@@ -189,10 +374,15 @@ export async function* fetchMessages(channel, options = {}) {
       onProgress(fetchedCount);
     }
 
-    // Update lastId for pagination
-    lastId = messageArray[messageArray.length - 1].id;
+    // Checkpoint callback (every yielded message of this page has been consumed)
+    if (onPage && oldestId) {
+      await onPage({ oldestId, newestId, fetched: fetchedCount });
+    }
+
+    // Advance the cursor past this page
+    cursor = messageArray[messageArray.length - 1].id;
 
-    // Check if we got fewer messages than requested (end of channel)
+    // Check if we got fewer messages than requested (end of channel, or caught up to the present)
     if (messages.size < FETCH_LIMIT) {
       hasMore = false;
     }
@@ -236,10 +426,16 @@ export async function getLatestMessageId(channel) {
 }
 
 export default {
+  compareSnowflakes,
+  getMessageTypeName,
   formatMessageData,
   formatEmbedData,
   formatAttachmentData,
   formatReactionData,
+  formatPollData,
+  formatMessageBundle,
+  fetchReactionUsers,
+  fetchPins,
   fetchMessages,
   estimateMessageCount,
   getLatestMessageId,
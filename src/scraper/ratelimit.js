@@ -0,0 +1,180 @@
+/**
+ * Shared request pacing and retry for concurrent Discord scraping.
+ *
+ * discord.js already queues requests per rate-limit bucket and waits out
+ * route-level 429s on its own. This adds what it doesn't: a minimum spacing
+ * between requests across all scraping workers, a global pause when Discord
+ * reports a global rate limit, and retry with backoff for transient failures.
+ */
+
+/**
+ * Sleep for a specified number of milliseconds.
+ * @param {number} ms - Milliseconds to sleep.
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a rate limiter shared by every worker.
+ * @param {Object} options - Limiter options.
+ * @param {number} [options.minIntervalMs=0] - Minimum time between any two requests.
+ * @returns {Object} Limiter with wait(), pause() and getStats() methods.
+ */
+export function createRateLimiter(options = {}) {
+  const { minIntervalMs = 0 } = options;
+
+  let nextSlot = 0;
+  let pausedUntil = 0;
+  const stats = { requests: 0, pauses: 0, pausedMs: 0 };
+
+  return {
+    /**
+     * Wait for this caller's turn. Slots are handed out in call order.
+     */
+    wait: async () => {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot, pausedUntil);
+      nextSlot = slot + minIntervalMs;
+      stats.requests++;
+
+      if (slot > now) {
+        await sleep(slot - now);
+      }
+    },
+
+    /**
+     * Hold every worker back for a while (e.g. after a global 429).
+     * @param {number} ms - Milliseconds to pause.
+     */
+    pause: (ms) => {
+      if (!ms || ms <= 0) return;
+      const until = Date.now() + ms;
+      if (until > pausedUntil) {
+        pausedUntil = until;
+        stats.pauses++;
+        stats.pausedMs += ms;
+      }
+    },
+
+    getStats: () => ({ ...stats }),
+  };
+}
+
+/**
+ * Work out how long Discord asked us to wait, if it did.
+ * @param {Error} error - Error thrown by discord.js.
+ * @returns {number|null} Milliseconds to wait, or null if not given.
+ */
+export function getRetryAfterMs(error) {
+  // RateLimitError (when rejectOnRateLimit is set) carries milliseconds
+  if (typeof error.retryAfter === 'number') return error.retryAfter;
+
+  // DiscordAPIError keeps the 429 body, where retry_after is in seconds
+  if (typeof error.rawError?.retry_after === 'number') {
+    return Math.ceil(error.rawError.retry_after * 1000);
+  }
+
+  const header = error.headers?.get?.('retry-after') ?? error.headers?.['retry-after'];
+  if (header) return Math.ceil(Number(header) * 1000);
+
+  return null;
+}
+
+/**
+ * Check whether a failed Discord request is worth retrying.
+ * @param {Error} error - Error thrown by discord.js.
+ * @returns {boolean} True for rate limits, server errors and network failures.
+ */
+export function isRetryableError(error) {
+  const status = error.status ?? error.httpStatus;
+  return (
+    status === 429 ||
+    (status >= 500 && status < 600) ||
+    error.name === 'RateLimitError' ||
+    error.name === 'AbortError' ||
+    error.code === 'ECONNRESET' ||
+    error.code === 'ETIMEDOUT' ||
+    error.code === 'EAI_AGAIN' ||
+    error.code === 'UND_ERR_SOCKET'
+  );
+}
+
+/**
+ * Run a Discord request with retry and exponential backoff.
+ * A 429 waits at least as long as Discord's retry_after and pauses the shared limiter.
+ * @param {Function} fn - Async function performing the request.
+ * @param {Object} options - Retry options.
+ * @param {number} [options.retryAttempts=3] - Total attempts before giving up.
+ * @param {number} [options.retryDelayMs=1000] - Delay before the first retry.
+ * @param {number} [options.backoffMultiplier=2] - Delay multiplier per attempt.
+ * @param {number} [options.maxDelayMs=60000] - Upper bound for a single backoff.
+ * @param {Object} [options.limiter] - Shared limiter to pause on rate limits.
+ * @param {Function} [options.onRetry] - Called with (attempt, delayMs, error) before waiting.
+ * @returns {Promise<*>} Result of fn.
+ */
+export async function withRetry(fn, options = {}) {
+  const {
+    retryAttempts = 3,
+    retryDelayMs = 1000,
+    backoffMultiplier = 2,
+    maxDelayMs = 60000,
+    limiter = null,
+    onRetry = null,
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!isRetryableError(error) || attempt >= retryAttempts) {
+        throw error;
+      }
+
+      const backoff = Math.min(retryDelayMs * Math.pow(backoffMultiplier, attempt - 1), maxDelayMs);
+      const retryAfter = getRetryAfterMs(error);
+      const delay = Math.round(Math.max(backoff, retryAfter || 0) + backoff * 0.1 * Math.random());
+
+      if (retryAfter && limiter) {
+        limiter.pause(retryAfter);
+      }
+
+      if (onRetry) {
+        onRetry(attempt, delay, error);
+      }
+
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Run an async worker over items with at most `concurrency` in flight.
+ * Results keep the input order; a rejected worker rejects the whole run.
+ * @param {Array} items - Items to process.
+ * @param {number} concurrency - Maximum parallel workers.
+ * @param {Function} worker - Async function (item, index) => result.
+ * @returns {Promise<Array>} Results in input order.
+ */
+export async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+export default {
+  createRateLimiter,
+  getRetryAfterMs,
+  isRetryableError,
+  withRetry,
+  runPool,
+};
@@ -112,7 +112,7 @@ export function initDatabase(dbPath = './data/discord.db') {
 export function getDatabaseStats(database) {
   const stats = {};
 
-  const tables = ['guilds', 'channels', 'users', 'messages', 'embeds', 'attachments', 'reactions'];
+  const tables = ['guilds', 'channels', 'users', 'messages', 'embeds', 'attachments', 'reactions', 'reaction_users', 'emojis', 'pinned_messages', 'scheduled_events', 'polls', 'message_mentions', 'message_links'];
 
   for (const table of tables) {
     try {
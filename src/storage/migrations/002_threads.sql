@@ -0,0 +1,10 @@
+-- Threads and forum posts
+-- Threads are stored as channels (type 10/11/12) linked to their parent via parent_id
+
+ALTER TABLE channels ADD COLUMN is_archived INTEGER DEFAULT 0;
+ALTER TABLE channels ADD COLUMN owner_id TEXT;          -- Thread creator
+ALTER TABLE channels ADD COLUMN applied_tags TEXT;      -- JSON array of forum tag names (threads)
+ALTER TABLE channels ADD COLUMN available_tags TEXT;    -- JSON array of forum tag definitions (forums)
+
+CREATE INDEX IF NOT EXISTS idx_channels_parent ON channels(parent_id);
+CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages(thread_id);
@@ -0,0 +1,21 @@
+-- Per-channel scrape progress for resumable syncs
+-- A row is checkpointed after every fetched page so an interrupted sync can resume mid-channel
+
+ALTER TABLE sync_state ADD COLUMN options_json TEXT;    -- Limits/cutoffs the sync was started with
+ALTER TABLE sync_state ADD COLUMN updated_at TEXT;
+
+CREATE TABLE IF NOT EXISTS sync_channel_progress (
+    sync_id INTEGER NOT NULL REFERENCES sync_state(id) ON DELETE CASCADE,
+    channel_id TEXT NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+    status TEXT DEFAULT 'in_progress', -- 'in_progress', 'completed', 'failed'
+    after_message_id TEXT,             -- Lower bound: only messages newer than this are wanted
+    oldest_message_id TEXT,            -- Backfill cursor: oldest message stored so far
+    newest_message_id TEXT,            -- Newest message stored so far
+    messages_processed INTEGER DEFAULT 0,
+    error_message TEXT,
+    started_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (sync_id, channel_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_channel_progress_status ON sync_channel_progress(status);
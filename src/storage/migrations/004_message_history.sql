@@ -0,0 +1,22 @@
+-- Message edit history and deletion tombstones
+-- Extracts built from a message that was later edited or deleted are flagged for review
+
+-- Previous versions of a message's content (the current version stays in messages)
+CREATE TABLE IF NOT EXISTS message_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    content TEXT,
+    clean_content TEXT,
+    edited_timestamp TEXT,            -- When this version was written (NULL = original post)
+    replaced_at TEXT NOT NULL,        -- When this version was superseded
+    recorded_at TEXT DEFAULT (datetime('now'))
+);
+
+ALTER TABLE messages ADD COLUMN deleted_at TEXT;             -- Set when Discord no longer has the message
+
+ALTER TABLE marketing_extracts ADD COLUMN source_status TEXT; -- NULL, 'edited' or 'deleted'
+ALTER TABLE marketing_extracts ADD COLUMN source_status_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_message_revisions_message ON message_revisions(message_id);
+CREATE INDEX IF NOT EXISTS idx_messages_deleted ON messages(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_marketing_extracts_source ON marketing_extracts(source_type, source_id);
@@ -0,0 +1,36 @@
+-- Guild roles and member role assignments
+-- Lets the AI stages tell team members, moderators and partners from the wider community
+
+CREATE TABLE IF NOT EXISTS roles (
+    id TEXT PRIMARY KEY,              -- Discord snowflake ID
+    guild_id TEXT NOT NULL REFERENCES guilds(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    color INTEGER,
+    position INTEGER,
+    permissions TEXT,                 -- Permission bitfield as a decimal string
+    is_hoisted INTEGER DEFAULT 0,
+    is_managed INTEGER DEFAULT 0,     -- Bot/integration-managed role
+    flag TEXT,                        -- 'team', 'moderator', 'partner' (from discord.roleFlags)
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS guild_members (
+    guild_id TEXT NOT NULL REFERENCES guilds(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    nickname TEXT,
+    joined_at TEXT,
+    left_at TEXT,                     -- Set when the member is no longer in the guild
+    updated_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (guild_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS member_roles (
+    guild_id TEXT NOT NULL REFERENCES guilds(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role_id TEXT NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    PRIMARY KEY (guild_id, user_id, role_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_roles_guild ON roles(guild_id);
+CREATE INDEX IF NOT EXISTS idx_member_roles_user ON member_roles(user_id);
@@ -0,0 +1,33 @@
+-- Per-user reactions and the guild custom emoji catalog
+-- Engagement excludes the author's own reactions and reactions from bots
+
+CREATE TABLE IF NOT EXISTS reaction_users (
+    message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    emoji TEXT NOT NULL,              -- Matches reactions.emoji
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    PRIMARY KEY (message_id, emoji, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reaction_users_user ON reaction_users(user_id);
+
+-- Set when reaction_users holds the complete list of users for this emoji
+ALTER TABLE reactions ADD COLUMN users_fetched_at TEXT;
+
+-- Reactions from people other than the author, excluding bots. Emojis whose
+-- users were never fetched contribute their raw count.
+ALTER TABLE messages ADD COLUMN engagement_count INTEGER DEFAULT 0;
+UPDATE messages SET engagement_count = reaction_count;
+
+CREATE TABLE IF NOT EXISTS emojis (
+    id TEXT PRIMARY KEY,              -- Discord snowflake ID
+    guild_id TEXT NOT NULL REFERENCES guilds(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    image_url TEXT,
+    is_animated INTEGER DEFAULT 0,
+    is_managed INTEGER DEFAULT 0,     -- Provided by an integration (e.g. Twitch)
+    is_available INTEGER DEFAULT 1,   -- False when lost to a boost level drop
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_emojis_guild ON emojis(guild_id);
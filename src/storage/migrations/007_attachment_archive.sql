@@ -0,0 +1,12 @@
+-- Local archive of attachment files
+-- Discord CDN URLs expire, so files are downloaded into a content-addressed store
+
+ALTER TABLE attachments ADD COLUMN download_status TEXT;     -- NULL (pending), 'downloaded', 'skipped', 'failed'
+ALTER TABLE attachments ADD COLUMN download_error TEXT;      -- Reason for 'skipped' or 'failed'
+ALTER TABLE attachments ADD COLUMN download_attempts INTEGER DEFAULT 0;
+ALTER TABLE attachments ADD COLUMN sha256 TEXT;              -- Hex digest of the file contents
+ALTER TABLE attachments ADD COLUMN local_path TEXT;          -- Path inside the archive directory
+ALTER TABLE attachments ADD COLUMN downloaded_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_attachments_download_status ON attachments(download_status);
+CREATE INDEX IF NOT EXISTS idx_attachments_sha256 ON attachments(sha256);
@@ -0,0 +1,16 @@
+-- Key marketing extracts by guild so several servers can share one database
+
+ALTER TABLE marketing_extracts ADD COLUMN guild_id TEXT REFERENCES guilds(id);
+
+-- Existing extracts come from messages; their guild is the source channel's
+UPDATE marketing_extracts
+SET guild_id = (
+    SELECT c.guild_id
+    FROM messages m
+    JOIN channels c ON c.id = m.channel_id
+    WHERE m.id = marketing_extracts.source_id
+)
+WHERE source_type = 'message';
+
+CREATE INDEX IF NOT EXISTS idx_marketing_extracts_guild ON marketing_extracts(guild_id);
+CREATE INDEX IF NOT EXISTS idx_sync_state_guild ON sync_state(guild_id);
@@ -0,0 +1,55 @@
+-- Pinned messages, guild scheduled events and polls
+
+-- Pins per channel; a removed pin keeps its row with unpinned_at set
+CREATE TABLE IF NOT EXISTS pinned_messages (
+    message_id TEXT PRIMARY KEY REFERENCES messages(id),
+    channel_id TEXT NOT NULL REFERENCES channels(id),
+    pinned_at TEXT,                   -- When it was pinned, or first seen pinned
+    unpinned_at TEXT,
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Guild scheduled events (AMAs, community calls, stage events)
+CREATE TABLE IF NOT EXISTS scheduled_events (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL REFERENCES guilds(id),
+    channel_id TEXT,                  -- Stage/voice channel; NULL for external events
+    creator_id TEXT,
+    name TEXT NOT NULL,
+    description TEXT,
+    scheduled_start_at TEXT NOT NULL,
+    scheduled_end_at TEXT,
+    status TEXT,                      -- 'scheduled', 'active', 'completed', 'canceled'
+    entity_type TEXT,                 -- 'stage_instance', 'voice', 'external'
+    location TEXT,                    -- External events only
+    user_count INTEGER,               -- Members interested
+    image_url TEXT,
+    url TEXT,
+    created_at TEXT,
+    deleted_at TEXT,
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Polls attached to messages, with their answers and vote counts
+CREATE TABLE IF NOT EXISTS polls (
+    message_id TEXT PRIMARY KEY REFERENCES messages(id),
+    question TEXT,
+    allow_multiselect INTEGER DEFAULT 0,
+    expires_at TEXT,
+    is_finalized INTEGER DEFAULT 0,   -- Vote counts are final
+    total_votes INTEGER DEFAULT 0,
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS poll_answers (
+    message_id TEXT NOT NULL REFERENCES polls(message_id),
+    answer_id INTEGER NOT NULL,
+    text TEXT,
+    emoji TEXT,
+    vote_count INTEGER DEFAULT 0,
+    PRIMARY KEY (message_id, answer_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pinned_messages_channel ON pinned_messages(channel_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_events_guild ON scheduled_events(guild_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_events_start ON scheduled_events(scheduled_start_at);
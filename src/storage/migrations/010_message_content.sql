@@ -0,0 +1,40 @@
+-- References parsed out of message content at scrape time
+-- Rows are replaced whenever the message is stored again (edits included)
+
+-- <@user>, <@&role> and <#channel> mentions
+CREATE TABLE IF NOT EXISTS message_mentions (
+    message_id TEXT NOT NULL REFERENCES messages(id),
+    mention_type TEXT NOT NULL,       -- 'user', 'role', 'channel'
+    target_id TEXT NOT NULL,
+    PRIMARY KEY (message_id, mention_type, target_id)
+);
+
+CREATE TABLE IF NOT EXISTS message_links (
+    message_id TEXT NOT NULL REFERENCES messages(id),
+    url TEXT NOT NULL,
+    domain TEXT NOT NULL,             -- Lowercased host without "www."
+    PRIMARY KEY (message_id, url)
+);
+
+-- Fenced ``` code blocks
+CREATE TABLE IF NOT EXISTS message_code_blocks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message_id TEXT NOT NULL REFERENCES messages(id),
+    language TEXT,
+    code TEXT NOT NULL
+);
+
+-- Stacks identifiers
+CREATE TABLE IF NOT EXISTS message_entities (
+    message_id TEXT NOT NULL REFERENCES messages(id),
+    entity_type TEXT NOT NULL,        -- 'address', 'contract', 'txid'
+    value TEXT NOT NULL,              -- SP.../ST... address, <address>.<name>, 0x<64 hex>
+    PRIMARY KEY (message_id, entity_type, value)
+);
+
+ALTER TABLE messages ADD COLUMN content_parsed_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_message_mentions_target ON message_mentions(mention_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_message_links_domain ON message_links(domain);
+CREATE INDEX IF NOT EXISTS idx_message_code_blocks_message ON message_code_blocks(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_entities_value ON message_entities(entity_type, value);
@@ -0,0 +1,106 @@
+-- Full-text search over message content, embed titles/descriptions and extracts
+-- search_documents maps each FTS row (rowid = search_documents.id) back to its
+-- source; triggers keep both tables in sync with the source tables
+
+CREATE TABLE IF NOT EXISTS search_documents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL,               -- 'message', 'embed', 'extract'
+    ref_id TEXT NOT NULL,             -- messages.id, embeds.id or marketing_extracts.id
+    message_id TEXT,                  -- Message the document belongs to, null for non-message extracts
+    UNIQUE(kind, ref_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_documents_message ON search_documents(message_id);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+    title,
+    body,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Messages
+CREATE TRIGGER IF NOT EXISTS search_messages_insert AFTER INSERT ON messages
+BEGIN
+    INSERT INTO search_documents (kind, ref_id, message_id) VALUES ('message', new.id, new.id);
+    INSERT INTO search_index (rowid, title, body)
+    VALUES ((SELECT id FROM search_documents WHERE kind = 'message' AND ref_id = new.id), NULL, new.clean_content);
+END;
+
+-- Re-scrapes rewrite clean_content unchanged, so only reindex real edits
+CREATE TRIGGER IF NOT EXISTS search_messages_update AFTER UPDATE OF clean_content ON messages
+WHEN old.clean_content IS NOT new.clean_content
+BEGIN
+    UPDATE search_index SET body = new.clean_content
+    WHERE rowid = (SELECT id FROM search_documents WHERE kind = 'message' AND ref_id = new.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_messages_delete AFTER DELETE ON messages
+BEGIN
+    DELETE FROM search_index
+    WHERE rowid = (SELECT id FROM search_documents WHERE kind = 'message' AND ref_id = old.id);
+    DELETE FROM search_documents WHERE kind = 'message' AND ref_id = old.id;
+END;
+
+-- Embeds (replaced wholesale whenever their message is stored again)
+CREATE TRIGGER IF NOT EXISTS search_embeds_insert AFTER INSERT ON embeds
+WHEN new.title IS NOT NULL OR new.description IS NOT NULL
+BEGIN
+    INSERT INTO search_documents (kind, ref_id, message_id) VALUES ('embed', new.id, new.message_id);
+    INSERT INTO search_index (rowid, title, body)
+    VALUES ((SELECT id FROM search_documents WHERE kind = 'embed' AND ref_id = CAST(new.id AS TEXT)), new.title, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_embeds_delete AFTER DELETE ON embeds
+BEGIN
+    DELETE FROM search_index
+    WHERE rowid = (SELECT id FROM search_documents WHERE kind = 'embed' AND ref_id = CAST(old.id AS TEXT));
+    DELETE FROM search_documents WHERE kind = 'embed' AND ref_id = CAST(old.id AS TEXT);
+END;
+
+-- Marketing extracts
+CREATE TRIGGER IF NOT EXISTS search_extracts_insert AFTER INSERT ON marketing_extracts
+BEGIN
+    INSERT INTO search_documents (kind, ref_id, message_id)
+    VALUES ('extract', new.id, CASE WHEN new.source_type = 'message' THEN new.source_id END);
+    INSERT INTO search_index (rowid, title, body)
+    VALUES ((SELECT id FROM search_documents WHERE kind = 'extract' AND ref_id = CAST(new.id AS TEXT)), new.title, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_extracts_update AFTER UPDATE OF title, content ON marketing_extracts
+BEGIN
+    UPDATE search_index SET title = new.title, body = new.content
+    WHERE rowid = (SELECT id FROM search_documents WHERE kind = 'extract' AND ref_id = CAST(new.id AS TEXT));
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_extracts_delete AFTER DELETE ON marketing_extracts
+BEGIN
+    DELETE FROM search_index
+    WHERE rowid = (SELECT id FROM search_documents WHERE kind = 'extract' AND ref_id = CAST(old.id AS TEXT));
+    DELETE FROM search_documents WHERE kind = 'extract' AND ref_id = CAST(old.id AS TEXT);
+END;
+
+-- Index what is already stored
+INSERT INTO search_documents (kind, ref_id, message_id)
+SELECT 'message', id, id FROM messages;
+
+INSERT INTO search_documents (kind, ref_id, message_id)
+SELECT 'embed', id, message_id FROM embeds
+WHERE title IS NOT NULL OR description IS NOT NULL;
+
+INSERT INTO search_documents (kind, ref_id, message_id)
+SELECT 'extract', id, CASE WHEN source_type = 'message' THEN source_id END FROM marketing_extracts;
+
+INSERT INTO search_index (rowid, title, body)
+SELECT d.id, NULL, m.clean_content
+FROM search_documents d JOIN messages m ON m.id = d.ref_id
+WHERE d.kind = 'message';
+
+INSERT INTO search_index (rowid, title, body)
+SELECT d.id, e.title, e.description
+FROM search_documents d JOIN embeds e ON CAST(e.id AS TEXT) = d.ref_id
+WHERE d.kind = 'embed';
+
+INSERT INTO search_index (rowid, title, body)
+SELECT d.id, x.title, x.content
+FROM search_documents d JOIN marketing_extracts x ON CAST(x.id AS TEXT) = d.ref_id
+WHERE d.kind = 'extract';
@@ -0,0 +1,26 @@
+-- Ledger of LLM calls: one row per request sent, including failed attempts
+-- ai_processing rows point at the call that produced them and carry their share of its tokens
+
+CREATE TABLE IF NOT EXISTS ai_calls (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    stage TEXT,                       -- 'filter', 'categorize', 'summarize', 'extract', 'format'
+    provider TEXT NOT NULL,           -- ai.provider at the time of the call
+    model TEXT NOT NULL,              -- Model requested
+    model_used TEXT,                  -- Model the provider reports having answered with
+    request_hash TEXT NOT NULL,       -- sha256 of provider, model, settings and prompt
+    status TEXT NOT NULL,             -- 'ok', 'invalid_json' or 'error'
+    http_status INTEGER,
+    error TEXT,
+    tokens_in INTEGER DEFAULT 0,
+    tokens_out INTEGER DEFAULT 0,
+    tokens_estimated INTEGER DEFAULT 0, -- 1 when the provider reported no usage
+    cost_usd REAL DEFAULT 0,
+    latency_ms INTEGER,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_calls_created ON ai_calls(created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_calls_stage ON ai_calls(stage);
+CREATE INDEX IF NOT EXISTS idx_ai_calls_request_hash ON ai_calls(request_hash);
+
+ALTER TABLE ai_processing ADD COLUMN ai_call_id INTEGER REFERENCES ai_calls(id);
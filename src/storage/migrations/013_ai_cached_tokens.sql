@@ -0,0 +1,4 @@
+-- Prompt-cache hits are billed at a lower rate, so the ledger keeps them apart
+-- tokens_cached is the part of tokens_in that was read from the provider's cache
+
+ALTER TABLE ai_calls ADD COLUMN tokens_cached INTEGER DEFAULT 0;
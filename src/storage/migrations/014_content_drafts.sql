@@ -0,0 +1,23 @@
+-- Channel-ready drafts written by the format stage from extracts and summaries
+-- One draft per source and platform; reformatting a source replaces its drafts
+
+CREATE TABLE IF NOT EXISTS content_drafts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT REFERENCES guilds(id),
+    source_type TEXT NOT NULL,        -- 'marketing_extract', 'daily_summary', 'weekly_summary'
+    source_id TEXT NOT NULL,          -- marketing_extracts.id or the summary's ai_processing entity_id
+    platform TEXT NOT NULL,           -- 'x_thread', 'linkedin', 'newsletter', 'blog_outline'
+    title TEXT,
+    body TEXT NOT NULL,               -- Ready-to-paste text (thread posts separated by blank lines)
+    parts_json TEXT,                  -- JSON array of thread posts or outline sections
+    char_count INTEGER,
+    status TEXT DEFAULT 'draft',      -- 'draft', 'approved', 'published', 'rejected'
+    model_used TEXT,
+    ai_call_id INTEGER REFERENCES ai_calls(id),
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(source_type, source_id, platform)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_drafts_guild ON content_drafts(guild_id);
+CREATE INDEX IF NOT EXISTS idx_content_drafts_platform ON content_drafts(platform, status);
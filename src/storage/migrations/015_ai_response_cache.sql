@@ -0,0 +1,24 @@
+-- Validated LLM responses, reused when the same request is sent again
+-- Keyed by the ai_calls request hash (provider, model, settings and prompt) and the
+-- stage's response schema version, so a schema change never serves old responses
+
+CREATE TABLE IF NOT EXISTS ai_response_cache (
+    request_hash TEXT NOT NULL,
+    schema_version INTEGER NOT NULL,
+    stage TEXT NOT NULL,
+    model TEXT NOT NULL,              -- Model requested
+    model_used TEXT,                  -- Model that answered
+    response_json TEXT NOT NULL,      -- Parsed and validated response
+    tokens_in INTEGER DEFAULT 0,
+    tokens_out INTEGER DEFAULT 0,
+    cost_usd REAL DEFAULT 0,          -- What the original call cost; saved on every hit
+    ai_call_id INTEGER REFERENCES ai_calls(id),
+    hits INTEGER DEFAULT 0,
+    last_hit_at TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    expires_at TEXT,                  -- NULL never expires
+    PRIMARY KEY (request_hash, schema_version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_response_cache_stage ON ai_response_cache(stage);
+CREATE INDEX IF NOT EXISTS idx_ai_response_cache_expires ON ai_response_cache(expires_at);
@@ -0,0 +1,20 @@
+-- Dead-letter queue: entities a stage could not process even on their own
+-- Dead-lettered entities are left out of normal runs until retried or skipped
+-- with process failures
+
+CREATE TABLE IF NOT EXISTS ai_failures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    stage TEXT NOT NULL,
+    entity_type TEXT NOT NULL,        -- 'message'
+    entity_id TEXT NOT NULL,
+    error TEXT NOT NULL,              -- Last error
+    raw_response TEXT,                -- Response that failed to parse or validate, if any
+    ai_call_id INTEGER REFERENCES ai_calls(id),
+    attempts INTEGER DEFAULT 1,
+    status TEXT DEFAULT 'failed',     -- 'failed', 'skipped', 'resolved'
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(stage, entity_type, entity_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_failures_status ON ai_failures(stage, status);
@@ -2,6 +2,18 @@
  * Database repository functions for Discord data storage.
  */
 
+/**
+ * SQL condition limiting a channel ID column to channels of the given guilds.
+ * @param {string} column - Column holding a channel ID, e.g. "m.channel_id".
+ * @param {string[]} guildIds - Guild IDs.
+ * @param {Array} params - Query parameters; the guild IDs are appended.
+ * @returns {string} Condition starting with " AND".
+ */
+function guildChannelCondition(column, guildIds, params) {
+  params.push(...guildIds);
+  return ` AND ${column} IN (SELECT id FROM channels WHERE guild_id IN (${guildIds.map(() => '?').join(', ')}))`;
+}
+
 // =============================================================================
 // GUILDS
 // =============================================================================
@@ -23,23 +35,65 @@ export function getGuild(db, guildId) {
   return db.prepare('SELECT * FROM guilds WHERE id = ?').get(guildId);
 }
 
+export function getAllGuilds(db) {
+  return db.prepare('SELECT * FROM guilds ORDER BY name').all();
+}
+
+/**
+ * Per-guild record counts.
+ * @param {Database} db - Database connection.
+ * @returns {Object[]} { id, name, channels, messages, oldest, newest } per guild.
+ */
+export function getGuildStats(db) {
+  return db.prepare(`
+    SELECT
+      g.id,
+      g.name,
+      (SELECT COUNT(*) FROM channels c WHERE c.guild_id = g.id) AS channels,
+      COUNT(m.id) AS messages,
+      MIN(m.timestamp) AS oldest,
+      MAX(m.timestamp) AS newest
+    FROM guilds g
+    LEFT JOIN channels c ON c.guild_id = g.id
+    LEFT JOIN messages m ON m.channel_id = c.id
+    GROUP BY g.id
+    ORDER BY g.name
+  `).all();
+}
+
 // =============================================================================
 // CHANNELS
 // =============================================================================
 
 export function upsertChannel(db, channel) {
   const stmt = db.prepare(`
-    INSERT INTO channels (id, guild_id, name, type, parent_id, position, topic, updated_at)
-    VALUES (@id, @guild_id, @name, @type, @parent_id, @position, @topic, datetime('now'))
+    INSERT INTO channels (
+      id, guild_id, name, type, parent_id, position, topic,
+      is_archived, owner_id, applied_tags, available_tags, updated_at
+    )
+    VALUES (
+      @id, @guild_id, @name, @type, @parent_id, @position, @topic,
+      @is_archived, @owner_id, @applied_tags, @available_tags, datetime('now')
+    )
     ON CONFLICT(id) DO UPDATE SET
       name = excluded.name,
       type = excluded.type,
       parent_id = excluded.parent_id,
       position = excluded.position,
       topic = excluded.topic,
+      is_archived = excluded.is_archived,
+      owner_id = excluded.owner_id,
+      applied_tags = excluded.applied_tags,
+      available_tags = excluded.available_tags,
       updated_at = datetime('now')
   `);
-  return stmt.run(channel);
+  return stmt.run({
+    is_archived: 0,
+    owner_id: null,
+    applied_tags: null,
+    available_tags: null,
+    ...channel,
+  });
 }
 
 export function getChannel(db, channelId) {
@@ -50,6 +104,10 @@ export function getChannelsByGuild(db, guildId) {
   return db.prepare('SELECT * FROM channels WHERE guild_id = ? ORDER BY position').all(guildId);
 }
 
+export function getThreadsByParent(db, parentId) {
+  return db.prepare('SELECT * FROM channels WHERE parent_id = ? AND type IN (10, 11, 12) ORDER BY id').all(parentId);
+}
+
 export function getChannelLastScrapedId(db, channelId) {
   const row = db.prepare('SELECT last_scraped_message_id FROM channels WHERE id = ?').get(channelId);
   return row?.last_scraped_message_id || null;
@@ -99,11 +157,179 @@ export function getUser(db, userId) {
   return db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
 }
 
+// =============================================================================
+// ROLES & MEMBERS
+// =============================================================================
+
+export function upsertRole(db, role) {
+  const stmt = db.prepare(`
+    INSERT INTO roles (
+      id, guild_id, name, color, position, permissions, is_hoisted, is_managed, flag, updated_at
+    )
+    VALUES (
+      @id, @guild_id, @name, @color, @position, @permissions, @is_hoisted, @is_managed, @flag, datetime('now')
+    )
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name,
+      color = excluded.color,
+      position = excluded.position,
+      permissions = excluded.permissions,
+      is_hoisted = excluded.is_hoisted,
+      is_managed = excluded.is_managed,
+      flag = excluded.flag,
+      updated_at = datetime('now')
+  `);
+  return stmt.run(role);
+}
+
+export function getRolesByGuild(db, guildId) {
+  return db.prepare('SELECT * FROM roles WHERE guild_id = ? ORDER BY position DESC').all(guildId);
+}
+
+/**
+ * Store a member and replace their role assignments.
+ * @param {Database} db - Database connection.
+ * @param {Object} member - { guild_id, user_id, nickname, joined_at, role_ids }.
+ */
+export function upsertGuildMember(db, member) {
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO guild_members (guild_id, user_id, nickname, joined_at, left_at, updated_at)
+      VALUES (@guild_id, @user_id, @nickname, @joined_at, NULL, datetime('now'))
+      ON CONFLICT(guild_id, user_id) DO UPDATE SET
+        nickname = excluded.nickname,
+        joined_at = excluded.joined_at,
+        left_at = NULL,
+        updated_at = datetime('now')
+    `).run(member);
+
+    db.prepare('DELETE FROM member_roles WHERE guild_id = ? AND user_id = ?')
+      .run(member.guild_id, member.user_id);
+
+    const insertRole = db.prepare(`
+      INSERT OR IGNORE INTO member_roles (guild_id, user_id, role_id)
+      SELECT ?, ?, id FROM roles WHERE id = ?
+    `);
+    for (const roleId of member.role_ids) {
+      insertRole.run(member.guild_id, member.user_id, roleId);
+    }
+  })();
+}
+
+/**
+ * Mark a member as having left a guild and drop their role assignments there,
+ * so a former member no longer carries role flags into prompts.
+ * @param {Database} db - Database connection.
+ * @param {string} guildId - Guild ID.
+ * @param {string} userId - User ID.
+ */
+export function markGuildMemberLeft(db, guildId, userId) {
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO guild_members (guild_id, user_id, left_at, updated_at)
+      VALUES (?, ?, datetime('now'), datetime('now'))
+      ON CONFLICT(guild_id, user_id) DO UPDATE SET
+        left_at = COALESCE(left_at, datetime('now')),
+        updated_at = datetime('now')
+    `).run(guildId, userId);
+
+    db.prepare('DELETE FROM member_roles WHERE guild_id = ? AND user_id = ?')
+      .run(guildId, userId);
+  })();
+}
+
+/**
+ * Members of a guild that are stored as still being in it.
+ * @param {Database} db - Database connection.
+ * @param {string} guildId - Guild ID.
+ * @returns {string[]} User IDs.
+ */
+export function getCurrentGuildMemberIds(db, guildId) {
+  return db.prepare('SELECT user_id FROM guild_members WHERE guild_id = ? AND left_at IS NULL')
+    .all(guildId)
+    .map(row => row.user_id);
+}
+
+/**
+ * Authors in a guild whose membership has never been fetched or is stale.
+ * @param {Database} db - Database connection.
+ * @param {string} guildId - Guild ID.
+ * @param {number} [maxAgeDays=7] - Refresh members last fetched longer ago than this.
+ * @returns {string[]} User IDs.
+ */
+export function getAuthorsNeedingMemberSync(db, guildId, maxAgeDays = 7) {
+  return db.prepare(`
+    SELECT DISTINCT m.author_id AS user_id
+    FROM messages m
+    JOIN channels c ON c.id = m.channel_id
+    JOIN users u ON u.id = m.author_id
+    LEFT JOIN guild_members gm ON gm.guild_id = c.guild_id AND gm.user_id = m.author_id
+    WHERE c.guild_id = ?
+      AND u.is_bot = 0
+      AND (gm.user_id IS NULL OR gm.updated_at < datetime('now', ?))
+  `).all(guildId, `-${maxAgeDays} days`).map(row => row.user_id);
+}
+
+/**
+ * Roles a current member holds in one guild.
+ * @param {Database} db - Database connection.
+ * @param {string} userId - User ID.
+ * @param {string} guildId - Guild ID; roles from other guilds are left out.
+ * @returns {Object[]} { id, name, flag, position }, highest role first.
+ */
+export function getUserRoles(db, userId, guildId) {
+  return db.prepare(`
+    SELECT r.id, r.name, r.flag, r.position
+    FROM member_roles mr
+    JOIN roles r ON r.id = mr.role_id
+    JOIN guild_members gm ON gm.guild_id = mr.guild_id AND gm.user_id = mr.user_id
+    WHERE mr.user_id = ?
+      AND mr.guild_id = ?
+      AND gm.left_at IS NULL
+    ORDER BY r.position DESC
+  `).all(userId, guildId);
+}
+
+/**
+ * Get a user with their role names and author flags for AI prompts.
+ * @param {Database} db - Database connection.
+ * @param {string} userId - User ID.
+ * @param {string} guildId - Guild the message was posted in; only its roles count.
+ * @returns {Object|undefined} User row plus roles (names) and flags ('team', 'moderator', 'partner').
+ */
+export function getUserWithRoles(db, userId, guildId) {
+  const user = getUser(db, userId);
+  if (!user) return user;
+
+  const roles = getUserRoles(db, userId, guildId);
+  return {
+    ...user,
+    roles: roles.map(role => role.name),
+    flags: [...new Set(roles.map(role => role.flag).filter(Boolean))],
+  };
+}
+
 // =============================================================================
 // MESSAGES
 // =============================================================================
 
 export function upsertMessage(db, message) {
+  // Keep the previous version whenever the content changes
+  const existing = db.prepare(`
+    SELECT content, clean_content, edited_timestamp FROM messages WHERE id = ?
+  `).get(message.id);
+
+  if (existing && message.content != null && existing.content !== message.content) {
+    insertMessageRevision(db, {
+      message_id: message.id,
+      content: existing.content,
+      clean_content: existing.clean_content,
+      edited_timestamp: existing.edited_timestamp,
+      replaced_at: message.edited_timestamp || new Date().toISOString(),
+    });
+    flagExtractsForMessage(db, message.id, 'edited');
+  }
+
   const stmt = db.prepare(`
     INSERT INTO messages (
       id, channel_id, author_id, content, clean_content, timestamp,
@@ -121,11 +347,269 @@ export function upsertMessage(db, message) {
       edited_timestamp = excluded.edited_timestamp,
       has_embeds = excluded.has_embeds,
       has_attachments = excluded.has_attachments,
-      reaction_count = excluded.reaction_count
+      reaction_count = excluded.reaction_count,
+      deleted_at = NULL
   `);
   return stmt.run(message);
 }
 
+export function markMessageDeleted(db, messageId) {
+  const result = db.prepare(`
+    UPDATE messages SET deleted_at = datetime('now')
+    WHERE id = ? AND deleted_at IS NULL
+  `).run(messageId);
+
+  if (result.changes > 0) {
+    flagExtractsForMessage(db, messageId, 'deleted');
+  }
+  return result;
+}
+
+/**
+ * Tombstone stored messages that a scrape skipped over.
+ * Any stored message in the channel whose ID lies within [lowId, highId] but was
+ * not returned by Discord for that span has been deleted.
+ * @param {Database} db - Database connection.
+ * @param {string} channelId - Channel that was scraped.
+ * @param {string} lowId - Oldest message ID of the covered span (inclusive).
+ * @param {string} highId - Newest message ID of the covered span (inclusive).
+ * @param {string[]} seenIds - Message IDs Discord returned within the span.
+ * @returns {string[]} IDs of messages newly marked deleted.
+ */
+export function markMissingMessagesDeleted(db, channelId, lowId, highId, seenIds) {
+  const rows = db.prepare(`
+    UPDATE messages SET deleted_at = datetime('now')
+    WHERE channel_id = ?
+      AND deleted_at IS NULL
+      AND CAST(id AS INTEGER) BETWEEN CAST(? AS INTEGER) AND CAST(? AS INTEGER)
+      AND id NOT IN (SELECT value FROM json_each(?))
+    RETURNING id
+  `).all(channelId, lowId, highId, JSON.stringify(seenIds));
+
+  for (const row of rows) {
+    flagExtractsForMessage(db, row.id, 'deleted');
+  }
+  return rows.map(row => row.id);
+}
+
+export function insertMessageRevision(db, revision) {
+  const stmt = db.prepare(`
+    INSERT INTO message_revisions (message_id, content, clean_content, edited_timestamp, replaced_at)
+    VALUES (@message_id, @content, @clean_content, @edited_timestamp, @replaced_at)
+  `);
+  return stmt.run(revision);
+}
+
+export function getMessageRevisions(db, messageId) {
+  return db.prepare(`
+    SELECT * FROM message_revisions
+    WHERE message_id = ?
+    ORDER BY id
+  `).all(messageId);
+}
+
+/**
+ * Recompute a message's reaction totals from its stored reactions.
+ * engagement_count counts distinct users other than the author and bots for
+ * emojis whose users are known, plus the raw count of every other emoji.
+ * @param {Database} db - Database connection.
+ * @param {string} messageId - Message ID.
+ */
+export function updateMessageReactionCount(db, messageId) {
+  const stmt = db.prepare(`
+    UPDATE messages
+    SET reaction_count = (SELECT COALESCE(SUM(count), 0) FROM reactions WHERE message_id = @id),
+        engagement_count = (
+          SELECT COUNT(DISTINCT ru.user_id)
+          FROM reaction_users ru
+          JOIN reactions r ON r.message_id = ru.message_id AND r.emoji = ru.emoji
+          JOIN users u ON u.id = ru.user_id
+          WHERE ru.message_id = @id
+            AND r.users_fetched_at IS NOT NULL
+            AND u.is_bot = 0
+            AND ru.user_id != messages.author_id
+        ) + (
+          SELECT COALESCE(SUM(count), 0) FROM reactions
+          WHERE message_id = @id AND users_fetched_at IS NULL
+        )
+    WHERE id = @id
+  `);
+  return stmt.run({ id: messageId });
+}
+
+/**
+ * Store a formatted message with its author, embeds, attachments and reactions.
+ * Embeds have no stable ID, so they are replaced rather than appended.
+ * @param {Database} db - Database connection.
+ * @param {Object} data - { message, user, embeds, attachments, reactions } from the scraper,
+ *   plus optional reactionUsers ([{ emoji, users }]) when reaction users were fetched,
+ *   poll (see formatPollData()), pinned (true, false, or null when unknown) and
+ *   parsed (references from parseMessageContent()).
+ */
+export function saveMessageBundle(db, data) {
+  db.transaction(() => {
+    upsertUser(db, data.user);
+    upsertMessage(db, data.message);
+    replaceEmbeds(db, data.message.id, data.embeds);
+
+    for (const attachment of data.attachments) {
+      upsertAttachment(db, attachment);
+    }
+
+    replaceReactions(db, data);
+
+    if (data.poll) {
+      savePoll(db, data.poll);
+    }
+
+    if (data.parsed) {
+      replaceMessageContent(db, data.message.id, data.parsed);
+    }
+
+    // pinned is null when Discord didn't say (partial messages from live events)
+    if (data.pinned === true && !isMessagePinned(db, data.message.id)) {
+      pinMessage(db, data.message.id, data.message.channel_id);
+    } else if (data.pinned === false) {
+      unpinMessage(db, data.message.id);
+    }
+  })();
+}
+
+/**
+ * Store a message bundle only if the message isn't stored yet.
+ * Existing users keep their stored profile, since archived copies may be older.
+ * @param {Database} db - Database connection.
+ * @param {Object} data - Message bundle, see saveMessageBundle().
+ * @returns {boolean} True if the message was inserted, false if it already existed.
+ */
+export function insertMessageBundle(db, data) {
+  return db.transaction(() => {
+    if (getMessage(db, data.message.id)) return false;
+
+    const storedUser = getUser(db, data.user.id);
+    saveMessageBundle(db, storedUser ? { ...data, user: storedUser } : data);
+    return true;
+  })();
+}
+
+/**
+ * Merge an archived copy of a stored message into it. Archives carry less than a
+ * scrape (a data package has no embeds, reactions or reply link) and render mentions
+ * as @name, so only fields the archive actually has are filled in: embeds and
+ * reactions are replaced only when the archive lists some, a stored reply link is
+ * kept, and content that differs only in how mentions are rendered is left alone
+ * (no revision is recorded for it).
+ * Messages that aren't stored yet are inserted as with insertMessageBundle().
+ * @param {Database} db - Database connection.
+ * @param {Object} data - Message bundle, see saveMessageBundle().
+ * @returns {boolean} True if the message was inserted, false if it was merged.
+ */
+export function mergeMessageBundle(db, data) {
+  return db.transaction(() => {
+    if (insertMessageBundle(db, data)) return true;
+
+    const { message } = data;
+    const stored = getMessage(db, message.id);
+    const sameText = message.content == null || isSameMessageText(stored, message.content);
+    const hasEmbeds = data.embeds.length > 0;
+    const hasReactions = data.reactions.length > 0;
+
+    upsertMessage(db, {
+      ...message,
+      content: sameText ? stored.content : message.content,
+      clean_content: sameText ? stored.clean_content : message.clean_content,
+      edited_timestamp: message.edited_timestamp || stored.edited_timestamp,
+      has_embeds: hasEmbeds ? 1 : stored.has_embeds,
+      has_attachments: message.has_attachments || stored.has_attachments,
+      reaction_count: hasReactions ? message.reaction_count : stored.reaction_count,
+    });
+
+    if (message.reference_id) {
+      db.prepare(`
+        UPDATE messages SET reference_id = ? WHERE id = ? AND reference_id IS NULL
+      `).run(message.reference_id, message.id);
+    }
+
+    if (hasEmbeds) {
+      replaceEmbeds(db, message.id, data.embeds);
+    }
+
+    for (const attachment of data.attachments) {
+      upsertAttachment(db, attachment);
+    }
+
+    if (hasReactions) {
+      replaceReactions(db, data);
+    }
+
+    if (data.poll) {
+      savePoll(db, data.poll);
+    }
+
+    // Parsed references from rendered mentions would replace the stored ones with names
+    if (data.parsed && !sameText) {
+      replaceMessageContent(db, message.id, data.parsed);
+    }
+
+    if (data.pinned === true && !isMessagePinned(db, message.id)) {
+      pinMessage(db, message.id, message.channel_id);
+    } else if (data.pinned === false) {
+      unpinMessage(db, message.id);
+    }
+
+    return false;
+  })();
+}
+
+/**
+ * Replace a message's reactions with a bundle's, which lists every emoji on the message.
+ * @param {Database} db - Database connection.
+ * @param {Object} data - Message bundle, see saveMessageBundle().
+ */
+function replaceReactions(db, data) {
+  const current = new Set(data.reactions.map(reaction => reaction.emoji));
+  for (const stored of getReactionsByMessage(db, data.message.id)) {
+    if (!current.has(stored.emoji)) {
+      deleteReaction(db, data.message.id, stored.emoji);
+    }
+  }
+
+  for (const reaction of data.reactions) {
+    upsertReaction(db, reaction);
+  }
+
+  for (const { emoji, users } of data.reactionUsers || []) {
+    for (const user of users) {
+      upsertUser(db, user);
+    }
+    replaceReactionUsers(db, data.message.id, emoji, users.map(user => user.id));
+  }
+
+  updateMessageReactionCount(db, data.message.id);
+}
+
+/**
+ * Whether archived content is the stored message's text with mentions rendered
+ * as names (@user, @role, #channel) and custom emoji as :name:, as exports do.
+ * @param {Object} stored - Stored message row.
+ * @param {string} content - Archived content.
+ * @returns {boolean}
+ */
+function isSameMessageText(stored, content) {
+  if (content === stored.content || content === stored.clean_content) return true;
+
+  const pattern = (stored.content || '')
+    .split(/(<@!?\d+>|<@&\d+>|<#\d+>|<a?:\w+:\d+>)/)
+    .map((part, index) => {
+      if (index % 2 === 0) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const emoji = part.match(/^<a?:(\w+):\d+>$/);
+      if (emoji) return `:${emoji[1]}:`;
+      return part.startsWith('<#') ? '#.+?' : '@.+?';
+    })
+    .join('');
+  return new RegExp(`^${pattern}$`, 's').test(content);
+}
+
 export function getMessage(db, messageId) {
   return db.prepare('SELECT * FROM messages WHERE id = ?').get(messageId);
 }
@@ -155,10 +639,15 @@ export function getMessagesByDateRange(db, startDate, endDate, channelId = null)
   `).all(startDate, endDate);
 }
 
-export function countMessages(db, channelId = null) {
+export function countMessages(db, channelId = null, guildIds = null) {
   if (channelId) {
     return db.prepare('SELECT COUNT(*) as count FROM messages WHERE channel_id = ?').get(channelId).count;
   }
+  if (guildIds?.length) {
+    const params = [];
+    const condition = guildChannelCondition('channel_id', guildIds, params);
+    return db.prepare(`SELECT COUNT(*) as count FROM messages WHERE 1=1${condition}`).get(...params).count;
+  }
   return db.prepare('SELECT COUNT(*) as count FROM messages').get().count;
 }
 
@@ -180,6 +669,13 @@ export function upsertEmbed(db, embed) {
   return stmt.run(embed);
 }
 
+export function replaceEmbeds(db, messageId, embeds) {
+  db.prepare('DELETE FROM embeds WHERE message_id = ?').run(messageId);
+  for (const embed of embeds) {
+    upsertEmbed(db, embed);
+  }
+}
+
 export function getEmbedsByMessage(db, messageId) {
   return db.prepare('SELECT * FROM embeds WHERE message_id = ?').all(messageId);
 }
@@ -210,108 +706,719 @@ export function getAttachmentsByMessage(db, messageId) {
   return db.prepare('SELECT * FROM attachments WHERE message_id = ?').all(messageId);
 }
 
+/**
+ * Get attachments that still need archiving.
+ * @param {Database} db - Database connection.
+ * @param {Object} [options] - Query options.
+ * @param {number} [options.maxAttempts=3] - Give up on failed downloads after this many tries.
+ * @param {boolean} [options.includeSkipped=false] - Recheck files skipped by size/type limits.
+ * @param {string} [options.channelId] - Only attachments in this channel.
+ * @param {string[]} [options.guildIds] - Only attachments in these guilds.
+ * @param {number} [options.limit] - Maximum rows to return.
+ * @returns {Object[]} Attachment rows, oldest message first.
+ */
+export function getAttachmentsToArchive(db, options = {}) {
+  const { maxAttempts = 3, includeSkipped = false, channelId, guildIds, limit } = options;
+
+  let query = `
+    SELECT a.* FROM attachments a
+    JOIN messages m ON m.id = a.message_id
+    WHERE (
+      a.download_status IS NULL
+      OR (a.download_status = 'failed' AND a.download_attempts < ?)
+      ${includeSkipped ? "OR a.download_status = 'skipped'" : ''}
+    )
+  `;
+  const params = [maxAttempts];
+
+  if (channelId) {
+    query += ' AND m.channel_id = ?';
+    params.push(channelId);
+  }
+
+  if (guildIds?.length) {
+    query += guildChannelCondition('m.channel_id', guildIds, params);
+  }
+
+  query += ' ORDER BY a.message_id';
+
+  if (limit) {
+    query += ' LIMIT ?';
+    params.push(limit);
+  }
+
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Record the outcome of an archive attempt.
+ * @param {Database} db - Database connection.
+ * @param {string} attachmentId - Attachment ID.
+ * @param {Object} result - { status, error, sha256, local_path, content_type, size, url }.
+ */
+export function updateAttachmentArchive(db, attachmentId, result) {
+  const stmt = db.prepare(`
+    UPDATE attachments SET
+      download_status = @status,
+      download_error = @error,
+      download_attempts = download_attempts + 1,
+      sha256 = COALESCE(@sha256, sha256),
+      local_path = COALESCE(@local_path, local_path),
+      content_type = COALESCE(content_type, @content_type),
+      size = COALESCE(@size, size),
+      url = COALESCE(@url, url),
+      downloaded_at = CASE WHEN @status = 'downloaded' THEN datetime('now') ELSE downloaded_at END
+    WHERE id = @id
+  `);
+  return stmt.run({
+    error: null,
+    sha256: null,
+    local_path: null,
+    content_type: null,
+    size: null,
+    url: null,
+    ...result,
+    id: attachmentId,
+  });
+}
+
+export function getAttachmentArchiveStats(db) {
+  return db.prepare(`
+    SELECT COALESCE(download_status, 'pending') AS status,
+           COUNT(*) AS count,
+           COALESCE(SUM(size), 0) AS bytes
+    FROM attachments
+    GROUP BY COALESCE(download_status, 'pending')
+  `).all();
+}
+
 // =============================================================================
 // REACTIONS
 // =============================================================================
 
+/**
+ * Store the aggregate count for one emoji on a message.
+ * A changed count means any stored user list is out of date.
+ */
 export function upsertReaction(db, reaction) {
   const stmt = db.prepare(`
     INSERT INTO reactions (message_id, emoji, emoji_name, is_custom, count)
     VALUES (@message_id, @emoji, @emoji_name, @is_custom, @count)
     ON CONFLICT(message_id, emoji) DO UPDATE SET
-      count = excluded.count
+      count = excluded.count,
+      users_fetched_at = CASE
+        WHEN reactions.count = excluded.count THEN reactions.users_fetched_at
+        ELSE NULL
+      END
   `);
   return stmt.run(reaction);
 }
 
+export function getReaction(db, messageId, emoji) {
+  return db.prepare('SELECT * FROM reactions WHERE message_id = ? AND emoji = ?').get(messageId, emoji);
+}
+
+export function deleteReaction(db, messageId, emoji) {
+  db.prepare('DELETE FROM reaction_users WHERE message_id = ? AND emoji = ?').run(messageId, emoji);
+  return db.prepare('DELETE FROM reactions WHERE message_id = ? AND emoji = ?').run(messageId, emoji);
+}
+
+export function deleteReactionsByMessage(db, messageId) {
+  db.prepare('DELETE FROM reaction_users WHERE message_id = ?').run(messageId);
+  return db.prepare('DELETE FROM reactions WHERE message_id = ?').run(messageId);
+}
+
 export function getReactionsByMessage(db, messageId) {
-  return db.prepare('SELECT * FROM reactions WHERE message_id = ?').all(messageId);
+  return db.prepare(`
+    SELECT r.*, e.image_url AS emoji_image_url
+    FROM reactions r
+    LEFT JOIN emojis e ON e.id = r.emoji
+    WHERE r.message_id = ?
+  `).all(messageId);
 }
 
-// =============================================================================
-// SYNC STATE
-// =============================================================================
+/**
+ * Replace the full list of users who reacted with an emoji and mark it complete.
+ * The users must already be stored.
+ * @param {Database} db - Database connection.
+ * @param {string} messageId - Message ID.
+ * @param {string} emoji - Emoji as stored in reactions.emoji.
+ * @param {string[]} userIds - Every user who reacted.
+ */
+export function replaceReactionUsers(db, messageId, emoji, userIds) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM reaction_users WHERE message_id = ? AND emoji = ?').run(messageId, emoji);
 
-export function createSyncState(db, syncType, guildId, channelId = null) {
-  const stmt = db.prepare(`
-    INSERT INTO sync_state (sync_type, guild_id, channel_id, started_at, status)
-    VALUES (?, ?, ?, datetime('now'), 'in_progress')
-  `);
-  const result = stmt.run(syncType, guildId, channelId);
-  return result.lastInsertRowid;
+    const insert = db.prepare('INSERT OR IGNORE INTO reaction_users (message_id, emoji, user_id) VALUES (?, ?, ?)');
+    for (const userId of userIds) {
+      insert.run(messageId, emoji, userId);
+    }
+
+    markReactionUsersFetched(db, messageId, emoji);
+  })();
 }
 
-export function completeSyncState(db, syncId, messagesProcessed) {
-  const stmt = db.prepare(`
-    UPDATE sync_state
-    SET status = 'completed',
-        completed_at = datetime('now'),
-        messages_processed = ?
-    WHERE id = ?
-  `);
-  return stmt.run(messagesProcessed, syncId);
+export function markReactionUsersFetched(db, messageId, emoji) {
+  return db.prepare(`
+    UPDATE reactions SET users_fetched_at = datetime('now')
+    WHERE message_id = ? AND emoji = ?
+  `).run(messageId, emoji);
 }
 
-export function failSyncState(db, syncId, errorMessage) {
-  const stmt = db.prepare(`
-    UPDATE sync_state
-    SET status = 'failed',
-        completed_at = datetime('now'),
-        error_message = ?
-    WHERE id = ?
-  `);
-  return stmt.run(errorMessage, syncId);
+export function addReactionUser(db, messageId, emoji, userId) {
+  return db.prepare(`
+    INSERT OR IGNORE INTO reaction_users (message_id, emoji, user_id) VALUES (?, ?, ?)
+  `).run(messageId, emoji, userId);
 }
 
-export function getLatestSyncState(db, guildId) {
+export function removeReactionUser(db, messageId, emoji, userId) {
   return db.prepare(`
-    SELECT * FROM sync_state
-    WHERE guild_id = ?
-    ORDER BY started_at DESC
-    LIMIT 1
-  `).get(guildId);
+    DELETE FROM reaction_users WHERE message_id = ? AND emoji = ? AND user_id = ?
+  `).run(messageId, emoji, userId);
+}
+
+export function getReactionUsers(db, messageId) {
+  return db.prepare(`
+    SELECT ru.emoji, u.id, u.username, u.global_name, u.is_bot
+    FROM reaction_users ru
+    JOIN users u ON u.id = ru.user_id
+    WHERE ru.message_id = ?
+    ORDER BY ru.emoji, u.username
+  `).all(messageId);
 }
 
 // =============================================================================
-// AI PROCESSING
+// EMOJIS
 // =============================================================================
 
-export function upsertAIProcessing(db, data) {
+export function upsertEmoji(db, emoji) {
   const stmt = db.prepare(`
-    INSERT INTO ai_processing (entity_type, entity_id, stage, result_json, model_used, tokens_in, tokens_out, processed_at)
-    VALUES (@entity_type, @entity_id, @stage, @result_json, @model_used, @tokens_in, @tokens_out, datetime('now'))
-    ON CONFLICT(entity_type, entity_id, stage) DO UPDATE SET
-      result_json = excluded.result_json,
-      model_used = excluded.model_used,
-      tokens_in = excluded.tokens_in,
-      tokens_out = excluded.tokens_out,
-      processed_at = datetime('now')
+    INSERT INTO emojis (id, guild_id, name, image_url, is_animated, is_managed, is_available, updated_at)
+    VALUES (@id, @guild_id, @name, @image_url, @is_animated, @is_managed, @is_available, datetime('now'))
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name,
+      image_url = excluded.image_url,
+      is_animated = excluded.is_animated,
+      is_managed = excluded.is_managed,
+      is_available = excluded.is_available,
+      updated_at = datetime('now')
   `);
-  return stmt.run(data);
+  return stmt.run(emoji);
 }
 
-export function getAIProcessing(db, entityType, entityId, stage) {
-  const row = db.prepare(`
-    SELECT * FROM ai_processing
-    WHERE entity_type = ? AND entity_id = ? AND stage = ?
-  `).get(entityType, entityId, stage);
-
-  if (row && row.result_json) {
-    try {
-      row.result = JSON.parse(row.result_json);
-    } catch {
-      row.result = null;
-    }
-  }
-  return row;
+export function getEmojisByGuild(db, guildId) {
+  return db.prepare('SELECT * FROM emojis WHERE guild_id = ? ORDER BY name').all(guildId);
 }
 
-export function getAIProcessingByStage(db, stage, options = {}) {
-  const { limit, offset = 0 } = options;
-  let query = 'SELECT * FROM ai_processing WHERE stage = ? ORDER BY processed_at DESC';
-  const params = [stage];
+// =============================================================================
+// PINS
+// =============================================================================
 
-  if (limit) {
+/**
+ * Record a message as pinned. A pin that was removed earlier is reopened.
+ * @param {Database} db - Database connection.
+ * @param {string} messageId - Message ID.
+ * @param {string} channelId - Channel ID.
+ * @param {string|null} [pinnedAt] - When it was pinned; defaults to now for new pins.
+ */
+export function pinMessage(db, messageId, channelId, pinnedAt = null) {
+  const stmt = db.prepare(`
+    INSERT INTO pinned_messages (message_id, channel_id, pinned_at, unpinned_at, updated_at)
+    VALUES (@messageId, @channelId, COALESCE(@pinnedAt, datetime('now')), NULL, datetime('now'))
+    ON CONFLICT(message_id) DO UPDATE SET
+      pinned_at = CASE
+        WHEN unpinned_at IS NOT NULL THEN COALESCE(@pinnedAt, datetime('now'))
+        ELSE COALESCE(@pinnedAt, pinned_at)
+      END,
+      unpinned_at = NULL,
+      updated_at = datetime('now')
+  `);
+  return stmt.run({ messageId, channelId, pinnedAt });
+}
+
+export function unpinMessage(db, messageId) {
+  return db.prepare(`
+    UPDATE pinned_messages
+    SET unpinned_at = datetime('now'), updated_at = datetime('now')
+    WHERE message_id = ? AND unpinned_at IS NULL
+  `).run(messageId);
+}
+
+/**
+ * Replace the pins of a channel with its current pin list from Discord.
+ * @param {Database} db - Database connection.
+ * @param {string} channelId - Channel ID.
+ * @param {Object[]} pins - { message_id, pinned_at } for every current pin.
+ * @returns {number} Number of pins that were removed.
+ */
+export function replaceChannelPins(db, channelId, pins) {
+  return db.transaction(() => {
+    const current = new Set(pins.map(pin => pin.message_id));
+    let removed = 0;
+
+    for (const pin of getPinnedMessages(db, channelId)) {
+      if (!current.has(pin.message_id)) {
+        unpinMessage(db, pin.message_id);
+        removed++;
+      }
+    }
+
+    for (const pin of pins) {
+      pinMessage(db, pin.message_id, channelId, pin.pinned_at);
+    }
+
+    return removed;
+  })();
+}
+
+export function getPinnedMessages(db, channelId) {
+  return db.prepare(`
+    SELECT * FROM pinned_messages
+    WHERE channel_id = ? AND unpinned_at IS NULL
+    ORDER BY pinned_at DESC
+  `).all(channelId);
+}
+
+export function isMessagePinned(db, messageId) {
+  return Boolean(db.prepare(`
+    SELECT 1 FROM pinned_messages WHERE message_id = ? AND unpinned_at IS NULL
+  `).get(messageId));
+}
+
+// =============================================================================
+// POLLS
+// =============================================================================
+
+/**
+ * Store a poll and its answers, replacing earlier vote counts.
+ * @param {Database} db - Database connection.
+ * @param {Object} poll - Poll data with an answers array, see formatPollData().
+ */
+export function savePoll(db, poll) {
+  const pollStmt = db.prepare(`
+    INSERT INTO polls (message_id, question, allow_multiselect, expires_at, is_finalized, total_votes, updated_at)
+    VALUES (@message_id, @question, @allow_multiselect, @expires_at, @is_finalized, @total_votes, datetime('now'))
+    ON CONFLICT(message_id) DO UPDATE SET
+      question = excluded.question,
+      allow_multiselect = excluded.allow_multiselect,
+      expires_at = excluded.expires_at,
+      is_finalized = excluded.is_finalized,
+      total_votes = excluded.total_votes,
+      updated_at = datetime('now')
+  `);
+  const answerStmt = db.prepare(`
+    INSERT INTO poll_answers (message_id, answer_id, text, emoji, vote_count)
+    VALUES (@message_id, @answer_id, @text, @emoji, @vote_count)
+    ON CONFLICT(message_id, answer_id) DO UPDATE SET
+      text = excluded.text,
+      emoji = excluded.emoji,
+      vote_count = excluded.vote_count
+  `);
+
+  db.transaction(() => {
+    const { answers, ...pollData } = poll;
+    pollStmt.run(pollData);
+    for (const answer of answers) {
+      answerStmt.run(answer);
+    }
+  })();
+}
+
+/**
+ * Get a message's poll with its answers.
+ * @param {Database} db - Database connection.
+ * @param {string} messageId - Message ID.
+ * @returns {Object|undefined} Poll row with answers[], or undefined.
+ */
+export function getPoll(db, messageId) {
+  const poll = db.prepare('SELECT * FROM polls WHERE message_id = ?').get(messageId);
+  if (!poll) return undefined;
+
+  poll.answers = db.prepare(`
+    SELECT answer_id, text, emoji, vote_count FROM poll_answers
+    WHERE message_id = ?
+    ORDER BY answer_id
+  `).all(messageId);
+  return poll;
+}
+
+// =============================================================================
+// MESSAGE CONTENT
+// =============================================================================
+
+/**
+ * Replace the parsed references of a message.
+ * @param {Database} db - Database connection.
+ * @param {string} messageId - Message ID.
+ * @param {Object} parsed - { mentions, links, codeBlocks, entities } from parseMessageContent().
+ */
+export function replaceMessageContent(db, messageId, parsed) {
+  const mentionStmt = db.prepare(`
+    INSERT OR IGNORE INTO message_mentions (message_id, mention_type, target_id)
+    VALUES (@message_id, @mention_type, @target_id)
+  `);
+  const linkStmt = db.prepare(`
+    INSERT OR IGNORE INTO message_links (message_id, url, domain)
+    VALUES (@message_id, @url, @domain)
+  `);
+  const codeStmt = db.prepare(`
+    INSERT INTO message_code_blocks (message_id, language, code)
+    VALUES (@message_id, @language, @code)
+  `);
+  const entityStmt = db.prepare(`
+    INSERT OR IGNORE INTO message_entities (message_id, entity_type, value)
+    VALUES (@message_id, @entity_type, @value)
+  `);
+
+  db.transaction(() => {
+    for (const table of ['message_mentions', 'message_links', 'message_code_blocks', 'message_entities']) {
+      db.prepare(`DELETE FROM ${table} WHERE message_id = ?`).run(messageId);
+    }
+
+    for (const mention of parsed.mentions) {
+      mentionStmt.run({ message_id: messageId, ...mention });
+    }
+    for (const link of parsed.links) {
+      linkStmt.run({ message_id: messageId, ...link });
+    }
+    for (const block of parsed.codeBlocks) {
+      codeStmt.run({ message_id: messageId, ...block });
+    }
+    for (const entity of parsed.entities) {
+      entityStmt.run({ message_id: messageId, ...entity });
+    }
+
+    db.prepare(`UPDATE messages SET content_parsed_at = datetime('now') WHERE id = ?`).run(messageId);
+  })();
+}
+
+/**
+ * Get the parsed references of a message.
+ * @param {Database} db - Database connection.
+ * @param {string} messageId - Message ID.
+ * @returns {Object} { mentions, links, codeBlocks, entities }.
+ */
+export function getMessageContentRefs(db, messageId) {
+  return {
+    mentions: db.prepare('SELECT mention_type, target_id FROM message_mentions WHERE message_id = ?').all(messageId),
+    links: db.prepare('SELECT url, domain FROM message_links WHERE message_id = ?').all(messageId),
+    codeBlocks: db.prepare('SELECT language, code FROM message_code_blocks WHERE message_id = ? ORDER BY id').all(messageId),
+    entities: db.prepare('SELECT entity_type, value FROM message_entities WHERE message_id = ?').all(messageId),
+  };
+}
+
+/**
+ * Get messages whose content hasn't been parsed yet (stored before parsing existed).
+ * @param {Database} db - Database connection.
+ * @param {Object} [options] - Query options.
+ * @param {boolean} [options.all=false] - Return every message, to re-parse after parser changes.
+ * @param {string} [options.afterId] - Only messages sorting after this ID, for paging.
+ * @param {number} [options.limit=1000] - Maximum rows to return.
+ * @returns {Object[]} { id, content } rows ordered by ID.
+ */
+export function getMessagesToParse(db, options = {}) {
+  const { all = false, afterId = null, limit = 1000 } = options;
+
+  let query = 'SELECT id, content FROM messages WHERE 1=1';
+  const params = [];
+
+  if (!all) {
+    query += ' AND content_parsed_at IS NULL';
+  }
+
+  if (afterId) {
+    query += ' AND id > ?';
+    params.push(afterId);
+  }
+
+  query += ' ORDER BY id LIMIT ?';
+  params.push(limit);
+
+  return db.prepare(query).all(...params);
+}
+
+// =============================================================================
+// SCHEDULED EVENTS
+// =============================================================================
+
+export function upsertScheduledEvent(db, event) {
+  const stmt = db.prepare(`
+    INSERT INTO scheduled_events (
+      id, guild_id, channel_id, creator_id, name, description, scheduled_start_at,
+      scheduled_end_at, status, entity_type, location, user_count, image_url, url,
+      created_at, deleted_at, updated_at
+    )
+    VALUES (
+      @id, @guild_id, @channel_id, @creator_id, @name, @description, @scheduled_start_at,
+      @scheduled_end_at, @status, @entity_type, @location, @user_count, @image_url, @url,
+      @created_at, NULL, datetime('now')
+    )
+    ON CONFLICT(id) DO UPDATE SET
+      channel_id = excluded.channel_id,
+      name = excluded.name,
+      description = excluded.description,
+      scheduled_start_at = excluded.scheduled_start_at,
+      scheduled_end_at = excluded.scheduled_end_at,
+      status = excluded.status,
+      entity_type = excluded.entity_type,
+      location = excluded.location,
+      user_count = COALESCE(excluded.user_count, user_count),
+      image_url = excluded.image_url,
+      url = excluded.url,
+      deleted_at = NULL,
+      updated_at = datetime('now')
+  `);
+  return stmt.run(event);
+}
+
+export function markScheduledEventDeleted(db, eventId) {
+  return db.prepare(`
+    UPDATE scheduled_events
+    SET deleted_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ? AND deleted_at IS NULL
+  `).run(eventId);
+}
+
+/**
+ * List scheduled events.
+ * @param {Database} db - Database connection.
+ * @param {Object} [options] - Query options.
+ * @param {string[]} [options.guildIds] - Only events of these guilds.
+ * @param {string} [options.since] - Only events starting at or after this time.
+ * @param {boolean} [options.includeDeleted=false] - Include deleted events.
+ * @returns {Object[]} Event rows, soonest first.
+ */
+export function getScheduledEvents(db, options = {}) {
+  const { guildIds, since, includeDeleted = false } = options;
+
+  let query = 'SELECT * FROM scheduled_events WHERE 1=1';
+  const params = [];
+
+  if (!includeDeleted) {
+    query += ' AND deleted_at IS NULL';
+  }
+
+  if (guildIds?.length) {
+    query += ` AND guild_id IN (${guildIds.map(() => '?').join(', ')})`;
+    params.push(...guildIds);
+  }
+
+  if (since) {
+    query += ' AND scheduled_start_at >= ?';
+    params.push(since);
+  }
+
+  query += ' ORDER BY scheduled_start_at';
+
+  return db.prepare(query).all(...params);
+}
+
+// =============================================================================
+// SYNC STATE
+// =============================================================================
+
+export function createSyncState(db, syncType, guildId, channelId = null, options = null) {
+  const stmt = db.prepare(`
+    INSERT INTO sync_state (sync_type, guild_id, channel_id, started_at, status, options_json, updated_at)
+    VALUES (?, ?, ?, datetime('now'), 'in_progress', ?, datetime('now'))
+  `);
+  const result = stmt.run(syncType, guildId, channelId, options ? JSON.stringify(options) : null);
+  return result.lastInsertRowid;
+}
+
+export function updateSyncStateProgress(db, syncId) {
+  const stmt = db.prepare(`
+    UPDATE sync_state
+    SET messages_processed = (
+          SELECT COALESCE(SUM(messages_processed), 0)
+          FROM sync_channel_progress
+          WHERE sync_id = ?
+        ),
+        updated_at = datetime('now')
+    WHERE id = ?
+  `);
+  return stmt.run(syncId, syncId);
+}
+
+export function resumeSyncState(db, syncId) {
+  const stmt = db.prepare(`
+    UPDATE sync_state
+    SET status = 'in_progress',
+        completed_at = NULL,
+        error_message = NULL,
+        updated_at = datetime('now')
+    WHERE id = ?
+  `);
+  return stmt.run(syncId);
+}
+
+export function completeSyncState(db, syncId, messagesProcessed = null) {
+  const stmt = db.prepare(`
+    UPDATE sync_state
+    SET status = 'completed',
+        completed_at = datetime('now'),
+        messages_processed = COALESCE(?, messages_processed)
+    WHERE id = ?
+  `);
+  return stmt.run(messagesProcessed, syncId);
+}
+
+export function failSyncState(db, syncId, errorMessage) {
+  const stmt = db.prepare(`
+    UPDATE sync_state
+    SET status = 'failed',
+        completed_at = datetime('now'),
+        error_message = ?
+    WHERE id = ?
+  `);
+  return stmt.run(errorMessage, syncId);
+}
+
+export function getLatestSyncState(db, guildId) {
+  return db.prepare(`
+    SELECT * FROM sync_state
+    WHERE guild_id = ?
+    ORDER BY started_at DESC
+    LIMIT 1
+  `).get(guildId);
+}
+
+export function getResumableSyncState(db, guildId) {
+  const row = db.prepare(`
+    SELECT * FROM sync_state
+    WHERE guild_id = ? AND status IN ('in_progress', 'failed')
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(guildId);
+
+  if (row) {
+    row.options = row.options_json ? JSON.parse(row.options_json) : {};
+  }
+  return row;
+}
+
+// =============================================================================
+// SYNC CHANNEL PROGRESS
+// =============================================================================
+
+export function startSyncChannelProgress(db, syncId, channelId, afterMessageId = null) {
+  const stmt = db.prepare(`
+    INSERT INTO sync_channel_progress (sync_id, channel_id, status, after_message_id)
+    VALUES (?, ?, 'in_progress', ?)
+    ON CONFLICT(sync_id, channel_id) DO UPDATE SET
+      status = 'in_progress',
+      error_message = NULL,
+      updated_at = datetime('now')
+  `);
+  return stmt.run(syncId, channelId, afterMessageId);
+}
+
+export function checkpointSyncChannelProgress(db, progress) {
+  const stmt = db.prepare(`
+    UPDATE sync_channel_progress
+    SET oldest_message_id = @oldest_message_id,
+        newest_message_id = @newest_message_id,
+        messages_processed = @messages_processed,
+        updated_at = datetime('now')
+    WHERE sync_id = @sync_id AND channel_id = @channel_id
+  `);
+  return stmt.run(progress);
+}
+
+export function completeSyncChannelProgress(db, syncId, channelId) {
+  const stmt = db.prepare(`
+    UPDATE sync_channel_progress
+    SET status = 'completed',
+        updated_at = datetime('now')
+    WHERE sync_id = ? AND channel_id = ?
+  `);
+  return stmt.run(syncId, channelId);
+}
+
+export function failSyncChannelProgress(db, syncId, channelId, errorMessage) {
+  const stmt = db.prepare(`
+    UPDATE sync_channel_progress
+    SET status = 'failed',
+        error_message = ?,
+        updated_at = datetime('now')
+    WHERE sync_id = ? AND channel_id = ?
+  `);
+  return stmt.run(errorMessage, syncId, channelId);
+}
+
+export function getSyncChannelProgress(db, syncId, channelId) {
+  return db.prepare(`
+    SELECT * FROM sync_channel_progress
+    WHERE sync_id = ? AND channel_id = ?
+  `).get(syncId, channelId);
+}
+
+export function getIncompleteSyncChannels(db, guildIds = null) {
+  const params = [];
+  let guildCondition = '';
+  if (guildIds?.length) {
+    guildCondition = ` AND s.guild_id IN (${guildIds.map(() => '?').join(', ')})`;
+    params.push(...guildIds);
+  }
+
+  return db.prepare(`
+    SELECT
+      p.*,
+      c.name AS channel_name,
+      s.sync_type,
+      s.status AS sync_status,
+      oldest.timestamp AS oldest_timestamp
+    FROM sync_channel_progress p
+    JOIN sync_state s ON s.id = p.sync_id
+    LEFT JOIN channels c ON c.id = p.channel_id
+    LEFT JOIN messages oldest ON oldest.id = p.oldest_message_id
+    WHERE p.status != 'completed'
+      AND s.status != 'completed'${guildCondition}
+    ORDER BY p.sync_id DESC, p.updated_at DESC
+  `).all(...params);
+}
+
+// =============================================================================
+// AI PROCESSING
+// =============================================================================
+
+export function upsertAIProcessing(db, data) {
+  const stmt = db.prepare(`
+    INSERT INTO ai_processing (entity_type, entity_id, stage, result_json, model_used, tokens_in, tokens_out, ai_call_id, processed_at)
+    VALUES (@entity_type, @entity_id, @stage, @result_json, @model_used, @tokens_in, @tokens_out, @ai_call_id, datetime('now'))
+    ON CONFLICT(entity_type, entity_id, stage) DO UPDATE SET
+      result_json = excluded.result_json,
+      model_used = excluded.model_used,
+      tokens_in = excluded.tokens_in,
+      tokens_out = excluded.tokens_out,
+      ai_call_id = excluded.ai_call_id,
+      processed_at = datetime('now')
+  `);
+  return stmt.run({ tokens_in: null, tokens_out: null, ai_call_id: null, ...data });
+}
+
+export function getAIProcessing(db, entityType, entityId, stage) {
+  const row = db.prepare(`
+    SELECT * FROM ai_processing
+    WHERE entity_type = ? AND entity_id = ? AND stage = ?
+  `).get(entityType, entityId, stage);
+
+  if (row && row.result_json) {
+    try {
+      row.result = JSON.parse(row.result_json);
+    } catch {
+      row.result = null;
+    }
+  }
+  return row;
+}
+
+export function getAIProcessingByStage(db, stage, options = {}) {
+  const { limit, offset = 0 } = options;
+  let query = 'SELECT * FROM ai_processing WHERE stage = ? ORDER BY processed_at DESC';
+  const params = [stage];
+
+  if (limit) {
     query += ' LIMIT ? OFFSET ?';
     params.push(limit, offset);
   }
@@ -338,21 +1445,39 @@ export function shouldProcess(db, entityType, entityId, stage, options = {}) {
 }
 
 export function getUnprocessedMessages(db, stage, options = {}) {
-  const { channelId, limit, startDate, endDate } = options;
+  const { channelId, guildIds, limit, startDate, endDate, messageIds } = options;
 
   let query = `
-    SELECT m.* FROM messages m
+    SELECT m.*, c.guild_id FROM messages m
+    LEFT JOIN channels c ON c.id = m.channel_id
     LEFT JOIN ai_processing ap
       ON ap.entity_type = 'message' AND ap.entity_id = m.id AND ap.stage = ?
     WHERE ap.id IS NULL
+      AND m.deleted_at IS NULL
   `;
   const params = [stage];
 
+  // Explicit IDs retry dead-lettered messages; otherwise the dead-letter queue is left out
+  if (messageIds) {
+    query += ` AND m.id IN (${messageIds.map(() => '?').join(', ') || 'NULL'})`;
+    params.push(...messageIds);
+  } else {
+    query += ` AND NOT EXISTS (
+      SELECT 1 FROM ai_failures f
+      WHERE f.stage = ? AND f.entity_type = 'message' AND f.entity_id = m.id AND f.status != 'resolved'
+    )`;
+    params.push(stage);
+  }
+
   if (channelId) {
     query += ' AND m.channel_id = ?';
     params.push(channelId);
   }
 
+  if (guildIds?.length) {
+    query += guildChannelCondition('m.channel_id', guildIds, params);
+  }
+
   if (startDate) {
     query += ' AND m.timestamp >= ?';
     params.push(startDate);
@@ -374,19 +1499,31 @@ export function getUnprocessedMessages(db, stage, options = {}) {
 }
 
 export function getProcessedMessages(db, stage, options = {}) {
-  const { keepOnly = false, limit } = options;
+  const { keepOnly = false, guildIds, limit, messageIds } = options;
 
   let query = `
-    SELECT m.*, ap.result_json FROM messages m
+    SELECT m.*, c.guild_id, ap.result_json FROM messages m
+    LEFT JOIN channels c ON c.id = m.channel_id
     JOIN ai_processing ap
       ON ap.entity_type = 'message' AND ap.entity_id = m.id AND ap.stage = ?
   `;
   const params = [stage];
 
+  query += ' WHERE m.deleted_at IS NULL';
+
   if (keepOnly) {
     query += ` AND json_extract(ap.result_json, '$.keep') = 1`;
   }
 
+  if (messageIds) {
+    query += ` AND m.id IN (${messageIds.map(() => '?').join(', ') || 'NULL'})`;
+    params.push(...messageIds);
+  }
+
+  if (guildIds?.length) {
+    query += guildChannelCondition('m.channel_id', guildIds, params);
+  }
+
   query += ' ORDER BY m.timestamp';
 
   if (limit) {
@@ -397,30 +1534,409 @@ export function getProcessedMessages(db, stage, options = {}) {
   return db.prepare(query).all(...params);
 }
 
+// =============================================================================
+// AI CALLS
+// =============================================================================
+
+/**
+ * Record one LLM request in the ai_calls ledger.
+ * @param {Object} db - Database connection
+ * @param {Object} call - { stage, provider, model, model_used, request_hash, status,
+ *   http_status, error, tokens_in, tokens_out, tokens_cached, tokens_estimated, cost_usd, latency_ms }
+ * @returns {number} ID of the new row
+ */
+export function insertAICall(db, call) {
+  const result = db.prepare(`
+    INSERT INTO ai_calls (
+      stage, provider, model, model_used, request_hash, status, http_status, error,
+      tokens_in, tokens_out, tokens_cached, tokens_estimated, cost_usd, latency_ms
+    )
+    VALUES (
+      @stage, @provider, @model, @model_used, @request_hash, @status, @http_status, @error,
+      @tokens_in, @tokens_out, @tokens_cached, @tokens_estimated, @cost_usd, @latency_ms
+    )
+  `).run({
+    stage: null,
+    model_used: null,
+    http_status: null,
+    error: null,
+    tokens_in: 0,
+    tokens_out: 0,
+    tokens_cached: 0,
+    tokens_estimated: 0,
+    cost_usd: 0,
+    latency_ms: null,
+    ...call,
+  });
+  return Number(result.lastInsertRowid);
+}
+
+// Columns getAISpend() can group by
+const AI_SPEND_GROUPS = {
+  stage: "COALESCE(stage, 'other')",
+  model: 'COALESCE(model_used, model)',
+  day: 'date(created_at)',
+  month: "strftime('%Y-%m', created_at)",
+  provider: 'provider',
+};
+
+/**
+ * Sum LLM spend from the ai_calls ledger.
+ * @param {Object} db - Database connection
+ * @param {Object} options - Query options
+ * @param {string} [options.groupBy] - 'stage', 'model', 'day', 'month' or 'provider'; totals when unset
+ * @param {string} [options.since] - Only calls at or after this date (YYYY-MM-DD or ISO)
+ * @param {string} [options.until] - Only calls before this date
+ * @returns {Object[]} Rows of { key, calls, failed, tokens_in, tokens_out, tokens_cached, cost_usd, avg_latency_ms },
+ *   most expensive first (oldest first for days and months)
+ */
+export function getAISpend(db, options = {}) {
+  const { groupBy, since, until } = options;
+
+  const keyExpr = groupBy ? AI_SPEND_GROUPS[groupBy] : "'total'";
+  if (!keyExpr) {
+    throw new Error(`Unknown spend grouping: ${groupBy}`);
+  }
+
+  const conditions = [];
+  const params = [];
+  if (since) {
+    conditions.push('created_at >= datetime(?)');
+    params.push(since);
+  }
+  if (until) {
+    conditions.push('created_at < datetime(?)');
+    params.push(until);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const order = groupBy === 'day' || groupBy === 'month' ? 'key ASC' : 'cost_usd DESC, calls DESC';
+
+  return db.prepare(`
+    SELECT
+      ${keyExpr} as key,
+      COUNT(*) as calls,
+      SUM(CASE WHEN status != 'ok' THEN 1 ELSE 0 END) as failed,
+      COALESCE(SUM(tokens_in), 0) as tokens_in,
+      COALESCE(SUM(tokens_out), 0) as tokens_out,
+      COALESCE(SUM(tokens_cached), 0) as tokens_cached,
+      COALESCE(SUM(cost_usd), 0) as cost_usd,
+      CAST(AVG(latency_ms) AS INTEGER) as avg_latency_ms
+    FROM ai_calls
+    ${where}
+    GROUP BY key
+    ORDER BY ${order}
+  `).all(...params);
+}
+
+// =============================================================================
+// AI RESPONSE CACHE
+// =============================================================================
+
+/**
+ * Get an unexpired cached response.
+ * @param {Object} db - Database connection
+ * @param {string} requestHash - ai_calls.request_hash of the request
+ * @param {number} schemaVersion - Current response schema version of the stage
+ * @returns {Object|undefined} Cache row
+ */
+export function getCachedResponse(db, requestHash, schemaVersion) {
+  return db.prepare(`
+    SELECT * FROM ai_response_cache
+    WHERE request_hash = ? AND schema_version = ?
+      AND (expires_at IS NULL OR expires_at > datetime('now'))
+  `).get(requestHash, schemaVersion);
+}
+
+/**
+ * Count a reuse of a cached response.
+ * @param {Object} db - Database connection
+ * @param {string} requestHash - ai_calls.request_hash of the request
+ * @param {number} schemaVersion - Schema version of the cached response
+ */
+export function recordCacheHit(db, requestHash, schemaVersion) {
+  db.prepare(`
+    UPDATE ai_response_cache
+    SET hits = hits + 1, last_hit_at = datetime('now')
+    WHERE request_hash = ? AND schema_version = ?
+  `).run(requestHash, schemaVersion);
+}
+
+/**
+ * Store a response, replacing any cached one for the same request.
+ * @param {Object} db - Database connection
+ * @param {Object} entry - { request_hash, schema_version, stage, model, model_used, response_json,
+ *   tokens_in, tokens_out, cost_usd, ai_call_id, ttl_days }; no ttl_days means it never expires
+ */
+export function upsertCachedResponse(db, entry) {
+  db.prepare(`
+    INSERT INTO ai_response_cache (
+      request_hash, schema_version, stage, model, model_used, response_json,
+      tokens_in, tokens_out, cost_usd, ai_call_id, expires_at
+    )
+    VALUES (
+      @request_hash, @schema_version, @stage, @model, @model_used, @response_json,
+      @tokens_in, @tokens_out, @cost_usd, @ai_call_id,
+      CASE WHEN @ttl_days IS NULL THEN NULL ELSE datetime('now', @ttl_days || ' days') END
+    )
+    ON CONFLICT(request_hash, schema_version) DO UPDATE SET
+      model_used = excluded.model_used,
+      response_json = excluded.response_json,
+      tokens_in = excluded.tokens_in,
+      tokens_out = excluded.tokens_out,
+      cost_usd = excluded.cost_usd,
+      ai_call_id = excluded.ai_call_id,
+      created_at = datetime('now'),
+      expires_at = excluded.expires_at
+  `).run({
+    model_used: null,
+    tokens_in: 0,
+    tokens_out: 0,
+    cost_usd: 0,
+    ai_call_id: null,
+    ttl_days: null,
+    ...entry,
+  });
+}
+
+/**
+ * Summarize the response cache per stage.
+ * @param {Object} db - Database connection
+ * @returns {Object[]} Rows of { stage, entries, expired, hits, saved_usd, bytes }, by stage
+ */
+export function getResponseCacheStats(db) {
+  return db.prepare(`
+    SELECT
+      stage,
+      COUNT(*) as entries,
+      SUM(CASE WHEN expires_at <= datetime('now') THEN 1 ELSE 0 END) as expired,
+      COALESCE(SUM(hits), 0) as hits,
+      COALESCE(SUM(hits * cost_usd), 0) as saved_usd,
+      COALESCE(SUM(length(response_json)), 0) as bytes
+    FROM ai_response_cache
+    GROUP BY stage
+    ORDER BY stage
+  `).all();
+}
+
+/**
+ * Delete cached responses. By default only entries that can no longer be served:
+ * expired ones and those from older schema versions.
+ * @param {Object} db - Database connection
+ * @param {Object} options - Prune options
+ * @param {boolean} [options.all=false] - Delete every entry (of the stage, if given)
+ * @param {string} [options.stage] - Only this stage's entries
+ * @param {string} [options.before] - Also delete entries created before this date
+ * @param {Object} [options.schemaVersions] - Current schema version per stage; other versions are deleted
+ * @returns {number} Number of entries deleted
+ */
+export function pruneResponseCache(db, options = {}) {
+  const { all = false, stage, before, schemaVersions = {} } = options;
+
+  const conditions = [];
+  const params = [];
+  if (stage) {
+    conditions.push('stage = ?');
+    params.push(stage);
+  }
+
+  if (!all) {
+    const prunable = ["expires_at <= datetime('now')"];
+    if (before) {
+      prunable.push('created_at < datetime(?)');
+      params.push(before);
+    }
+    for (const [stageName, version] of Object.entries(schemaVersions)) {
+      prunable.push('(stage = ? AND schema_version != ?)');
+      params.push(stageName, version);
+    }
+    conditions.push(`(${prunable.join(' OR ')})`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return db.prepare(`DELETE FROM ai_response_cache ${where}`).run(...params).changes;
+}
+
+// =============================================================================
+// AI FAILURES
+// =============================================================================
+
+/**
+ * Add an entity to a stage's dead-letter queue, or count another failed attempt.
+ * @param {Object} db - Database connection
+ * @param {Object} failure - { stage, entity_type, entity_id, error, raw_response, ai_call_id }
+ */
+export function recordAIFailure(db, failure) {
+  db.prepare(`
+    INSERT INTO ai_failures (stage, entity_type, entity_id, error, raw_response, ai_call_id)
+    VALUES (@stage, @entity_type, @entity_id, @error, @raw_response, @ai_call_id)
+    ON CONFLICT(stage, entity_type, entity_id) DO UPDATE SET
+      error = excluded.error,
+      raw_response = excluded.raw_response,
+      ai_call_id = excluded.ai_call_id,
+      attempts = attempts + 1,
+      status = 'failed',
+      updated_at = datetime('now')
+  `).run({
+    raw_response: null,
+    ai_call_id: null,
+    ...failure,
+  });
+}
+
+/**
+ * Mark dead-lettered entities as resolved once the stage processed them.
+ * @param {Object} db - Database connection
+ * @param {string} stage - Stage name
+ * @param {string} entityType - Entity type
+ * @param {string[]} entityIds - Entity IDs
+ * @returns {number} Number of failures resolved
+ */
+export function resolveAIFailures(db, stage, entityType, entityIds) {
+  if (entityIds.length === 0) return 0;
+  const placeholders = entityIds.map(() => '?').join(', ');
+  return db.prepare(`
+    UPDATE ai_failures SET status = 'resolved', updated_at = datetime('now')
+    WHERE stage = ? AND entity_type = ? AND status != 'resolved' AND entity_id IN (${placeholders})
+  `).run(stage, entityType, ...entityIds).changes;
+}
+
+/**
+ * List dead-lettered entities.
+ * @param {Object} db - Database connection
+ * @param {Object} options - Query options
+ * @param {string} [options.stage] - Only this stage
+ * @param {string|string[]} [options.status] - Only these statuses
+ * @param {number[]} [options.ids] - Only these failure IDs
+ * @param {number} [options.limit] - Maximum rows
+ * @returns {Object[]} ai_failures rows, most recent first
+ */
+export function getAIFailures(db, options = {}) {
+  const { stage, status, ids, limit } = options;
+
+  let query = 'SELECT * FROM ai_failures WHERE 1=1';
+  const params = [];
+
+  if (stage) {
+    query += ' AND stage = ?';
+    params.push(stage);
+  }
+
+  if (status) {
+    const statuses = [].concat(status);
+    query += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+    params.push(...statuses);
+  }
+
+  if (ids?.length) {
+    query += ` AND id IN (${ids.map(() => '?').join(', ')})`;
+    params.push(...ids);
+  }
+
+  query += ' ORDER BY updated_at DESC, id DESC';
+
+  if (limit) {
+    query += ' LIMIT ?';
+    params.push(limit);
+  }
+
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * IDs of a stage's entities in the dead-letter queue (failed or skipped), which
+ * normal runs leave out.
+ * @param {Object} db - Database connection
+ * @param {string} stage - Stage name
+ * @param {string} entityType - Entity type
+ * @returns {Set<string>} Entity IDs
+ */
+export function getDeadLetteredIds(db, stage, entityType) {
+  const rows = db.prepare(`
+    SELECT entity_id FROM ai_failures
+    WHERE stage = ? AND entity_type = ? AND status != 'resolved'
+  `).all(stage, entityType);
+  return new Set(rows.map((row) => row.entity_id));
+}
+
+/**
+ * Set the status of dead-letter entries.
+ * @param {Object} db - Database connection
+ * @param {number[]} ids - Failure IDs
+ * @param {string} status - 'failed', 'skipped' or 'resolved'
+ * @returns {number} Number of entries updated
+ */
+export function setAIFailureStatus(db, ids, status) {
+  if (ids.length === 0) return 0;
+  const placeholders = ids.map(() => '?').join(', ');
+  return db.prepare(`
+    UPDATE ai_failures SET status = ?, updated_at = datetime('now') WHERE id IN (${placeholders})
+  `).run(status, ...ids).changes;
+}
+
 // =============================================================================
 // MARKETING EXTRACTS
 // =============================================================================
 
+/**
+ * Store a marketing extract. Message extracts without a guild_id take the
+ * guild of their source message's channel.
+ */
 export function upsertMarketingExtract(db, data) {
   const stmt = db.prepare(`
     INSERT INTO marketing_extracts (
-      source_type, source_id, extract_type, title, content, formatted_content,
+      guild_id, source_type, source_id, extract_type, title, content, formatted_content,
       relevance_score, sentiment, topics, requires_permission, permission_granted, created_at
     )
     VALUES (
+      COALESCE(@guild_id, CASE WHEN @source_type = 'message' THEN (
+        SELECT c.guild_id FROM messages m JOIN channels c ON c.id = m.channel_id WHERE m.id = @source_id
+      ) END),
       @source_type, @source_id, @extract_type, @title, @content, @formatted_content,
       @relevance_score, @sentiment, @topics, @requires_permission, @permission_granted, datetime('now')
     )
   `);
-  return stmt.run(data);
+  return stmt.run({ guild_id: null, ...data });
+}
+
+/**
+ * Flag extracts whose source message was edited or deleted after extraction.
+ * A deletion always wins over an earlier edit flag.
+ */
+export function flagExtractsForMessage(db, messageId, status) {
+  const stmt = db.prepare(`
+    UPDATE marketing_extracts
+    SET source_status = @status,
+        source_status_at = datetime('now')
+    WHERE source_type = 'message'
+      AND source_id = @messageId
+      AND (source_status IS NULL OR (@status = 'deleted' AND source_status != 'deleted'))
+  `);
+  return stmt.run({ messageId, status });
 }
 
 export function getMarketingExtracts(db, options = {}) {
-  const { extractType, minRelevance, requiresPermission, limit, offset = 0 } = options;
+  const {
+    extractType,
+    minRelevance,
+    requiresPermission,
+    excludeChangedSources = false,
+    guildIds,
+    limit,
+    offset = 0,
+  } = options;
 
   let query = 'SELECT * FROM marketing_extracts WHERE 1=1';
   const params = [];
 
+  if (guildIds?.length) {
+    query += ` AND guild_id IN (${guildIds.map(() => '?').join(', ')})`;
+    params.push(...guildIds);
+  }
+
+  if (excludeChangedSources) {
+    query += ' AND source_status IS NULL';
+  }
+
   if (extractType) {
     query += ' AND extract_type = ?';
     params.push(extractType);
@@ -450,12 +1966,428 @@ export function getMarketingExtract(db, id) {
   return db.prepare('SELECT * FROM marketing_extracts WHERE id = ?').get(id);
 }
 
+// =============================================================================
+// CONTENT DRAFTS
+// =============================================================================
+
+/**
+ * Insert or replace the draft of a source for one platform. Drafts that were
+ * reviewed (any status but 'draft') are left as they are.
+ * @param {Object} db - Database connection
+ * @param {Object} draft - { guild_id, source_type, source_id, platform, title, body,
+ *   parts_json, char_count, model_used, ai_call_id }
+ * @returns {boolean} Whether the draft was stored
+ */
+export function upsertContentDraft(db, draft) {
+  return db.prepare(`
+    INSERT INTO content_drafts (
+      guild_id, source_type, source_id, platform, title, body, parts_json, char_count, model_used, ai_call_id
+    )
+    VALUES (
+      @guild_id, @source_type, @source_id, @platform, @title, @body, @parts_json, @char_count, @model_used, @ai_call_id
+    )
+    ON CONFLICT(source_type, source_id, platform) DO UPDATE SET
+      guild_id = excluded.guild_id,
+      title = excluded.title,
+      body = excluded.body,
+      parts_json = excluded.parts_json,
+      char_count = excluded.char_count,
+      status = 'draft',
+      model_used = excluded.model_used,
+      ai_call_id = excluded.ai_call_id,
+      updated_at = datetime('now')
+    WHERE content_drafts.status = 'draft'
+  `).run({
+    guild_id: null,
+    title: null,
+    parts_json: null,
+    char_count: draft.body?.length ?? null,
+    model_used: null,
+    ai_call_id: null,
+    ...draft,
+  }).changes > 0;
+}
+
+/**
+ * Status of each platform's stored draft of a source.
+ * @param {Object} db - Database connection
+ * @param {string} sourceType - Source type
+ * @param {string} sourceId - Source ID
+ * @returns {Object} Map of platform to status
+ */
+export function getDraftStatuses(db, sourceType, sourceId) {
+  const rows = db.prepare(`
+    SELECT platform, status FROM content_drafts WHERE source_type = ? AND source_id = ?
+  `).all(sourceType, sourceId);
+  return Object.fromEntries(rows.map((row) => [row.platform, row.status]));
+}
+
+/**
+ * List drafts, newest first.
+ * @param {Object} db - Database connection
+ * @param {Object} options - Query options
+ * @param {string[]} [options.guildIds] - Only drafts of these guilds
+ * @param {string} [options.platform] - Only this platform
+ * @param {string} [options.sourceType] - Only drafts of this source type
+ * @param {string} [options.status] - Only drafts with this status
+ * @param {number} [options.limit] - Maximum rows
+ * @param {number} [options.offset=0] - Rows to skip
+ * @returns {Object[]} content_drafts rows
+ */
+export function getContentDrafts(db, options = {}) {
+  const { guildIds, platform, sourceType, status, limit, offset = 0 } = options;
+
+  let query = 'SELECT * FROM content_drafts WHERE 1=1';
+  const params = [];
+
+  if (guildIds?.length) {
+    query += ` AND guild_id IN (${guildIds.map(() => '?').join(', ')})`;
+    params.push(...guildIds);
+  }
+  if (platform) {
+    query += ' AND platform = ?';
+    params.push(platform);
+  }
+  if (sourceType) {
+    query += ' AND source_type = ?';
+    params.push(sourceType);
+  }
+  if (status) {
+    query += ' AND status = ?';
+    params.push(status);
+  }
+
+  query += ' ORDER BY updated_at DESC, id DESC';
+
+  if (limit) {
+    query += ' LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+  }
+
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * SQL condition leaving out sources the format stage gave up on: skipped, or
+ * failed at least maxAttempts times.
+ * @param {string} entityTypeExpr - SQL expression of the source type
+ * @param {string} entityIdExpr - SQL expression of the source ID
+ * @param {number} maxAttempts - Failed attempts after which a source is left out
+ * @param {Array} params - Query parameters, appended to
+ * @returns {string} SQL starting with AND
+ */
+function formatFailureCondition(entityTypeExpr, entityIdExpr, maxAttempts, params) {
+  params.push(maxAttempts);
+  return `
+    AND NOT EXISTS (
+      SELECT 1 FROM ai_failures af
+      WHERE af.stage = 'format' AND af.entity_type = ${entityTypeExpr} AND af.entity_id = ${entityIdExpr}
+        AND (af.status = 'skipped' OR (af.status = 'failed' AND af.attempts >= ?))
+    )
+  `;
+}
+
+/**
+ * Extracts the format stage may turn into drafts: cleared for public use (no
+ * permission needed or permission granted) and with an unchanged source.
+ * @param {Object} db - Database connection
+ * @param {Object} options - Query options
+ * @param {string[]} [options.guildIds] - Only extracts of these guilds
+ * @param {number} [options.minRelevance] - Minimum relevance_score
+ * @param {boolean} [options.force=false] - Include extracts that were already formatted
+ * @param {number} [options.maxAttempts] - Leave out extracts that failed this many times
+ * @param {string[]} [options.ids] - Only these extracts, formatted or failed ones included
+ * @param {number} [options.limit] - Maximum rows
+ * @returns {Object[]} marketing_extracts rows, most relevant first
+ */
+export function getExtractsToFormat(db, options = {}) {
+  const { guildIds, minRelevance, force = false, maxAttempts, ids, limit } = options;
+
+  let query = `
+    SELECT x.* FROM marketing_extracts x
+    WHERE x.source_status IS NULL
+      AND (x.requires_permission = 0 OR x.permission_granted = 1)
+  `;
+  const params = [];
+
+  if (guildIds?.length) {
+    query += ` AND x.guild_id IN (${guildIds.map(() => '?').join(', ')})`;
+    params.push(...guildIds);
+  }
+  if (minRelevance !== undefined) {
+    query += ' AND x.relevance_score >= ?';
+    params.push(minRelevance);
+  }
+  if (ids) {
+    query += ` AND CAST(x.id AS TEXT) IN (${ids.map(() => '?').join(', ') || 'NULL'})`;
+    params.push(...ids);
+  } else {
+    if (!force) {
+      query += `
+        AND NOT EXISTS (
+          SELECT 1 FROM ai_processing ap
+          WHERE ap.entity_type = 'marketing_extract' AND ap.entity_id = CAST(x.id AS TEXT) AND ap.stage = 'format'
+        )
+      `;
+    }
+    if (maxAttempts) {
+      query += formatFailureCondition("'marketing_extract'", 'CAST(x.id AS TEXT)', maxAttempts, params);
+    }
+  }
+
+  query += ' ORDER BY x.relevance_score DESC, x.created_at DESC';
+
+  if (limit) {
+    query += ' LIMIT ?';
+    params.push(limit);
+  }
+
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Summaries the format stage may turn into drafts.
+ * Both summary kinds are keyed "<channel or guild>:...", which gives their guild.
+ * @param {Object} db - Database connection
+ * @param {string} entityType - 'daily_summary' or 'weekly_summary'
+ * @param {Object} options - Query options
+ * @param {string[]} [options.guildIds] - Only summaries of these guilds
+ * @param {boolean} [options.force=false] - Include summaries that were already formatted
+ * @param {number} [options.maxAttempts] - Leave out summaries that failed this many times
+ * @param {string[]} [options.ids] - Only these summaries, formatted or failed ones included
+ * @param {number} [options.limit] - Maximum rows
+ * @returns {Object[]} { entity_type, entity_id, guild_id, summary }, newest first
+ */
+export function getSummariesToFormat(db, entityType, options = {}) {
+  const { guildIds, force = false, maxAttempts, ids, limit } = options;
+
+  const guildExpr = entityType === 'weekly_summary'
+    ? "substr(ap.entity_id, 1, instr(ap.entity_id, ':') - 1)"
+    : "(SELECT c.guild_id FROM channels c WHERE c.id = substr(ap.entity_id, 1, instr(ap.entity_id, ':') - 1))";
+
+  let query = `
+    SELECT * FROM (
+      SELECT ap.entity_type, ap.entity_id, ap.result_json, ap.processed_at, ${guildExpr} as guild_id
+      FROM ai_processing ap
+      WHERE ap.entity_type = ? AND ap.stage = 'summarize'
+  `;
+  const params = [entityType];
+
+  if (ids) {
+    query += ` AND ap.entity_id IN (${ids.map(() => '?').join(', ') || 'NULL'})`;
+    params.push(...ids);
+  } else {
+    if (!force) {
+      query += `
+        AND NOT EXISTS (
+          SELECT 1 FROM ai_processing f
+          WHERE f.entity_type = ap.entity_type AND f.entity_id = ap.entity_id AND f.stage = 'format'
+        )
+      `;
+    }
+    if (maxAttempts) {
+      query += formatFailureCondition('ap.entity_type', 'ap.entity_id', maxAttempts, params);
+    }
+  }
+  query += ') WHERE 1=1';
+
+  if (guildIds?.length) {
+    query += ` AND guild_id IN (${guildIds.map(() => '?').join(', ')})`;
+    params.push(...guildIds);
+  }
+
+  query += ' ORDER BY processed_at DESC';
+
+  if (limit) {
+    query += ' LIMIT ?';
+    params.push(limit);
+  }
+
+  return db.prepare(query).all(...params).map(({ result_json, processed_at, ...row }) => ({
+    ...row,
+    summary: JSON.parse(result_json),
+  }));
+}
+
+// =============================================================================
+// SEARCH
+// =============================================================================
+
+const SEARCH_OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+/**
+ * Turn a user search query into FTS5 query syntax.
+ * Quoted phrases, uppercase AND/OR/NOT, parentheses and trailing-* prefix terms
+ * keep their meaning; every other word is quoted so punctuation such as the dot
+ * in a contract identifier or domain can't break the query.
+ * @param {string} query - User query, e.g. `"stacking rewards" OR pox NOT testnet`.
+ * @returns {string} FTS5 MATCH expression.
+ */
+function toFtsQuery(query) {
+  const tokens = String(query || '').match(/"[^"]*"?|[()]|[^\s()"]+/g) || [];
+
+  const parts = tokens.map((token) => {
+    if (token === '(' || token === ')' || SEARCH_OPERATORS.has(token)) return token;
+    if (token.startsWith('"')) return `"${token.replace(/"/g, '')}"`;
+    if (token.length > 1 && token.endsWith('*')) return `"${token.slice(0, -1)}"*`;
+    return `"${token.replace(/\*/g, '')}"`;
+  }).filter(part => part !== '""');
+
+  if (parts.every(part => SEARCH_OPERATORS.has(part) || part === '(' || part === ')')) {
+    throw new Error('Search query has no search terms');
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Full-text search over message content, embed titles/descriptions and
+ * marketing extracts.
+ * @param {Database} db - Database connection.
+ * @param {string} query - Search query; see toFtsQuery() for the syntax.
+ * @param {Object} [options] - Search options.
+ * @param {string[]} [options.kinds] - Document kinds to search: 'message', 'embed', 'extract'.
+ * @param {string[]} [options.guildIds] - Only these guilds.
+ * @param {string} [options.channelId] - Only messages in this channel or its threads.
+ * @param {string} [options.author] - Only messages by this user ID or username;
+ *   extracts without a source message have no author and are left out.
+ * @param {string} [options.startDate] - Inclusive lower timestamp bound: the message's,
+ *   or the creation time of extracts without a source message.
+ * @param {string} [options.endDate] - Exclusive upper timestamp bound, as startDate.
+ * @param {string} [options.topic] - Only messages categorized with this topic,
+ *   or extracts tagged with it.
+ * @param {boolean} [options.includeDeleted=false] - Include messages deleted on Discord.
+ * @param {string} [options.sort='rank'] - 'rank', 'newest' or 'oldest'.
+ * @param {string[]} [options.highlight=['**', '**']] - Markers around matched terms in snippets.
+ * @param {number} [options.limit=20] - Maximum results.
+ * @param {number} [options.offset=0] - Results to skip, for paging.
+ * @returns {Object[]} Hits: { kind, ref_id, message_id, channel_id, channel_name,
+ *   guild_id, author_id, author_name, timestamp, title, snippet, rank }.
+ *   Lower rank is a better match.
+ */
+export function searchMessages(db, query, options = {}) {
+  const {
+    kinds,
+    guildIds,
+    channelId,
+    author,
+    startDate,
+    endDate,
+    topic,
+    includeDeleted = false,
+    sort = 'rank',
+    highlight = ['**', '**'],
+    limit = 20,
+    offset = 0,
+  } = options;
+
+  // Extracts without a source message date from their creation, in message timestamp format
+  const timestamp = "COALESCE(m.timestamp, strftime('%Y-%m-%dT%H:%M:%fZ', x.created_at))";
+
+  let sql = `
+    SELECT
+      d.kind,
+      d.ref_id,
+      d.message_id,
+      m.channel_id,
+      c.name AS channel_name,
+      COALESCE(c.guild_id, x.guild_id) AS guild_id,
+      m.author_id,
+      COALESCE(u.global_name, u.username) AS author_name,
+      ${timestamp} AS timestamp,
+      search_index.title,
+      snippet(search_index, -1, ?, ?, '…', 16) AS snippet,
+      bm25(search_index, 2.0, 1.0) AS rank
+    FROM search_index
+    JOIN search_documents d ON d.id = search_index.rowid
+    LEFT JOIN messages m ON m.id = d.message_id
+    LEFT JOIN channels c ON c.id = m.channel_id
+    LEFT JOIN users u ON u.id = m.author_id
+    LEFT JOIN marketing_extracts x ON d.kind = 'extract' AND CAST(x.id AS TEXT) = d.ref_id
+    WHERE search_index MATCH ?
+  `;
+  const params = [highlight[0], highlight[1], toFtsQuery(query)];
+
+  if (kinds?.length) {
+    sql += ` AND d.kind IN (${kinds.map(() => '?').join(', ')})`;
+    params.push(...kinds);
+  }
+
+  if (!includeDeleted) {
+    sql += ' AND m.deleted_at IS NULL';
+  }
+
+  if (guildIds?.length) {
+    sql += ` AND COALESCE(c.guild_id, x.guild_id) IN (${guildIds.map(() => '?').join(', ')})`;
+    params.push(...guildIds);
+  }
+
+  if (channelId) {
+    sql += ' AND (m.channel_id = ? OR c.parent_id = ?)';
+    params.push(channelId, channelId);
+  }
+
+  if (author) {
+    sql += ' AND (m.author_id = ? OR u.username = ?)';
+    params.push(author, author);
+  }
+
+  if (startDate) {
+    sql += ` AND ${timestamp} >= ?`;
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    sql += ` AND ${timestamp} < ?`;
+    params.push(endDate);
+  }
+
+  if (topic) {
+    sql += ` AND (
+      EXISTS (
+        SELECT 1 FROM ai_processing ap
+        WHERE ap.entity_type = 'message' AND ap.entity_id = d.message_id AND ap.stage = 'categorize'
+          AND (json_extract(ap.result_json, '$.primary_topic') = ?
+            OR EXISTS (SELECT 1 FROM json_each(ap.result_json, '$.secondary_topics') WHERE value = ?))
+      )
+      OR EXISTS (SELECT 1 FROM json_each(x.topics) WHERE value = ?)
+    )`;
+    params.push(topic, topic, topic);
+  }
+
+  const orderBy = {
+    rank: 'rank',
+    newest: 'timestamp DESC',
+    oldest: 'timestamp ASC',
+  }[sort];
+  if (!orderBy) {
+    throw new Error(`Unknown sort "${sort}"`);
+  }
+
+  sql += ` ORDER BY ${orderBy} LIMIT ? OFFSET ?`;
+  params.push(limit, offset);
+
+  return db.prepare(sql).all(...params);
+}
+
 // =============================================================================
 // BULK EXPORT HELPERS
 // =============================================================================
 
+/**
+ * List messages for export.
+ * @param {Database} db - Database connection.
+ * @param {Object} [options] - Query options.
+ * @param {string} [options.channelId] - Only this channel.
+ * @param {string[]} [options.guildIds] - Only these guilds.
+ * @param {string} [options.linksTo] - Only messages linking to this domain or its subdomains.
+ * @param {string} [options.mentions] - Only messages referencing this Stacks address,
+ *   contract identifier or txid, or mentioning this user/role/channel ID.
+ * @param {string} [options.startDate] - Inclusive lower timestamp bound.
+ * @param {string} [options.endDate] - Exclusive upper timestamp bound.
+ * @returns {Object[]} Message rows, oldest first.
+ */
 export function getAllMessages(db, options = {}) {
-  const { channelId, startDate, endDate, limit, offset = 0 } = options;
+  const { channelId, guildIds, linksTo, mentions, startDate, endDate, limit, offset = 0 } = options;
 
   let query = 'SELECT * FROM messages WHERE 1=1';
   const params = [];
@@ -465,6 +2397,28 @@ export function getAllMessages(db, options = {}) {
     params.push(channelId);
   }
 
+  if (guildIds?.length) {
+    query += guildChannelCondition('channel_id', guildIds, params);
+  }
+
+  if (linksTo) {
+    const domain = linksTo.toLowerCase().replace(/^www\./, '');
+    query += ` AND id IN (
+      SELECT message_id FROM message_links WHERE domain = ? OR domain LIKE ?
+    )`;
+    params.push(domain, `%.${domain}`);
+  }
+
+  if (mentions) {
+    // Transaction IDs are stored lowercased
+    query += ` AND id IN (
+      SELECT message_id FROM message_entities WHERE value IN (?, ?)
+      UNION
+      SELECT message_id FROM message_mentions WHERE target_id = ?
+    )`;
+    params.push(mentions, mentions.toLowerCase(), mentions);
+  }
+
   if (startDate) {
     query += ' AND timestamp >= ?';
     params.push(startDate);
@@ -495,6 +2449,9 @@ export function getFullMessageData(db, messageId) {
     embeds: getEmbedsByMessage(db, messageId),
     attachments: getAttachmentsByMessage(db, messageId),
     reactions: getReactionsByMessage(db, messageId),
+    poll: getPoll(db, messageId) || null,
+    is_pinned: isMessagePinned(db, messageId),
+    ...getMessageContentRefs(db, messageId),
   };
 }
 
@@ -502,36 +2459,98 @@ export default {
   // Guilds
   upsertGuild,
   getGuild,
+  getAllGuilds,
+  getGuildStats,
   // Channels
   upsertChannel,
   getChannel,
   getChannelsByGuild,
+  getThreadsByParent,
   getChannelLastScrapedId,
   updateChannelLastScraped,
   updateChannelMessageCount,
   // Users
   upsertUser,
   getUser,
+  // Roles & members
+  upsertRole,
+  getRolesByGuild,
+  upsertGuildMember,
+  markGuildMemberLeft,
+  getCurrentGuildMemberIds,
+  getAuthorsNeedingMemberSync,
+  getUserRoles,
+  getUserWithRoles,
   // Messages
   upsertMessage,
+  markMessageDeleted,
+  markMissingMessagesDeleted,
+  insertMessageRevision,
+  getMessageRevisions,
+  updateMessageReactionCount,
+  saveMessageBundle,
+  insertMessageBundle,
+  mergeMessageBundle,
   getMessage,
   getMessagesByChannel,
   getMessagesByDateRange,
   countMessages,
   // Embeds
   upsertEmbed,
+  replaceEmbeds,
   getEmbedsByMessage,
   // Attachments
   upsertAttachment,
   getAttachmentsByMessage,
+  getAttachmentsToArchive,
+  updateAttachmentArchive,
+  getAttachmentArchiveStats,
   // Reactions
   upsertReaction,
+  deleteReaction,
+  deleteReactionsByMessage,
   getReactionsByMessage,
+  getReaction,
+  replaceReactionUsers,
+  markReactionUsersFetched,
+  addReactionUser,
+  removeReactionUser,
+  getReactionUsers,
+  // Emojis
+  upsertEmoji,
+  getEmojisByGuild,
+  // Pins
+  pinMessage,
+  unpinMessage,
+  replaceChannelPins,
+  getPinnedMessages,
+  isMessagePinned,
+  // Polls
+  savePoll,
+  getPoll,
+  // Message content
+  replaceMessageContent,
+  getMessageContentRefs,
+  getMessagesToParse,
+  // Scheduled events
+  upsertScheduledEvent,
+  markScheduledEventDeleted,
+  getScheduledEvents,
   // Sync state
   createSyncState,
   completeSyncState,
   failSyncState,
+  updateSyncStateProgress,
+  resumeSyncState,
   getLatestSyncState,
+  getResumableSyncState,
+  // Sync channel progress
+  startSyncChannelProgress,
+  checkpointSyncChannelProgress,
+  completeSyncChannelProgress,
+  failSyncChannelProgress,
+  getSyncChannelProgress,
+  getIncompleteSyncChannels,
   // AI Processing
   upsertAIProcessing,
   getAIProcessing,
@@ -539,10 +2558,32 @@ export default {
   shouldProcess,
   getUnprocessedMessages,
   getProcessedMessages,
+  // AI calls
+  insertAICall,
+  getAISpend,
+  getCachedResponse,
+  recordCacheHit,
+  upsertCachedResponse,
+  getResponseCacheStats,
+  pruneResponseCache,
+  recordAIFailure,
+  resolveAIFailures,
+  getAIFailures,
+  getDeadLetteredIds,
+  setAIFailureStatus,
   // Marketing Extracts
   upsertMarketingExtract,
+  flagExtractsForMessage,
   getMarketingExtracts,
   getMarketingExtract,
+  // Content drafts
+  upsertContentDraft,
+  getDraftStatuses,
+  getContentDrafts,
+  getExtractsToFormat,
+  getSummariesToFormat,
+  // Search
+  searchMessages,
   // Export helpers
   getAllMessages,
   getFullMessageData,
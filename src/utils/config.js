@@ -3,6 +3,14 @@ import path from 'path';
 
 let cachedConfig = null;
 
+// API key variable of each AI provider
+const AI_API_KEY_ENV = {
+  openrouter: 'OPENROUTER_API_KEY',
+  openai: 'OPENAI_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY',
+  local: 'LOCAL_AI_API_KEY',
+};
+
 /**
  * Load configuration from config/default.json merged with environment variables.
  * Environment variables take precedence over config file values.
@@ -19,12 +27,19 @@ export function loadConfig() {
 
   const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
 
+  const guilds = normalizeGuilds(fileConfig.discord.guilds, process.env.DISCORD_GUILD_ID);
+
+  // Each provider can carry its own default model and base URL
+  const aiProvider = process.env.AI_PROVIDER || fileConfig.ai.provider;
+  const providerConfig = fileConfig.ai.providers?.[aiProvider] || {};
+
   // Merge with environment variables
   cachedConfig = {
     discord: {
       ...fileConfig.discord,
       token: process.env.DISCORD_BOT_TOKEN,
-      guildId: process.env.DISCORD_GUILD_ID,
+      guilds,
+      guildId: guilds[0]?.id,
     },
     scraper: {
       ...fileConfig.scraper,
@@ -34,8 +49,10 @@ export function loadConfig() {
     },
     ai: {
       ...fileConfig.ai,
-      apiKey: process.env.OPENROUTER_API_KEY,
-      model: process.env.AI_MODEL || fileConfig.ai.model,
+      provider: aiProvider,
+      apiKey: process.env[AI_API_KEY_ENV[aiProvider]],
+      baseURL: process.env.AI_BASE_URL || providerConfig.baseURL,
+      model: process.env.AI_MODEL || providerConfig.model || fileConfig.ai.model,
       batchSize: parseInt(process.env.AI_BATCH_SIZE) || fileConfig.ai.batchSize,
       maxTokensPerBatch: parseInt(process.env.AI_MAX_TOKENS_PER_BATCH) || fileConfig.ai.maxTokensPerBatch,
       retryAttempts: parseInt(process.env.AI_MAX_RETRIES) || fileConfig.ai.retryAttempts,
@@ -48,6 +65,14 @@ export function loadConfig() {
       ...fileConfig.database,
       path: process.env.DATABASE_PATH || fileConfig.database.path,
     },
+    attachments: {
+      ...fileConfig.attachments,
+      archiveDir: process.env.ATTACHMENTS_DIR || fileConfig.attachments?.archiveDir,
+    },
+    content: {
+      docsDomains: [],
+      ...fileConfig.content,
+    },
     export: {
       ...fileConfig.export,
     },
@@ -60,6 +85,86 @@ export function loadConfig() {
   return cachedConfig;
 }
 
+/**
+ * Build the list of tracked guilds from discord.guilds and DISCORD_GUILD_ID.
+ * Config entries are guild IDs or objects with an id, a display name and any
+ * channel selection settings that override the discord-level ones.
+ * DISCORD_GUILD_ID may hold several comma-separated IDs.
+ * @param {Array<string|Object>} [entries] - discord.guilds from the config file.
+ * @param {string} [envGuildIds] - DISCORD_GUILD_ID.
+ * @returns {Object[]} Guild entries, each with at least an id.
+ */
+function normalizeGuilds(entries = [], envGuildIds = '') {
+  const guilds = entries.map(entry =>
+    typeof entry === 'string' ? { id: entry } : { ...entry, id: String(entry.id) }
+  );
+
+  for (const id of String(envGuildIds || '').split(',').map(value => value.trim()).filter(Boolean)) {
+    if (!guilds.some(guild => guild.id === id)) {
+      guilds.push({ id });
+    }
+  }
+
+  return guilds;
+}
+
+/**
+ * Pick the guilds a command should work on.
+ * @param {Object} config - Loaded config.
+ * @param {string[]} [selected] - Values of --guild: guild IDs or configured names.
+ * @returns {Object[]} Selected guild entries; all configured guilds when none were
+ *   selected. IDs that aren't configured are still accepted.
+ */
+export function resolveGuilds(config, selected) {
+  if (!selected || selected.length === 0) {
+    return config.discord.guilds;
+  }
+
+  return selected.map((value) => {
+    const match = config.discord.guilds.find(guild =>
+      guild.id === value || guild.name?.toLowerCase() === value.toLowerCase()
+    );
+    if (match) return match;
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`Unknown guild "${value}": use a guild ID or a name from discord.guilds`);
+    }
+    return { id: value };
+  });
+}
+
+/**
+ * Channel selection settings for one guild: its own entries override discord.*.
+ * @param {Object} config - Loaded config.
+ * @param {Object} guild - Guild entry from resolveGuilds().
+ * @returns {Object} Options for isChannelSelected() / getTextChannels().
+ */
+export function getGuildChannelFilter(config, guild) {
+  return {
+    excludeTypes: guild.excludeChannelTypes ?? config.discord.excludeChannelTypes,
+    excludeNames: guild.excludeChannelNames ?? config.discord.excludeChannelNames,
+    allowlist: guild.channelAllowlist ?? config.discord.channelAllowlist,
+    blocklist: guild.channelBlocklist ?? config.discord.channelBlocklist,
+  };
+}
+
+/**
+ * Model and batching settings for one AI stage: its ai.stages entry overrides ai.*.
+ * @param {Object} config - Loaded config.
+ * @param {string} stage - Stage name (filter, categorize, summarize, extract, format).
+ * @returns {Object} { model, fallbackModels, temperature, maxTokens, batchSize, maxTokensPerBatch }.
+ */
+export function getStageConfig(config, stage) {
+  const stageConfig = config.ai.stages?.[stage] || {};
+  return {
+    model: stageConfig.model || config.ai.model,
+    fallbackModels: stageConfig.fallbackModels ?? config.ai.fallbackModels ?? [],
+    temperature: stageConfig.temperature ?? config.ai.temperature,
+    maxTokens: stageConfig.maxTokens ?? config.ai.maxTokens,
+    batchSize: stageConfig.batchSize ?? config.ai.batchSize,
+    maxTokensPerBatch: stageConfig.maxTokensPerBatch ?? config.ai.maxTokensPerBatch,
+  };
+}
+
 /**
  * Clear the cached config (useful for testing).
  */
@@ -86,4 +191,4 @@ export function getConfigValue(path, defaultValue = undefined) {
   return value !== undefined ? value : defaultValue;
 }
 
-export default { loadConfig, clearConfigCache, getConfigValue };
+export default { loadConfig, resolveGuilds, getGuildChannelFilter, getStageConfig, clearConfigCache, getConfigValue };
@@ -0,0 +1,144 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+
+const run = promisify(execFile);
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const FIXTURES = path.join(ROOT, 'test/fixtures/discord');
+
+// test/fixtures/discord: one guild with #general and a thread in the #help forum.
+// full/ is the first snapshot and answers the first #general page with a global 429;
+// incremental/ is the same guild later, with three new messages in #general and
+// one in the thread.
+const GUILD_ID = '1290000000000000000';
+const GENERAL_ID = '1235017845964800001';
+const THREAD_ID = '1246750153113600000';
+
+const GENERAL_FULL = [
+  '1246402864742400000',
+  '1246417964236800000',
+  '1246433063731200000',
+  '1246448163225600000',
+  '1246463262720000000',
+];
+const THREAD_FULL = ['1246750153113600000', '1246757702860800000'];
+const GENERAL_NEW = ['1247127640473600000', '1247142739968000000', '1247157839462400000'];
+const THREAD_NEW = ['1247165389209600000'];
+
+/**
+ * Run the scrape command against a fixture.
+ * @param {string} dbPath - Database file.
+ * @param {string} fixture - Fixture directory name under test/fixtures/discord.
+ * @param {string[]} args - Extra command arguments.
+ * @returns {Promise<string>} Command output.
+ */
+async function scrape(dbPath, fixture, args) {
+  const { stdout, stderr } = await run(
+    process.execPath,
+    ['src/cli/index.js', 'scrape', '--fixture', path.join(FIXTURES, fixture), '--max-age-days', '0', ...args],
+    {
+      cwd: ROOT,
+      env: { ...process.env, DATABASE_PATH: dbPath, DISCORD_GUILD_ID: GUILD_ID, DISCORD_BOT_TOKEN: '' },
+      timeout: 60000,
+    }
+  );
+  return stdout + stderr;
+}
+
+describe('scrape --fixture', () => {
+  let dir;
+  let dbPath;
+  let fullOutput;
+  let incrementalOutput;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-fixture-'));
+    dbPath = path.join(dir, 'discord.db');
+    fullOutput = await scrape(dbPath, 'full', ['--full']);
+    incrementalOutput = await scrape(dbPath, 'incremental', ['--incremental']);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Query the scraped database.
+   * @param {string} sql - Query.
+   * @param {...*} params - Query parameters.
+   * @returns {Object[]} Rows.
+   */
+  function query(sql, ...params) {
+    const db = new Database(dbPath, { readonly: true });
+    try {
+      return db.prepare(sql).all(...params);
+    } finally {
+      db.close();
+    }
+  }
+
+  it('stores every message of both runs, including the forum thread', () => {
+    const ids = (channelId) => query('SELECT id FROM messages WHERE channel_id = ? ORDER BY id', channelId)
+      .map(row => row.id);
+
+    assert.deepEqual(ids(GENERAL_ID), [...GENERAL_FULL, ...GENERAL_NEW]);
+    assert.deepEqual(ids(THREAD_ID), [...THREAD_FULL, ...THREAD_NEW]);
+  });
+
+  it('advances the incremental cursors to the newest message', () => {
+    const cursors = Object.fromEntries(
+      query('SELECT id, last_scraped_message_id FROM channels WHERE id IN (?, ?)', GENERAL_ID, THREAD_ID)
+        .map(row => [row.id, row.last_scraped_message_id])
+    );
+
+    assert.deepEqual(cursors, {
+      [GENERAL_ID]: GENERAL_NEW.at(-1),
+      [THREAD_ID]: THREAD_NEW.at(-1),
+    });
+  });
+
+  it('fetches only new messages, forward from the previous cursor, on the incremental run', () => {
+    const syncs = query('SELECT id, sync_type, status, messages_processed FROM sync_state ORDER BY id');
+    assert.deepEqual(syncs, [
+      { id: 1, sync_type: 'full', status: 'completed', messages_processed: 7 },
+      { id: 2, sync_type: 'incremental', status: 'completed', messages_processed: 4 },
+    ]);
+
+    const progress = query(`
+      SELECT channel_id, after_message_id, oldest_message_id, newest_message_id, messages_processed
+      FROM sync_channel_progress WHERE sync_id = 2 ORDER BY channel_id
+    `);
+    assert.deepEqual(progress, [
+      {
+        channel_id: GENERAL_ID,
+        after_message_id: GENERAL_FULL.at(-1),
+        oldest_message_id: GENERAL_NEW[0],
+        newest_message_id: GENERAL_NEW.at(-1),
+        messages_processed: 3,
+      },
+      {
+        channel_id: THREAD_ID,
+        after_message_id: THREAD_FULL.at(-1),
+        oldest_message_id: THREAD_NEW[0],
+        newest_message_id: THREAD_NEW[0],
+        messages_processed: 1,
+      },
+    ]);
+
+    assert.match(incrementalOutput, /Messages: 4/);
+  });
+
+  it('retries the rate-limited page and pauses every worker', () => {
+    assert.match(fullOutput, /Retry 1\/3 in \d+ms: You are being rate limited\./);
+    assert.match(fullOutput, /Paused \d+ time\(s\) for global rate limits/);
+    assert.match(fullOutput, /#general: 5 messages, 1 pinned/);
+    assert.doesNotMatch(incrementalOutput, /Retry/);
+  });
+});
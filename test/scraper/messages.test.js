@@ -0,0 +1,168 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Collection } from 'discord.js';
+import { fetchMessages } from '../../src/scraper/messages.js';
+
+const FIRST_ID = 1000;
+const START = Date.parse('2024-01-01T00:00:00Z');
+const MINUTE = 60 * 1000;
+
+/**
+ * Build a fake message with what formatMessageBundle() reads.
+ * @param {Object} channel - Fake channel.
+ * @param {number} index - Position in the channel, 0 for the oldest.
+ * @returns {Object} Fake discord.js message.
+ */
+function fakeMessage(channel, index) {
+  const createdAt = new Date(START + index * MINUTE);
+  return {
+    id: String(FIRST_ID + index),
+    channel,
+    author: {
+      id: '1',
+      username: 'tester',
+      discriminator: '0',
+      bot: false,
+      avatarURL: () => null,
+    },
+    content: `message ${index}`,
+    cleanContent: `message ${index}`,
+    createdAt,
+    createdTimestamp: createdAt.getTime(),
+    editedAt: null,
+    type: 0,
+    reference: null,
+    thread: null,
+    embeds: [],
+    attachments: new Collection(),
+    reactions: { cache: new Collection() },
+    poll: null,
+    pinned: false,
+  };
+}
+
+/**
+ * Build a fake channel whose messages.fetch() pages like GET /channels/:id/messages:
+ * at most `limit` messages, newest first, just before `before` or just after `after`.
+ * @param {number} count - Messages in the channel.
+ * @returns {Object} Fake channel with a requests log of every fetch's options.
+ */
+function fakeChannel(count) {
+  const channel = { id: '42', isThread: () => false, requests: [] };
+  const newestFirst = Array.from({ length: count }, (_, index) => fakeMessage(channel, index)).reverse();
+
+  channel.messages = {
+    fetch: async (options) => {
+      channel.requests.push(options);
+      let page;
+      if (options.after) {
+        page = newestFirst.filter(message => BigInt(message.id) > BigInt(options.after)).slice(-options.limit);
+      } else if (options.before) {
+        page = newestFirst.filter(message => BigInt(message.id) < BigInt(options.before)).slice(0, options.limit);
+      } else {
+        page = newestFirst.slice(0, options.limit);
+      }
+      return new Collection(page.map(message => [message.id, message]));
+    },
+  };
+
+  return channel;
+}
+
+/**
+ * Collect the IDs fetchMessages() yields.
+ * @param {Object} channel - Fake channel.
+ * @param {Object} options - fetchMessages() options.
+ * @returns {Promise<string[]>} Message IDs in yield order.
+ */
+async function fetchIds(channel, options = {}) {
+  const ids = [];
+  for await (const bundle of fetchMessages(channel, { delay: 0, ...options })) {
+    ids.push(bundle.message.id);
+  }
+  return ids;
+}
+
+/**
+ * IDs of the messages at positions [from, to), in the given order.
+ * @param {number} from - First position.
+ * @param {number} to - Position after the last.
+ * @param {boolean} [newestFirst=false] - Order newest first.
+ * @returns {string[]} Message IDs.
+ */
+function idRange(from, to, newestFirst = false) {
+  const ids = Array.from({ length: to - from }, (_, offset) => String(FIRST_ID + from + offset));
+  return newestFirst ? ids.reverse() : ids;
+}
+
+describe('fetchMessages', () => {
+  describe('backward paging', () => {
+    it('fetches the whole channel newest first', async () => {
+      const channel = fakeChannel(250);
+      assert.deepEqual(await fetchIds(channel), idRange(0, 250, true));
+      assert.equal(channel.requests.length, 3);
+      assert.ok(channel.requests.every(request => !request.after));
+    });
+
+    it('starts before the given message', async () => {
+      const channel = fakeChannel(250);
+      assert.deepEqual(await fetchIds(channel, { before: String(FIRST_ID + 180) }), idRange(0, 180, true));
+    });
+
+    it('never walks back past after when before is also set', async () => {
+      const channel = fakeChannel(250);
+      const ids = await fetchIds(channel, { before: String(FIRST_ID + 200), after: String(FIRST_ID + 20) });
+      assert.deepEqual(ids, idRange(21, 200, true));
+    });
+
+    it('stops at the since cutoff', async () => {
+      const channel = fakeChannel(250);
+      const ids = await fetchIds(channel, { since: START + 130 * MINUTE });
+      assert.deepEqual(ids, idRange(130, 250, true));
+      assert.equal(channel.requests.length, 2);
+    });
+
+    it('stops at the per-channel limit', async () => {
+      const channel = fakeChannel(250);
+      assert.deepEqual(await fetchIds(channel, { limit: 120 }), idRange(130, 250, true));
+      assert.equal(channel.requests.length, 2);
+    });
+  });
+
+  describe('forward paging', () => {
+    it('fetches everything after the cursor oldest first, past 100 new messages', async () => {
+      const channel = fakeChannel(250);
+      const ids = await fetchIds(channel, { after: String(FIRST_ID + 29) });
+      assert.deepEqual(ids, idRange(30, 250));
+    });
+
+    it('pages with after only and stops at the newest message', async () => {
+      const channel = fakeChannel(250);
+      await fetchIds(channel, { after: String(FIRST_ID + 29) });
+      assert.deepEqual(channel.requests, [
+        { limit: 100, after: String(FIRST_ID + 29) },
+        { limit: 100, after: String(FIRST_ID + 129) },
+        { limit: 100, after: String(FIRST_ID + 229) },
+      ]);
+    });
+
+    it('fetches nothing when already caught up', async () => {
+      const channel = fakeChannel(250);
+      assert.deepEqual(await fetchIds(channel, { after: String(FIRST_ID + 249) }), []);
+      assert.equal(channel.requests.length, 1);
+    });
+
+    it('skips messages older than the since cutoff', async () => {
+      const channel = fakeChannel(250);
+      const ids = await fetchIds(channel, { after: String(FIRST_ID + 9), since: START + 150 * MINUTE });
+      assert.deepEqual(ids, idRange(150, 250));
+    });
+
+    it('stops at the per-channel limit', async () => {
+      const channel = fakeChannel(250);
+      const ids = await fetchIds(channel, { after: String(FIRST_ID + 9), limit: 120 });
+      assert.deepEqual(ids, idRange(10, 130));
+      assert.equal(channel.requests.length, 2);
+    });
+  });
+});